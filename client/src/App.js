@@ -13,6 +13,12 @@ function App() {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Prefer the server's explanation, e.g. why a quote can no longer be booked
+  const responseError = async (response, fallback) => {
+    const body = await response.json().catch(() => ({}));
+    return new Error(body.error || fallback);
+  };
+
   const handleQuoteSubmit = async (quoteData) => {
     setIsLoading(true);
     setError(null);
@@ -28,11 +34,18 @@ function App() {
       });
 
       if (!response.ok) {
-        throw new Error('Failed to get rate prediction');
+        throw await responseError(response, 'Failed to get rate prediction');
       }
 
       const result = await response.json();
       setCurrentQuote(result);
+
+      // Showing the quote counts as the customer viewing it
+      const viewResponse = await fetch(`${apiUrl}/api/quotes/${result.requestId}/view`, { method: 'POST' });
+      if (viewResponse.ok) {
+        const { status } = await viewResponse.json();
+        setCurrentQuote(prev => (prev && prev.requestId === result.requestId ? { ...prev, status } : prev));
+      }
     } catch (err) {
       setError(err.message);
     } finally {
@@ -52,10 +65,11 @@ function App() {
       });
 
       if (!response.ok) {
-        throw new Error('Failed to confirm booking');
+        throw await responseError(response, 'Failed to confirm booking');
       }
 
       const result = await response.json();
+      setCurrentQuote(prev => ({ ...prev, status: 'booked' }));
       return result;
     } catch (err) {
       throw err;
@@ -74,16 +88,36 @@ function App() {
       });
 
       if (!response.ok) {
-        throw new Error('Failed to decline quote');
+        throw await responseError(response, 'Failed to decline quote');
       }
 
       const result = await response.json();
+      setCurrentQuote(prev => ({ ...prev, status: 'declined' }));
       return result;
     } catch (err) {
       throw err;
     }
   };
 
+  const handleCounterOffer = async (requestId, counterOffer) => {
+    const apiUrl = process.env.REACT_APP_API_URL || '';
+    const response = await fetch(`${apiUrl}/api/quotes/${requestId}/counter-offer`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(counterOffer),
+    });
+
+    if (!response.ok) {
+      throw await responseError(response, 'Failed to submit counter-offer');
+    }
+
+    const result = await response.json();
+    setCurrentQuote(prev => ({ ...prev, negotiation: result.negotiation }));
+    return result;
+  };
+
   return (
     <Router>
       <div className="App">
@@ -119,6 +153,7 @@ function App() {
                             quote={currentQuote}
                             onBookingConfirm={handleBookingConfirm}
                             onQuoteDecline={handleQuoteDecline}
+                            onCounterOffer={handleCounterOffer}
                           />
                         )}
                       </div>
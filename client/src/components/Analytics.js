@@ -1,10 +1,13 @@
 import React, { useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area, BarChart, Bar } from 'recharts';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, AreaChart, Area, BarChart, Bar, ComposedChart } from 'recharts';
 
 const Analytics = () => {
   const [analytics, setAnalytics] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [timeRange, setTimeRange] = useState('30d');
+  const [championChallenger, setChampionChallenger] = useState(null);
+  const [seasonality, setSeasonality] = useState(null);
+  const [benchmarks, setBenchmarks] = useState(null);
 
   useEffect(() => {
     fetchAnalytics();
@@ -17,6 +20,22 @@ const Analytics = () => {
         const data = await response.json();
         setAnalytics(data);
       }
+
+      const comparisonResponse = await fetch('/api/analytics/champion-challenger');
+      if (comparisonResponse.ok) {
+        const comparison = await comparisonResponse.json();
+        setChampionChallenger(comparison);
+      }
+
+      const seasonalityResponse = await fetch('/api/analytics/seasonality');
+      if (seasonalityResponse.ok) {
+        setSeasonality(await seasonalityResponse.json());
+      }
+
+      const benchmarkResponse = await fetch('/api/benchmarks/summary');
+      if (benchmarkResponse.ok) {
+        setBenchmarks(await benchmarkResponse.json());
+      }
     } catch (error) {
       console.error('Error fetching analytics:', error);
     } finally {
@@ -44,13 +63,42 @@ const Analytics = () => {
     { week: 'Week 6', congestion: 0.3, fuelPrice: 470, shanghaiIndex: 1280 }
   ];
 
-  const competitorAnalysis = [
-    { competitor: 'Competitor A', avgPrice: 2850, winRate: 75 },
-    { competitor: 'Competitor B', avgPrice: 2950, winRate: 80 },
-    { competitor: 'FreightIQ', avgPrice: 2820, winRate: 88 },
-    { competitor: 'Competitor C', avgPrice: 3000, winRate: 70 },
-    { competitor: 'Competitor D', avgPrice: 2900, winRate: 78 }
-  ];
+  const SEASONALITY_COLORS = ['#1e40af', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4'];
+
+  // Lanes with the most booking history, plotted against the global curve
+  const seasonalityLanes = seasonality ?
+    Object.entries(seasonality.lanes)
+      .map(([lane, curve]) => ({ lane, samples: curve.sampleCounts.reduce((sum, count) => sum + count, 0) }))
+      .sort((a, b) => b.samples - a.samples)
+      .slice(0, 5)
+      .map(({ lane }) => lane) :
+    [];
+
+  const seasonalityData = seasonality ?
+    seasonality.months.map((month, index) => {
+      const point = { month, Global: Math.round(seasonality.global.factors[index] * 1000) / 10 };
+      seasonalityLanes.forEach(lane => {
+        point[lane] = Math.round(seasonality.lanes[lane].factors[index] * 1000) / 10;
+      });
+      return point;
+    }) :
+    [];
+
+  // Competitor interquartile range as a floating bar, with the competitor
+  // and our own median rates plotted over it, per unit of the lane's
+  // freight basis
+  const rateUnits = { 'revenue-ton': 't', 'chargeable-kg': 'kg', container: 'container', truck: 'truck' };
+  const competitorAnalysis = benchmarks ?
+    benchmarks.lanes.map(lane => ({
+      lane: `${lane.lane} ${lane.shipmentMode}`,
+      unit: rateUnits[lane.rateBasis],
+      base: lane.competitor.p25,
+      range: Math.round((lane.competitor.p75 - lane.competitor.p25) * 100) / 100,
+      competitorMedian: lane.competitor.median,
+      quotedMedian: lane.quoted.median,
+      samples: lane.samples
+    })) :
+    [];
 
   const routeAnalysis = [
     { route: 'Shanghai-LA', volume: 120, avgPrice: 2850, margin: 15.2 },
@@ -176,17 +224,29 @@ const Analytics = () => {
       <div className="grid grid-2 gap-6 mb-8">
         <div className="analytics-chart">
           <h3 className="chart-title">Competitive Analysis</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={competitorAnalysis}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="competitor" />
-              <YAxis yAxisId="left" />
-              <YAxis yAxisId="right" orientation="right" />
-              <Tooltip />
-              <Bar yAxisId="left" dataKey="winRate" fill="#1e40af" name="Win Rate (%)" />
-              <Bar yAxisId="right" dataKey="avgPrice" fill="#10b981" name="Avg Price ($)" />
-            </BarChart>
-          </ResponsiveContainer>
+          {competitorAnalysis.length > 0 ? (
+            <ResponsiveContainer width="100%" height={300}>
+              <ComposedChart data={competitorAnalysis}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="lane" />
+                <YAxis />
+                <Tooltip
+                  formatter={(value, name, item) => (item.dataKey === 'range' ?
+                    [`$${item.payload.base}–$${Math.round((item.payload.base + value) * 100) / 100}/${item.payload.unit}`,
+                      name] :
+                    [`$${value}/${item.payload.unit}`, name])}
+                />
+                <Bar dataKey="base" stackId="competitor" fill="transparent" legendType="none" tooltipType="none" />
+                <Bar dataKey="range" stackId="competitor" fill="#93c5fd" name="Competitor p25–p75" />
+                <Line dataKey="competitorMedian" stroke="#1e40af" strokeWidth={0} dot={{ r: 5 }} name="Competitor median" />
+                <Line dataKey="quotedMedian" stroke="#10b981" strokeWidth={0} dot={{ r: 6 }} name="FreightIQ quoted median" />
+              </ComposedChart>
+            </ResponsiveContainer>
+          ) : (
+            <p className="text-sm text-gray-500">
+              No competitor benchmarks recorded in the last {benchmarks ? benchmarks.lookbackDays : 90} days.
+            </p>
+          )}
         </div>
 
         <div className="analytics-chart">
@@ -228,6 +288,72 @@ const Analytics = () => {
         </div>
       </div>
 
+      <div className="analytics-chart">
+        <h3 className="chart-title">Champion vs Challenger</h3>
+        {championChallenger?.challengers?.length ? (
+          <div className="grid grid-2 gap-6">
+            {championChallenger.challengers.map(comparison => (
+              <div key={comparison.challengerVersion} className="result-breakdown">
+                <h4 className="breakdown-title">
+                  Challenger {comparison.challengerVersion} vs {comparison.championVersions.join(', ')}
+                </h4>
+                <div className="breakdown-item">
+                  <span className="breakdown-label">Quotes compared</span>
+                  <span className="breakdown-value">
+                    {comparison.comparedQuotes} ({comparison.bookedQuotes} booked, {comparison.negotiatedBookings ?? 0} negotiated)
+                  </span>
+                </div>
+                <div className="breakdown-item">
+                  <span className="breakdown-label">MAPE vs negotiated price</span>
+                  <span className="breakdown-value">
+                    {comparison.champion.mape ?? '–'}% / {comparison.challenger.mape ?? '–'}%
+                  </span>
+                </div>
+                <div className="breakdown-item">
+                  <span className="breakdown-label">Win rate (actual / implied)</span>
+                  <span className="breakdown-value">
+                    {comparison.champion.winRate ?? '–'}% / {comparison.challenger.impliedWinRate ?? '–'}%
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">
+            No challenger model is being shadow scored yet.
+          </p>
+        )}
+      </div>
+
+      <div className="analytics-chart">
+        <h3 className="chart-title">Lane Seasonality by Departure Month</h3>
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={seasonalityData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="month" />
+            <YAxis unit="%" />
+            <Tooltip formatter={(value) => `${value > 0 ? '+' : ''}${value}%`} />
+            {['Global', ...seasonalityLanes].map((series, index) => (
+              <Line
+                key={series}
+                type="monotone"
+                dataKey={series}
+                stroke={SEASONALITY_COLORS[index % SEASONALITY_COLORS.length]}
+                strokeWidth={series === 'Global' ? 3 : 2}
+                strokeDasharray={series === 'Global' ? '5 5' : undefined}
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+        {seasonality && (
+          <p className="text-sm text-gray-500">
+            {seasonality.source === 'learned' ?
+              `Learned from booked quotes by model ${seasonality.modelVersion}.` :
+              'Default curve; lane curves are learned when a trained model is active.'}
+          </p>
+        )}
+      </div>
+
       <div className="analytics-chart">
         <h3 className="chart-title">Key Insights & Recommendations</h3>
         <div className="grid grid-2 gap-6">
@@ -3,6 +3,7 @@ import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContai
 
 const Dashboard = () => {
   const [analytics, setAnalytics] = useState(null);
+  const [drift, setDrift] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
   useEffect(() => {
@@ -16,6 +17,11 @@ const Dashboard = () => {
         const data = await response.json();
         setAnalytics(data);
       }
+
+      const driftResponse = await fetch('/api/monitoring/drift');
+      if (driftResponse.ok) {
+        setDrift(await driftResponse.json());
+      }
     } catch (error) {
       console.error('Error fetching analytics:', error);
     } finally {
@@ -51,6 +57,22 @@ const Dashboard = () => {
 
   const COLORS = ['#1e40af', '#3b82f6', '#06b6d4', '#10b981', '#f59e0b'];
 
+  const DRIFT_STATUS = {
+    drift: { label: 'Drift detected', color: '#dc2626' },
+    stable: { label: 'Stable', color: '#10b981' },
+    insufficient_data: { label: 'Not enough data', color: '#64748b' },
+    no_reference: { label: 'No trained model active', color: '#64748b' }
+  };
+
+  const formatDriftSummary = (feature) => {
+    if (feature.type === 'categorical') {
+      return Object.entries(feature.current.distribution)
+        .map(([category, share]) => `${category} ${share}% (was ${feature.reference.distribution[category]}%)`)
+        .join(', ');
+    }
+    return `mean ${feature.current.mean} (was ${feature.reference.mean})`;
+  };
+
   if (isLoading) {
     return (
       <div className="loading-spinner">
@@ -165,6 +187,34 @@ const Dashboard = () => {
         </ResponsiveContainer>
       </div>
 
+      <div className="analytics-chart">
+        <h3 className="chart-title">Input Drift</h3>
+        {drift && (
+          <div className="result-breakdown">
+            <div className="breakdown-item">
+              <span className="breakdown-label">
+                Last {drift.current.days} days vs training window
+                {drift.modelVersion ? ` of model ${drift.modelVersion}` : ''}
+              </span>
+              <span className="breakdown-value" style={{ color: DRIFT_STATUS[drift.status].color }}>
+                {DRIFT_STATUS[drift.status].label}
+              </span>
+            </div>
+            {drift.features.filter(feature => feature.pValue !== undefined).map(feature => (
+              <div key={feature.feature} className="breakdown-item">
+                <span className="breakdown-label">
+                  {feature.feature}
+                  <span className="text-sm text-gray-500"> · {formatDriftSummary(feature)}</span>
+                </span>
+                <span className="breakdown-value" style={{ color: feature.drifted ? '#dc2626' : undefined }}>
+                  p = {feature.pValue} · PSI {feature.psi}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       <div className="grid grid-3 gap-6">
         <div className="analytics-chart">
           <h3 className="chart-title">Model Performance</h3>
@@ -195,6 +245,15 @@ const Dashboard = () => {
               <span className="text-sm text-gray-600">Total Recent</span>
               <span className="text-sm font-semibold">{analytics?.totalRecentRequests || 0}</span>
             </div>
+            <div className="flex justify-between">
+              <span className="text-sm text-gray-600">Booked Revenue</span>
+              <span className="text-sm font-semibold">
+                {new Intl.NumberFormat('en-US', {
+                  style: 'currency',
+                  currency: analytics?.reportingCurrency || 'USD'
+                }).format(analytics?.recentRevenue || 0)}
+              </span>
+            </div>
           </div>
         </div>
 
@@ -1,35 +1,117 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 
 const QuoteForm = ({ onSubmit, isLoading, error }) => {
   const [formData, setFormData] = useState({
     origin: '',
     destination: '',
     cargoType: 'general',
+    transportMode: 'ocean',
+    shipmentMode: 'LCL',
+    containerType: '40GP',
+    containerCount: '1',
+    truckCount: '',
     weight: '',
     volume: '',
     serviceType: 'standard',
     customerId: 'customer-001',
-    forwarderId: 'forwarder-001'
+    forwarderId: 'forwarder-001',
+    departureDate: '',
+    latestDepartureDate: '',
+    currency: 'USD',
+    routingPreference: 'cheapest'
   });
+  const [ports, setPorts] = useState([]);
+  const [airports, setAirports] = useState([]);
+
+  // Location pickers are driven by the server's UN/LOCODE and IATA catalogs
+  useEffect(() => {
+    const apiUrl = process.env.REACT_APP_API_URL || '';
+    fetch(`${apiUrl}/api/ports`)
+      .then(response => (response.ok ? response.json() : { ports: [] }))
+      .then(data => setPorts(data.ports))
+      .catch(err => console.error('Error fetching ports:', err));
+    fetch(`${apiUrl}/api/airports`)
+      .then(response => (response.ok ? response.json() : { airports: [] }))
+      .then(data => setAirports(data.airports))
+      .catch(err => console.error('Error fetching airports:', err));
+  }, []);
+
+  const shipmentModes = {
+    ocean: [
+      { value: 'LCL', label: 'LCL (less than container load)' },
+      { value: 'FCL', label: 'FCL (full container load)' }
+    ],
+    air: [
+      { value: 'LOOSE', label: 'Loose cargo (weight breaks)' }
+    ],
+    road: [
+      { value: 'LTL', label: 'LTL (less than truckload)' },
+      { value: 'FTL', label: 'FTL (full truckload)' }
+    ]
+  };
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: value,
+      // Each transport mode has its own shipment modes
+      ...(name === 'transportMode' && { shipmentMode: shipmentModes[value][0].value })
     }));
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    // Leave out unset dates so the request is priced as shipping now,
+    // container details unless the shipment is FCL, the truck count unless
+    // an FTL count was given, and the routing preference off the ocean
+    const {
+      departureDate,
+      latestDepartureDate,
+      containerType,
+      containerCount,
+      truckCount,
+      routingPreference,
+      ...rest
+    } = formData;
+    onSubmit({
+      ...rest,
+      ...(rest.transportMode === 'ocean' && { routingPreference }),
+      ...(rest.shipmentMode === 'FCL' && { containerType, containerCount: parseInt(containerCount, 10) }),
+      ...(rest.shipmentMode === 'FTL' && truckCount && { truckCount: parseInt(truckCount, 10) }),
+      ...(departureDate && { departureDate }),
+      ...(departureDate && latestDepartureDate && { latestDepartureDate })
+    });
   };
 
-  const ports = [
-    'Shanghai', 'Los Angeles', 'Hamburg', 'New York', 'Singapore', 'Rotterdam',
-    'Tokyo', 'Hong Kong', 'Dubai', 'Mumbai', 'Barcelona', 'Antwerp'
+  const today = new Date().toISOString().slice(0, 10);
+
+  // Ocean moves between ports, air between airports and road between either
+  const locations = [
+    ...(formData.transportMode !== 'air' ?
+      ports.map(port => ({ code: port.locode, name: port.name, country: port.country })) :
+      []),
+    ...(formData.transportMode !== 'ocean' ?
+      airports.map(airport => ({ code: airport.iata, name: airport.name, country: airport.country })) :
+      [])
+  ];
+  const locationLabel = { ocean: 'Port', air: 'Airport', road: 'Location' }[formData.transportMode];
+  const locationPlaceholder = {
+    ocean: 'Search port name or UN/LOCODE',
+    air: 'Search airport, city or IATA code',
+    road: 'Search port or airport'
+  }[formData.transportMode];
+
+  const containerTypes = [
+    { value: '20GP', label: "20' dry (20GP)" },
+    { value: '40GP', label: "40' dry (40GP)" },
+    { value: '40HC', label: "40' high cube (40HC)" },
+    { value: '20RF', label: "20' reefer (20RF)" },
+    { value: '40RF', label: "40' reefer (40RF)" }
   ];
 
+  const currencies = ['USD', 'EUR', 'GBP', 'CNY', 'SGD', 'JPY', 'HKD', 'AED', 'INR', 'KRW', 'AUD', 'CAD'];
+
   return (
     <div className="quote-form">
       <h2 className="form-title">Freight Rate Request</h2>
@@ -41,39 +123,60 @@ const QuoteForm = ({ onSubmit, isLoading, error }) => {
       )}
 
       <form onSubmit={handleSubmit}>
+        <datalist id="location-options">
+          {locations.map(location => (
+            <option key={location.code} value={location.name}>{`${location.code} · ${location.country}`}</option>
+          ))}
+        </datalist>
+
         <div className="form-row">
           <div className="form-group">
-            <label className="form-label" htmlFor="origin">Origin Port</label>
+            <label className="form-label" htmlFor="transportMode">Transport Mode</label>
             <select
+              id="transportMode"
+              name="transportMode"
+              value={formData.transportMode}
+              onChange={handleInputChange}
+              className="form-select"
+            >
+              <option value="ocean">Ocean</option>
+              <option value="air">Air</option>
+              <option value="road">Road</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="origin">Origin {locationLabel}</label>
+            <input
+              type="text"
               id="origin"
               name="origin"
+              list="location-options"
               value={formData.origin}
               onChange={handleInputChange}
-              className="form-select"
+              className="form-input"
+              placeholder={locationPlaceholder}
+              autoComplete="off"
               required
-            >
-              <option value="">Select origin port</option>
-              {ports.map(port => (
-                <option key={port} value={port}>{port}</option>
-              ))}
-            </select>
+            />
           </div>
           
           <div className="form-group">
-            <label className="form-label" htmlFor="destination">Destination Port</label>
-            <select
+            <label className="form-label" htmlFor="destination">Destination {locationLabel}</label>
+            <input
+              type="text"
               id="destination"
               name="destination"
+              list="location-options"
               value={formData.destination}
               onChange={handleInputChange}
-              className="form-select"
+              className="form-input"
+              placeholder={locationPlaceholder}
+              autoComplete="off"
               required
-            >
-              <option value="">Select destination port</option>
-              {ports.map(port => (
-                <option key={port} value={port}>{port}</option>
-              ))}
-            </select>
+            />
           </div>
         </div>
 
@@ -112,6 +215,71 @@ const QuoteForm = ({ onSubmit, isLoading, error }) => {
           </div>
         </div>
 
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="shipmentMode">Shipment Mode</label>
+            <select
+              id="shipmentMode"
+              name="shipmentMode"
+              value={formData.shipmentMode}
+              onChange={handleInputChange}
+              className="form-select"
+            >
+              {shipmentModes[formData.transportMode].map(mode => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {formData.shipmentMode === 'FCL' && (
+            <div className="form-group">
+              <label className="form-label" htmlFor="containerType">Containers</label>
+              <div className="flex gap-2">
+                <select
+                  id="containerType"
+                  name="containerType"
+                  value={formData.containerType}
+                  onChange={handleInputChange}
+                  className="form-select"
+                >
+                  {containerTypes.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  id="containerCount"
+                  name="containerCount"
+                  value={formData.containerCount}
+                  onChange={handleInputChange}
+                  className="form-input"
+                  aria-label="Container count"
+                  min="1"
+                  step="1"
+                  required
+                />
+              </div>
+            </div>
+          )}
+
+          {formData.shipmentMode === 'FTL' && (
+            <div className="form-group">
+              <label className="form-label" htmlFor="truckCount">Trucks (optional)</label>
+              <input
+                type="number"
+                id="truckCount"
+                name="truckCount"
+                value={formData.truckCount}
+                onChange={handleInputChange}
+                className="form-input"
+                placeholder="As many as the cargo needs"
+                min="1"
+                step="1"
+              />
+            </div>
+          )}
+        </div>
+
         <div className="form-row">
           <div className="form-group">
             <label className="form-label" htmlFor="weight">Weight (kg)</label>
@@ -144,7 +312,36 @@ const QuoteForm = ({ onSubmit, isLoading, error }) => {
           </div>
         </div>
 
-        <div className="form-row full">
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label" htmlFor="departureDate">Ready / Departure Date</label>
+            <input
+              type="date"
+              id="departureDate"
+              name="departureDate"
+              value={formData.departureDate}
+              onChange={handleInputChange}
+              className="form-input"
+              min={today}
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="latestDepartureDate">Latest Departure (optional)</label>
+            <input
+              type="date"
+              id="latestDepartureDate"
+              name="latestDepartureDate"
+              value={formData.latestDepartureDate}
+              onChange={handleInputChange}
+              className="form-input"
+              min={formData.departureDate || today}
+              disabled={!formData.departureDate}
+            />
+          </div>
+        </div>
+
+        <div className="form-row">
           <div className="form-group">
             <label className="form-label" htmlFor="customerId">Customer ID</label>
             <input
@@ -158,8 +355,41 @@ const QuoteForm = ({ onSubmit, isLoading, error }) => {
               required
             />
           </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="currency">Quote Currency</label>
+            <select
+              id="currency"
+              name="currency"
+              value={formData.currency}
+              onChange={handleInputChange}
+              className="form-select"
+            >
+              {currencies.map(currency => (
+                <option key={currency} value={currency}>{currency}</option>
+              ))}
+            </select>
+          </div>
         </div>
 
+        {formData.transportMode === 'ocean' && (
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label" htmlFor="routingPreference">Routing</label>
+              <select
+                id="routingPreference"
+                name="routingPreference"
+                value={formData.routingPreference}
+                onChange={handleInputChange}
+                className="form-select"
+              >
+                <option value="cheapest">Cheapest routing</option>
+                <option value="fastest">Fastest routing</option>
+              </select>
+            </div>
+          </div>
+        )}
+
         <button
           type="submit"
           className="submit-button"
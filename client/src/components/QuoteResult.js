@@ -1,9 +1,37 @@
 import React, { useState } from 'react';
 import moment from 'moment';
+import { LineChart, Line, BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
 
-const QuoteResult = ({ quote, onBookingConfirm, onQuoteDecline }) => {
+const QuoteResult = ({ quote, onBookingConfirm, onQuoteDecline, onCounterOffer }) => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [message, setMessage] = useState(null);
+  const [counterPrice, setCounterPrice] = useState('');
+  const [showDeclineForm, setShowDeclineForm] = useState(false);
+  const [declineForm, setDeclineForm] = useState({
+    reason: 'price',
+    competitorPrice: '',
+    competitorCarrier: ''
+  });
+
+  const declineReasons = [
+    { value: 'price', label: 'Price too high' },
+    { value: 'lost_to_competitor', label: 'Lost to competitor' },
+    { value: 'transit_time', label: 'Transit time' },
+    { value: 'capacity', label: 'No capacity' },
+    { value: 'service', label: 'Service level' },
+    { value: 'no_longer_needed', label: 'No longer needed' }
+  ];
+
+  const handleDeclineFormChange = (e) => {
+    const { name, value } = e.target;
+    setDeclineForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  // After a negotiation the quote is booked at the latest offer
+  const offeredPrice = quote.negotiation ? quote.negotiation.currentOffer : quote.predictedPrice;
 
   const handleBookingConfirm = async () => {
     setIsProcessing(true);
@@ -15,7 +43,7 @@ const QuoteResult = ({ quote, onBookingConfirm, onQuoteDecline }) => {
         bookingId: `booking_${Date.now()}`,
         customerId: 'customer-001',
         forwarderId: 'forwarder-001',
-        finalPrice: quote.predictedPrice
+        finalPrice: offeredPrice
       };
       
       await onBookingConfirm(bookingData);
@@ -26,26 +54,31 @@ const QuoteResult = ({ quote, onBookingConfirm, onQuoteDecline }) => {
     } catch (error) {
       setMessage({
         type: 'error',
-        text: 'Failed to confirm booking. Please try again.'
+        text: `Failed to confirm booking: ${error.message}`
       });
     } finally {
       setIsProcessing(false);
     }
   };
 
-  const handleQuoteDecline = async () => {
+  const handleQuoteDecline = async (e) => {
+    e.preventDefault();
     setIsProcessing(true);
     setMessage(null);
     
     try {
       const declineData = {
         requestId: quote.requestId,
-        reason: 'Price too high',
+        reason: declineForm.reason,
         customerId: 'customer-001',
-        forwarderId: 'forwarder-001'
+        forwarderId: 'forwarder-001',
+        // Competitor details are optional, sent only when known
+        ...(declineForm.competitorPrice && { competitorPrice: parseFloat(declineForm.competitorPrice) }),
+        ...(declineForm.competitorCarrier && { competitorCarrier: declineForm.competitorCarrier })
       };
       
       await onQuoteDecline(declineData);
+      setShowDeclineForm(false);
       setMessage({
         type: 'success',
         text: 'Quote decline logged for model training.'
@@ -53,13 +86,121 @@ const QuoteResult = ({ quote, onBookingConfirm, onQuoteDecline }) => {
     } catch (error) {
       setMessage({
         type: 'error',
-        text: 'Failed to log quote decline. Please try again.'
+        text: `Failed to log quote decline: ${error.message}`
+      });
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleCounterOffer = async (e) => {
+    e.preventDefault();
+    setIsProcessing(true);
+    setMessage(null);
+
+    try {
+      const result = await onCounterOffer(quote.requestId, {
+        price: parseFloat(counterPrice),
+        party: 'customer'
+      });
+      setCounterPrice('');
+      setMessage({
+        type: result.decision === 'reject' ? 'error' : 'success',
+        text: {
+          accept: `Counter-offer accepted at ${formatMoney(result.currentOffer)}.`,
+          counter: `We can offer ${formatMoney(result.suggestedPrice)}.`,
+          reject: `Counter-offer rejected: ${result.reason}.`
+        }[result.decision]
+      });
+    } catch (error) {
+      setMessage({
+        type: 'error',
+        text: `Failed to submit counter-offer: ${error.message}`
       });
     } finally {
       setIsProcessing(false);
     }
   };
 
+  // Bookings and declines are only accepted while the quote is open
+  const isOpen = !quote.status || ['issued', 'viewed'].includes(quote.status);
+  const canNegotiate = isOpen && (!quote.negotiation || quote.negotiation.status === 'open');
+
+  // Turn the additive attribution into floating bars: each step starts where
+  // the previous one ended, base and total bars start at zero
+  const buildWaterfall = (attribution) => {
+    let running = 0;
+    const steps = attribution.map(item => {
+      const start = item.type === 'base' ? 0 : running;
+      const end = start + item.amount;
+      running = end;
+      return {
+        label: item.label,
+        amount: item.amount,
+        offset: Math.min(start, end),
+        value: Math.abs(item.amount),
+        type: item.type
+      };
+    });
+
+    return [
+      ...steps,
+      { label: 'Quoted Price', amount: running, offset: 0, value: running, type: 'total' }
+    ];
+  };
+
+  const getWaterfallColor = (step) => {
+    if (step.type !== 'adjustment') return '#1e40af';
+    return step.amount >= 0 ? '#f59e0b' : '#10b981';
+  };
+
+  const currency = quote.currency || 'USD';
+
+  const formatMoney = (amount) => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+    maximumFractionDigits: 2
+  }).format(amount);
+
+  const formatSignedAmount = (amount) => {
+    const sign = amount < 0 ? '-' : '+';
+    return `${sign}${formatMoney(Math.abs(amount))}`;
+  };
+
+  // Freight basis line and its detail for each shipment mode
+  const describeFreightBasis = (basis) => {
+    switch (basis.mode) {
+      case 'FCL':
+        return [`${basis.containerCount} × ${basis.containerType} at ${formatMoney(basis.rate)}`, `${basis.teu} TEU`];
+      case 'LOOSE':
+        return [
+          `${basis.chargeableWeightKg.toLocaleString()} kg at ${formatMoney(basis.rate)}/kg`,
+          basis.minimumApplied ?
+            `${basis.band} minimum charge` :
+            `${basis.band}, +${basis.weightBreakKg} kg break, by ${basis.basis} at 1:6000`
+        ];
+      case 'FTL':
+        return [
+          `${basis.truckCount} × truck, ${basis.distanceKm.toLocaleString()} km at ${formatMoney(basis.rate)}/km`,
+          'full truck load'
+        ];
+      case 'LTL':
+        return [
+          `${basis.chargeableWeightKg.toLocaleString()} kg over ${basis.distanceKm.toLocaleString()} km at ${formatMoney(basis.rate)}/ton-km`,
+          basis.minimumApplied ? 'minimum charge' : `by ${basis.basis}`
+        ];
+      default:
+        return [
+          `${basis.revenueTons.toLocaleString()} revenue tons W/M at ${formatMoney(basis.rate)}`,
+          `by ${basis.basis}: chargeable ${basis.chargeableWeightKg.toLocaleString()} kg`
+        ];
+    }
+  };
+
+  const [freightBasisText, freightBasisDetail] = quote.breakdown.freightBasis ?
+    describeFreightBasis(quote.breakdown.freightBasis) :
+    [];
+
   const getConfidenceColor = (confidence) => {
     if (confidence >= 0.8) return '#10b981'; // green
     if (confidence >= 0.6) return '#f59e0b'; // yellow
@@ -72,27 +213,29 @@ const QuoteResult = ({ quote, onBookingConfirm, onQuoteDecline }) => {
     return 'Low Confidence';
   };
 
+  const waterfall = quote.breakdown.attribution ? buildWaterfall(quote.breakdown.attribution) : [];
+
   return (
     <div className="quote-result">
       <div className="result-header">
         <h3 className="result-title">FreightIQ Prediction</h3>
         <div className="result-price">
-          ${quote.predictedPrice.toLocaleString()}
-          <span className="result-currency">USD</span>
+          {formatMoney(quote.predictedPrice)}
+          <span className="result-currency">{currency}</span>
         </div>
         
         <div className="confidence-score">
-          <span>{getConfidenceLabel(quote.confidence)}</span>
+          <span>{getConfidenceLabel(quote.confidenceScore)}</span>
           <div className="confidence-bar">
             <div 
               className="confidence-fill"
               style={{ 
-                width: `${quote.confidence * 100}%`,
-                backgroundColor: getConfidenceColor(quote.confidence)
+                width: `${quote.confidenceScore * 100}%`,
+                backgroundColor: getConfidenceColor(quote.confidenceScore)
               }}
             ></div>
           </div>
-          <span>{Math.round(quote.confidence * 100)}%</span>
+          <span>{Math.round(quote.confidenceScore * 100)}%</span>
         </div>
       </div>
 
@@ -102,18 +245,121 @@ const QuoteResult = ({ quote, onBookingConfirm, onQuoteDecline }) => {
         </div>
       )}
 
+      {quote.route && (
+        <div className="result-breakdown">
+          <h4 className="breakdown-title">Route</h4>
+          <div className="breakdown-item">
+            <span className="breakdown-label">Lane</span>
+            <span className="breakdown-value">
+              {quote.route.origin.name} ({quote.route.origin.code}) → {quote.route.destination.name} ({quote.route.destination.code})
+            </span>
+          </div>
+          {quote.route.transportMode && (
+            <div className="breakdown-item">
+              <span className="breakdown-label">Transport Mode</span>
+              <span className="breakdown-value">
+                {{ ocean: 'Ocean freight', air: 'Air freight', road: 'Road freight' }[quote.route.transportMode]}
+              </span>
+            </div>
+          )}
+          {quote.route.type && (
+            <div className="breakdown-item">
+              <span className="breakdown-label">Routing</span>
+              <span className="breakdown-value">
+                {quote.route.hubs.length > 0 ?
+                  `Transshipment via ${quote.route.hubs.map(hub => hub.name).join(', ')}` :
+                  'Direct service'}
+                <span className="text-sm text-gray-500"> ({quote.route.preference})</span>
+              </span>
+            </div>
+          )}
+          {quote.route.legs && quote.route.legs.length > 1 && quote.route.legs.map(leg => (
+            <div key={`${leg.from.code}-${leg.to.code}`} className="breakdown-item">
+              <span className="breakdown-label">{leg.from.name} → {leg.to.name}</span>
+              <span className="breakdown-value">
+                {leg.distanceKm.toLocaleString()} km, {leg.transitDays} days
+              </span>
+            </div>
+          ))}
+          <div className="breakdown-item">
+            <span className="breakdown-label">Distance</span>
+            <span className="breakdown-value">
+              {quote.route.distanceKm.toLocaleString()} km
+              {quote.route.via.length > 0 && (
+                <span className="text-sm text-gray-500"> via {quote.route.via.join(', ')}</span>
+              )}
+            </span>
+          </div>
+          {quote.route.transitDays && (
+            <div className="breakdown-item">
+              <span className="breakdown-label">Transit Time</span>
+              <span className="breakdown-value">{quote.route.transitDays} days</span>
+            </div>
+          )}
+          {quote.route.handlingCharges > 0 && (
+            <div className="breakdown-item">
+              <span className="breakdown-label">Transshipment Handling</span>
+              <span className="breakdown-value">{formatMoney(quote.route.handlingCharges)}</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {quote.alternatives && quote.alternatives.length > 0 && (
+        <div className="result-breakdown">
+          <h4 className="breakdown-title">Alternative Routings</h4>
+          {quote.alternatives.map(alternative => (
+            <div key={alternative.id} className="breakdown-item">
+              <span className="breakdown-label">
+                {alternative.hubs.length > 0 ?
+                  `Via ${alternative.hubs.map(hub => hub.name).join(', ')}` :
+                  'Direct service'}
+              </span>
+              <span className="breakdown-value">
+                {formatMoney(alternative.indicativePrice)}
+                <span className="text-sm text-gray-500"> · {alternative.transitDays} days</span>
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="result-breakdown">
         <h4 className="breakdown-title">Price Breakdown</h4>
-        
+
         <div className="breakdown-item">
           <span className="breakdown-label">Base Cost</span>
-          <span className="breakdown-value">${quote.breakdown.baseCost.toLocaleString()}</span>
+          <span className="breakdown-value">{formatMoney(quote.breakdown.baseCost)}</span>
         </div>
+
+        {quote.breakdown.freightBasis && (
+          <div className="breakdown-item">
+            <span className="breakdown-label">Freight Basis</span>
+            <span className="breakdown-value">
+              {freightBasisText}
+              <span className="text-sm text-gray-500"> ({freightBasisDetail})</span>
+            </span>
+          </div>
+        )}
         
         <div className="breakdown-item">
           <span className="breakdown-label">Surcharges</span>
-          <span className="breakdown-value">${quote.breakdown.surcharges.toLocaleString()}</span>
+          <span className="breakdown-value">{formatMoney(quote.breakdown.surcharges)}</span>
         </div>
+
+        {quote.breakdown.surchargeItems && quote.breakdown.surchargeItems.map(item => (
+          <div key={item.code} className="breakdown-item">
+            <span className="breakdown-label">
+              <span className="text-sm text-gray-500">{item.code}</span> {item.description}
+            </span>
+            <span className="breakdown-value">
+              {formatMoney(item.amount)}
+              <span className="text-sm text-gray-500">
+                {' '}({Math.round(item.rate * 1000) / 10}% of {formatMoney(item.base)} {item.basis})
+              </span>
+            </span>
+          </div>
+        ))}
         
         <div className="breakdown-item">
           <span className="breakdown-label">Market Adjustment</span>
@@ -126,39 +372,131 @@ const QuoteResult = ({ quote, onBookingConfirm, onQuoteDecline }) => {
         <div className="breakdown-item">
           <span className="breakdown-label">ML Prediction Adjustment</span>
           <span className="breakdown-value">
-            {quote.breakdown.mlPrediction > 0 ? '+' : ''}
-            ${quote.breakdown.mlPrediction.toLocaleString()}
+            {formatSignedAmount(quote.breakdown.mlPrediction)}
           </span>
         </div>
         
         <div className="breakdown-item">
           <span className="breakdown-label">Total Predicted Price</span>
-          <span className="breakdown-value">${quote.predictedPrice.toLocaleString()}</span>
+          <span className="breakdown-value">{formatMoney(quote.predictedPrice)}</span>
         </div>
+
+        {quote.fx && quote.fx.currency !== quote.fx.baseCurrency && (
+          <div className="breakdown-item">
+            <span className="breakdown-label">Locked FX Rate</span>
+            <span className="breakdown-value">
+              1 {quote.fx.baseCurrency} = {quote.fx.rate} {quote.fx.currency}
+              <span className="text-sm text-gray-500"> (rates as of {moment(quote.fx.ratesAsOf).format('MMM D, YYYY')})</span>
+            </span>
+          </div>
+        )}
       </div>
 
+      {quote.breakdown.attribution && (
+        <div className="price-attribution">
+          <h4 className="breakdown-title">Price Attribution</h4>
+          <ResponsiveContainer width="100%" height={40 + waterfall.length * 32}>
+            <BarChart data={waterfall} layout="vertical">
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" tickFormatter={value => formatMoney(Math.round(value))} />
+              <YAxis type="category" dataKey="label" width={170} />
+              <Tooltip formatter={(value, name, item) => [formatSignedAmount(item.payload.amount), 'Amount']} />
+              <Bar dataKey="offset" stackId="waterfall" fill="transparent" />
+              <Bar dataKey="value" stackId="waterfall">
+                {waterfall.map((step, index) => (
+                  <Cell key={`step-${index}`} fill={getWaterfallColor(step)} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+          {quote.breakdown.attribution.map(item => (
+            <div className="breakdown-item" key={item.factor}>
+              <span className="breakdown-label">{item.label}</span>
+              <span className="breakdown-value">
+                {item.type === 'base' ? formatMoney(item.amount) : formatSignedAmount(item.amount)}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="confidence-band">
         <h4 className="breakdown-title">Confidence Band</h4>
         <div className="breakdown-item">
           <span className="breakdown-label">Lower Bound</span>
-          <span className="breakdown-value">${quote.confidenceBand.lower.toLocaleString()}</span>
+          <span className="breakdown-value">{formatMoney(quote.confidenceBand.lower)}</span>
         </div>
         <div className="breakdown-item">
           <span className="breakdown-label">Upper Bound</span>
-          <span className="breakdown-value">${quote.confidenceBand.upper.toLocaleString()}</span>
+          <span className="breakdown-value">{formatMoney(quote.confidenceBand.upper)}</span>
         </div>
         <div className="breakdown-item">
           <span className="breakdown-label">Range</span>
           <span className="breakdown-value">±{quote.confidenceBand.percentage}%</span>
         </div>
+        {quote.confidenceBand.method === 'conformal' && (
+          <div className="breakdown-item">
+            <span className="breakdown-label">Calibrated Coverage</span>
+            <span className="breakdown-value">
+              {Math.round(quote.confidenceBand.coverage * 100)}% (from {quote.confidenceBand.sampleSize} past bookings)
+            </span>
+          </div>
+        )}
       </div>
 
+      {quote.validity && (
+        <div className="result-breakdown">
+          <h4 className="breakdown-title">
+            {quote.validity.type === 'forward' ? 'Forward Quote Validity' : 'Quote Validity'}
+          </h4>
+          {quote.status && (
+            <div className="breakdown-item">
+              <span className="breakdown-label">Status</span>
+              <span className="breakdown-value">{quote.status.charAt(0).toUpperCase() + quote.status.slice(1)}</span>
+            </div>
+          )}
+          <div className="breakdown-item">
+            <span className="breakdown-label">Valid Until</span>
+            <span className="breakdown-value">
+              {moment(quote.expiresAt || quote.validity.validUntil).format('MMM D, YYYY HH:mm')}
+            </span>
+          </div>
+          {quote.validity.departureWindow && (
+            <div className="breakdown-item">
+              <span className="breakdown-label">Departure Window</span>
+              <span className="breakdown-value">
+                {moment.utc(quote.validity.departureWindow.start).format('MMM D')} – {moment.utc(quote.validity.departureWindow.end).format('MMM D, YYYY')}
+              </span>
+            </div>
+          )}
+          {quote.marketConditions?.fuelSeries && (
+            <div className="breakdown-item">
+              <span className="breakdown-label">{quote.marketConditions.fuelSeries}</span>
+              <span className="breakdown-value">
+                {quote.marketConditions.fuelPrice.toLocaleString()}
+                <span className="text-sm text-gray-500">
+                  {' '}· {quote.marketConditions.freightIndexSeries} {quote.marketConditions.freightIndex.toLocaleString()}
+                </span>
+              </span>
+            </div>
+          )}
+          {quote.marketConditions?.projection && (
+            <div className="breakdown-item">
+              <span className="breakdown-label">Market Conditions</span>
+              <span className="breakdown-value">
+                Projected {quote.marketConditions.projection.horizonDays} days ahead
+              </span>
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="margin-info">
         <h4 className="breakdown-title">Margin Information</h4>
         <div className="breakdown-item">
           <span className="breakdown-label">Margin Range</span>
           <span className="breakdown-value">
-            ${quote.marginRange.minMargin.toLocaleString()} - ${quote.marginRange.maxMargin.toLocaleString()}
+            {formatMoney(quote.marginRange.minMargin)} - {formatMoney(quote.marginRange.maxMargin)}
           </span>
         </div>
         <div className="breakdown-item">
@@ -167,11 +505,85 @@ const QuoteResult = ({ quote, onBookingConfirm, onQuoteDecline }) => {
         </div>
       </div>
 
+      {quote.priceOptimization && (
+        <div className="price-curve">
+          <h4 className="breakdown-title">Price vs Win Probability</h4>
+          <div className="breakdown-item">
+            <span className="breakdown-label">Win Probability at Quoted Price</span>
+            <span className="breakdown-value">
+              {Math.round(quote.priceOptimization.winProbability * 100)}%
+              {quote.priceOptimization.winProbabilitySource === 'prior' ? ' (prior)' : ''}
+            </span>
+          </div>
+          <div className="breakdown-item">
+            <span className="breakdown-label">Expected Margin</span>
+            <span className="breakdown-value">{formatMoney(quote.priceOptimization.expectedMargin)}</span>
+          </div>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={quote.priceOptimization.curve.map(point => ({
+              ...point,
+              winProbability: Math.round(point.winProbability * 100)
+            }))}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="price" type="number" domain={['dataMin', 'dataMax']} tickFormatter={price => formatMoney(Math.round(price))} />
+              <YAxis yAxisId="left" unit="%" />
+              <YAxis yAxisId="right" orientation="right" />
+              <Tooltip />
+              <ReferenceLine yAxisId="left" x={quote.priceOptimization.optimalPrice} stroke="#1e40af" strokeDasharray="4 4" />
+              <Line yAxisId="left" type="monotone" dataKey="winProbability" stroke="#10b981" strokeWidth={2} dot={false} name="P(win) %" />
+              <Line yAxisId="right" type="monotone" dataKey="expectedMargin" stroke="#f59e0b" strokeWidth={2} dot={false} name="Expected Margin ($)" />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <div className="result-breakdown">
+        <h4 className="breakdown-title">Negotiation</h4>
+        {quote.negotiation && quote.negotiation.rounds.map(round => (
+          <div key={round.round} className="breakdown-item">
+            <span className="breakdown-label">
+              Round {round.round}: {round.party} offered {formatMoney(round.counterPrice)}
+            </span>
+            <span className="breakdown-value">
+              {round.decision === 'counter' ? `Countered at ${formatMoney(round.suggestedPrice)}` :
+                round.decision === 'accept' ? 'Accepted' : 'Rejected'}
+            </span>
+          </div>
+        ))}
+        {quote.negotiation && (
+          <div className="breakdown-item">
+            <span className="breakdown-label">Current Offer</span>
+            <span className="breakdown-value">{formatMoney(quote.negotiation.currentOffer)}</span>
+          </div>
+        )}
+        <form className="form-row" onSubmit={handleCounterOffer}>
+          <input
+            type="number"
+            name="counterPrice"
+            value={counterPrice}
+            onChange={(e) => setCounterPrice(e.target.value)}
+            className="form-input"
+            placeholder={`Counter-price in ${currency}`}
+            min="0.01"
+            step="0.01"
+            disabled={!canNegotiate || isProcessing}
+            required
+          />
+          <button
+            type="submit"
+            className="action-button decline-button"
+            disabled={!canNegotiate || isProcessing}
+          >
+            Submit Counter-Offer
+          </button>
+        </form>
+      </div>
+
       <div className="action-buttons">
         <button
           className="action-button confirm-button"
           onClick={handleBookingConfirm}
-          disabled={isProcessing}
+          disabled={isProcessing || !isOpen}
         >
           {isProcessing ? (
             <>
@@ -185,13 +597,70 @@ const QuoteResult = ({ quote, onBookingConfirm, onQuoteDecline }) => {
         
         <button
           className="action-button decline-button"
-          onClick={handleQuoteDecline}
-          disabled={isProcessing}
+          onClick={() => setShowDeclineForm(!showDeclineForm)}
+          disabled={isProcessing || !isOpen}
         >
           Decline Quote
         </button>
       </div>
 
+      {showDeclineForm && isOpen && (
+        <form className="result-breakdown" onSubmit={handleQuoteDecline}>
+          <h4 className="breakdown-title">Decline Reason</h4>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label" htmlFor="declineReason">Reason</label>
+              <select
+                id="declineReason"
+                name="reason"
+                value={declineForm.reason}
+                onChange={handleDeclineFormChange}
+                className="form-select"
+              >
+                {declineReasons.map(reason => (
+                  <option key={reason.value} value={reason.value}>{reason.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label className="form-label" htmlFor="competitorPrice">Competitor Price ({currency}, optional)</label>
+              <input
+                type="number"
+                id="competitorPrice"
+                name="competitorPrice"
+                value={declineForm.competitorPrice}
+                onChange={handleDeclineFormChange}
+                className="form-input"
+                min="0.01"
+                step="0.01"
+              />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="competitorCarrier">Competitor Carrier (optional)</label>
+            <input
+              type="text"
+              id="competitorCarrier"
+              name="competitorCarrier"
+              value={declineForm.competitorCarrier}
+              onChange={handleDeclineFormChange}
+              className="form-input"
+              placeholder="e.g. Maersk"
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="action-button decline-button"
+            disabled={isProcessing}
+          >
+            Confirm Decline
+          </button>
+        </form>
+      )}
+
       <div className="quote-metadata">
         <p className="text-sm text-gray-500 text-center mt-4">
           Request ID: {quote.requestId} | 
@@ -10,6 +10,16 @@ const FreightIQEngine = require('./services/freightiq-engine');
 const RMSConnector = require('./services/rms-connector');
 const LCIConnector = require('./services/lci-connector');
 const TrainingStore = require('./services/training-store');
+const QuoteStore = require('./services/quote-store');
+const ModelRegistry = require('./services/model-registry');
+const ExecutionContext = require('./services/execution-context');
+const Backtester = require('./services/backtester');
+const DriftMonitor = require('./services/drift-monitor');
+const RetrainingScheduler = require('./services/retraining-scheduler');
+const CustomerStore = require('./services/customer-store');
+const FxRates = require('./services/fx-rates');
+const BenchmarkStore = require('./services/benchmark-store');
+const PortCatalog = require('./services/port-catalog');
 
 dotenv.config();
 
@@ -21,10 +31,19 @@ app.use(cors());
 app.use(express.json());
 
 // Initialize services
-const freightIQEngine = new FreightIQEngine();
-const rmsConnector = new RMSConnector();
-const lciConnector = new LCIConnector();
-const trainingStore = new TrainingStore();
+const modelRegistry = new ModelRegistry();
+const freightIQEngine = new FreightIQEngine({ modelRegistry });
+const portCatalog = new PortCatalog();
+const rmsConnector = new RMSConnector({ portCatalog });
+const fxRates = new FxRates();
+const quoteStore = new QuoteStore();
+const benchmarkStore = new BenchmarkStore({ quoteStore, fxRates, portCatalog });
+const lciConnector = new LCIConnector({ benchmarkStore, portCatalog });
+const trainingStore = new TrainingStore({ quoteStore, fxRates });
+const customerStore = new CustomerStore({ trainingStore });
+const backtester = new Backtester({ quoteStore, trainingStore, modelRegistry });
+const driftMonitor = new DriftMonitor({ quoteStore, trainingStore, modelRegistry });
+const retrainingScheduler = new RetrainingScheduler({ trainingStore, freightIQEngine, modelRegistry });
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -39,26 +58,86 @@ app.get('/api/health', (req, res) => {
 app.post('/api/predict-rate', async (req, res) => {
   try {
     const { 
-      origin, 
-      destination, 
+      origin: originInput, 
+      destination: destinationInput, 
       cargoType, 
       weight, 
       volume, 
       serviceType,
       customerId,
-      forwarderId 
+      departureDate,
+      latestDepartureDate,
+      currency,
+      supersedesRequestId,
+      routingPreference
     } = req.body;
 
     // Validate required fields
-    if (!origin || !destination || !cargoType || !weight) {
+    if (!originInput || !destinationInput || !cargoType || !weight) {
       return res.status(400).json({
         error: 'Missing required fields: origin, destination, cargoType, weight'
       });
     }
 
+    if (departureDate && !moment(departureDate, moment.ISO_8601, true).isValid()) {
+      return res.status(400).json({
+        error: 'departureDate must be an ISO 8601 date'
+      });
+    }
+    if (latestDepartureDate && (!departureDate ||
+      !moment(latestDepartureDate, moment.ISO_8601, true).isValid() ||
+      moment.utc(latestDepartureDate).isBefore(moment.utc(departureDate)))) {
+      return res.status(400).json({
+        error: 'latestDepartureDate must be an ISO 8601 date on or after departureDate'
+      });
+    }
+
+    // Transport and shipment mode: LCL is charged on chargeable weight, FCL
+    // per container, air on weight breaks and road per kilometre
+    const shipment = RMSConnector.validateShipment(req.body);
+    const { transportMode } = shipment;
+
+    // Ocean moves between ports (UN/LOCODE, name or alias), air between
+    // airports (IATA code, name or city) and road between either; lanes are
+    // keyed by catalog name
+    await portCatalog.ready;
+    const originLocation = portCatalog.requireLocation(originInput, transportMode);
+    const destinationLocation = portCatalog.requireLocation(destinationInput, transportMode);
+    const origin = originLocation.name;
+    const destination = destinationLocation.name;
+
+    // Optional transshipment hubs to route through, in order
+    const via = [].concat(req.body.via || []).map(hub => portCatalog.requireHub(hub).name);
+    if (via.length > 0 && transportMode !== 'ocean') {
+      return res.status(400).json({
+        error: 'via only applies to ocean freight'
+      });
+    }
+    if (via.length > 2 || via.some(hub => hub === origin || hub === destination)) {
+      return res.status(400).json({
+        error: 'via takes up to two transshipment hubs other than the origin and destination'
+      });
+    }
+    if (routingPreference && !['cheapest', 'fastest'].includes(routingPreference)) {
+      return res.status(400).json({
+        error: 'routingPreference must be cheapest or fastest'
+      });
+    }
+
     const requestId = uuidv4();
     console.log(`Processing rate request ${requestId} for ${origin} to ${destination}`);
 
+    // Seeded random source and clock when deterministic mode is on
+    const context = ExecutionContext.fromRequest(req.body);
+
+    // Prices are computed in the base currency and converted at a rate
+    // locked into the quote
+    const fx = await fxRates.lockRate(currency || fxRates.baseCurrency, context);
+
+    // Customers without a profile are priced as new customers
+    const customer = await customerStore.getCustomer(customerId);
+    const forwarderId = req.body.forwarderId || (customer && customer.defaultForwarderId) || undefined;
+
     // Step 1: Pull cost data from RMS
     const costData = await rmsConnector.getCostData({
       origin,
@@ -67,15 +146,22 @@ app.post('/api/predict-rate', async (req, res) => {
       weight,
       volume,
       serviceType,
-      forwarderId
-    });
+      forwarderId,
+      via,
+      routingPreference,
+      shipment
+    }, context);
 
     // Step 2: Pull market data from LCI
     const marketData = await lciConnector.getMarketData({
       origin,
       destination,
-      cargoType
-    });
+      cargoType,
+      serviceType,
+      departureDate,
+      transportMode,
+      shipmentMode: shipment.mode
+    }, context);
 
     // Step 3: Predict optimal price using ML core
     const prediction = await freightIQEngine.predictOptimalPrice({
@@ -86,30 +172,110 @@ app.post('/api/predict-rate', async (req, res) => {
       weight,
       volume,
       serviceType,
-      customerId,
-      forwarderId
+      customer,
+      forwarderId,
+      departureDate
+    }, context);
+
+    const validity = freightIQEngine.getQuoteValidity({ departureDate, latestDepartureDate }, context);
+
+    // Step 4: Persist the quote snapshot so outcomes can be joined to it
+    const quote = await quoteStore.saveQuote({
+      requestId,
+      request: {
+        origin,
+        destination,
+        originCode: originLocation.code,
+        destinationCode: destinationLocation.code,
+        transportMode,
+        via,
+        routingPreference,
+        shipmentMode: shipment.mode,
+        containerType: shipment.containerType,
+        containerCount: shipment.containerCount,
+        truckCount: shipment.truckCount,
+        cargoType,
+        weight,
+        volume,
+        serviceType,
+        customerId,
+        forwarderId,
+        departureDate,
+        latestDepartureDate
+      },
+      customer,
+      costData,
+      marketData,
+      prediction,
+      validity,
+      fx,
+      determinism: context.describe(),
+      supersedesRequestId
     });
 
-    // Step 4: Return price with confidence score
-    res.json({
+    // Step 5: Return price with confidence score, in the quote currency
+    res.json(FxRates.convertQuote({
       requestId,
+      currency: fx.currency,
+      fx,
       predictedPrice: prediction.price,
+      modelVersion: prediction.modelVersion,
       confidenceScore: prediction.confidence,
       confidenceBand: prediction.confidenceBand,
       marginRange: prediction.marginRange,
+      priceOptimization: prediction.priceOptimization,
+      validity,
+      status: quote.status,
+      expiresAt: quote.expiresAt,
+      supersedes: quote.supersedes,
+      route: {
+        transportMode,
+        origin: { code: originLocation.code, name: originLocation.name },
+        destination: { code: destinationLocation.code, name: destinationLocation.name },
+        distanceKm: costData.distance.distanceKm,
+        distanceMethod: costData.distance.method,
+        via: costData.distance.via,
+        type: costData.routing.type,
+        preference: costData.routing.preference,
+        hubs: costData.routing.hubs,
+        legs: costData.routing.legs,
+        transitDays: costData.routing.transitDays,
+        handlingCharges: costData.routing.handlingCharges
+      },
+      // Other routings at the chosen routing's markup over cost
+      alternatives: costData.alternatives.map(alternative => ({
+        id: alternative.id,
+        type: alternative.type,
+        hubs: alternative.hubs.map(({ locode, name }) => ({ locode, name })),
+        distanceKm: alternative.distanceKm,
+        transitDays: alternative.transitDays,
+        indicativePrice: Math.round(prediction.price * alternative.totalCost / costData.totalCost * 100) / 100
+      })),
+      marketConditions: {
+        conditionsDate: marketData.conditionsDate,
+        fuelSeries: marketData.fuelSeries,
+        fuelPrice: marketData.fuelPrice,
+        freightIndexSeries: marketData.freightIndexSeries,
+        freightIndex: marketData.freightIndex,
+        projection: marketData.projection
+      },
       breakdown: {
         baseCost: costData.baseCost,
+        freightBasis: costData.freightBasis,
         surcharges: costData.surcharges,
+        surchargeItems: costData.surchargeItems,
         marketAdjustment: marketData.adjustment,
-        mlPrediction: prediction.mlAdjustment
+        mlPrediction: prediction.mlAdjustment,
+        attribution: prediction.attribution
       },
-      timestamp: moment().toISOString()
-    });
+      reproducibility: context.deterministic ? context.describe() : undefined,
+      timestamp: context.now().toISOString()
+    }, fx.rate));
 
   } catch (error) {
     console.error('Error in rate prediction:', error);
-    res.status(500).json({
-      error: 'Internal server error',
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
       message: error.message
     });
   }
@@ -126,8 +292,11 @@ app.post('/api/confirm-booking', async (req, res) => {
       });
     }
 
+    // Only open quotes can be booked, and only at the quoted amount
+    await quoteStore.bookQuote(requestId, finalPrice, { bookingId });
+
     // Log successful booking for training
-    await trainingStore.logBooking({
+    const logged = await trainingStore.logBooking({
       requestId,
       bookingId,
       customerId,
@@ -136,6 +305,8 @@ app.post('/api/confirm-booking', async (req, res) => {
       status: 'booked',
       timestamp: moment().toISOString()
     });
+    await customerStore.recordOutcome(logged.customerId, logged.booking);
+    retrainingScheduler.recordOutcome();
 
     res.json({
       success: true,
@@ -146,8 +317,8 @@ app.post('/api/confirm-booking', async (req, res) => {
 
   } catch (error) {
     console.error('Error confirming booking:', error);
-    res.status(500).json({
-      error: 'Internal server error',
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
       message: error.message
     });
   }
@@ -156,23 +327,35 @@ app.post('/api/confirm-booking', async (req, res) => {
 // Quote decline endpoint
 app.post('/api/decline-quote', async (req, res) => {
   try {
-    const { requestId, reason, customerId, forwarderId } = req.body;
+    const { requestId, customerId, forwarderId } = req.body;
 
-    if (!requestId) {
+    if (!requestId || !req.body.reason) {
       return res.status(400).json({
-        error: 'Missing required field: requestId'
+        error: 'Missing required fields: requestId, reason'
       });
     }
 
+    // Reason from the taxonomy, plus the competitor price and carrier if known
+    const details = trainingStore.validateDecline(req.body);
+
+    const quote = await quoteStore.transition(requestId, 'declined', { reason: details.reason });
+
     // Log declined quote for training
-    await trainingStore.logDecline({
+    const logged = await trainingStore.logDecline({
       requestId,
-      reason,
+      ...details,
       customerId,
       forwarderId,
       status: 'declined',
       timestamp: moment().toISOString()
     });
+    await customerStore.recordOutcome(logged.customerId, logged.decline);
+    retrainingScheduler.recordOutcome();
+
+    // A known competitor price is also a benchmark for the lane
+    if (details.competitorPrice) {
+      await benchmarkStore.addFromDecline(quote, details);
+    }
 
     res.json({
       success: true,
@@ -182,6 +365,37 @@ app.post('/api/decline-quote', async (req, res) => {
 
   } catch (error) {
     console.error('Error logging quote decline:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Quote search, for pulling up past quotes
+app.get('/api/quotes', async (req, res) => {
+  try {
+    res.json(await quoteStore.searchQuotes(req.query));
+  } catch (error) {
+    console.error('Error searching quotes:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/quotes/:requestId', async (req, res) => {
+  try {
+    const quote = await quoteStore.getQuote(req.params.requestId);
+    if (!quote) {
+      return res.status(404).json({
+        error: `Unknown quote ${req.params.requestId}`
+      });
+    }
+    res.json(quote);
+  } catch (error) {
+    console.error('Error fetching quote:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
@@ -189,6 +403,80 @@ app.post('/api/decline-quote', async (req, res) => {
   }
 });
 
+// Record that the customer has opened a quote
+app.post('/api/quotes/:requestId/view', async (req, res) => {
+  try {
+    const quote = await quoteStore.markViewed(req.params.requestId);
+    res.json({
+      requestId: quote.requestId,
+      status: quote.status,
+      expiresAt: quote.expiresAt,
+      lastViewedAt: quote.lastViewedAt,
+      statusHistory: quote.statusHistory
+    });
+  } catch (error) {
+    console.error('Error marking quote viewed:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Counter-offer on an open quote, answered with accept, reject or counter
+app.post('/api/quotes/:requestId/counter-offer', async (req, res) => {
+  try {
+    const { price, party, note } = req.body;
+
+    const quote = await quoteStore.recordCounterOffer(
+      req.params.requestId,
+      { price, party, note },
+      (openQuote, counterPrice) => freightIQEngine.evaluateCounterOffer(openQuote, counterPrice)
+    );
+    const round = quote.negotiation.rounds[quote.negotiation.rounds.length - 1];
+
+    res.json({
+      requestId: quote.requestId,
+      currency: quote.negotiation.currency,
+      decision: round.decision,
+      reason: round.reason,
+      counterPrice: round.counterPrice,
+      suggestedPrice: round.suggestedPrice,
+      currentOffer: quote.negotiation.currentOffer,
+      winProbability: round.winProbability,
+      round: round.round,
+      negotiation: quote.negotiation
+    });
+  } catch (error) {
+    console.error('Error evaluating counter-offer:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Withdraw an open quote, or cancel a booked one
+app.post('/api/quotes/:requestId/cancel', async (req, res) => {
+  try {
+    const quote = await quoteStore.transition(req.params.requestId, 'cancelled', {
+      reason: req.body.reason || null
+    });
+    res.json({
+      requestId: quote.requestId,
+      status: quote.status,
+      expiresAt: quote.expiresAt,
+      statusHistory: quote.statusHistory
+    });
+  } catch (error) {
+    console.error('Error cancelling quote:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // Analytics endpoint
 app.get('/api/analytics', async (req, res) => {
   try {
@@ -203,6 +491,513 @@ app.get('/api/analytics', async (req, res) => {
   }
 });
 
+app.get('/api/analytics/champion-challenger', async (req, res) => {
+  try {
+    const report = await trainingStore.getChampionChallengerAnalytics();
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching champion/challenger analytics:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/analytics/calibration', async (req, res) => {
+  try {
+    const report = await trainingStore.getCalibrationReport();
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching calibration report:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/analytics/seasonality', (req, res) => {
+  res.json(freightIQEngine.getSeasonalityCurves());
+});
+
+// Model training endpoint
+app.post('/api/models/train', async (req, res) => {
+  try {
+    const { startDate, endDate, forwarderId, promote } = req.body;
+    const filters = {};
+    if (startDate && endDate) filters.dateRange = { startDate, endDate };
+    if (forwarderId) filters.forwarderId = forwarderId;
+
+    const trainingData = await trainingStore.getTrainingData(filters);
+    const result = await freightIQEngine.updateModel(trainingData, { promote: Boolean(promote) });
+
+    res.status(result.success ? 200 : 422).json({
+      ...result,
+      recordsAvailable: trainingData.totalRecords,
+      timestamp: moment().toISOString()
+    });
+  } catch (error) {
+    console.error('Error training model:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Model registry endpoints
+app.get('/api/models', async (req, res) => {
+  try {
+    const models = await modelRegistry.listModels();
+    res.json({
+      ...models,
+      pricingVersion: freightIQEngine.modelVersion,
+      shadowVersion: freightIQEngine.challengerVersion
+    });
+  } catch (error) {
+    console.error('Error listing models:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/models/rollback', async (req, res) => {
+  try {
+    // Let the startup load finish first so it cannot undo this change
+    await freightIQEngine.ready;
+    const entry = await modelRegistry.rollback();
+    await freightIQEngine.activateModel(entry.version);
+
+    res.json({
+      success: true,
+      activeVersion: entry.version,
+      timestamp: moment().toISOString()
+    });
+  } catch (error) {
+    console.error('Error rolling back model:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/models/challenger', async (req, res) => {
+  try {
+    await freightIQEngine.ready;
+    const result = await modelRegistry.clearChallenger();
+    freightIQEngine.clearChallenger();
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: moment().toISOString()
+    });
+  } catch (error) {
+    console.error('Error clearing challenger:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/models/:version', async (req, res) => {
+  try {
+    const entry = await modelRegistry.getModel(req.params.version);
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching model:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/models/:version/promote', async (req, res) => {
+  try {
+    await freightIQEngine.ready;
+    const { reason } = req.body;
+    // Check the version is registered, then load its artifact so a broken
+    // version never becomes active
+    await modelRegistry.getModel(req.params.version);
+    await modelRegistry.loadModel(req.params.version);
+    const entry = await modelRegistry.promote(req.params.version, reason);
+    await freightIQEngine.activateModel(entry.version);
+
+    res.json({
+      success: true,
+      activeVersion: entry.version,
+      timestamp: moment().toISOString()
+    });
+  } catch (error) {
+    console.error('Error promoting model:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/models/:version/challenger', async (req, res) => {
+  try {
+    await freightIQEngine.ready;
+    await modelRegistry.getModel(req.params.version);
+    await modelRegistry.loadModel(req.params.version);
+    const entry = await modelRegistry.setChallenger(req.params.version);
+    await freightIQEngine.activateChallenger(entry.version);
+
+    res.json({
+      success: true,
+      challengerVersion: entry.version,
+      timestamp: moment().toISOString()
+    });
+  } catch (error) {
+    console.error('Error setting challenger:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Backtest job endpoints
+app.post('/api/backtests', async (req, res) => {
+  try {
+    const { modelVersion, config, startDate, endDate, lane, cargoType } = req.body;
+
+    if (modelVersion) {
+      // Fail fast on unknown versions instead of inside the background job
+      await modelRegistry.getModel(modelVersion);
+    }
+
+    const job = backtester.startJob({ modelVersion, config, startDate, endDate, lane, cargoType });
+    res.status(202).json({
+      jobId: job.jobId,
+      status: job.status,
+      startedAt: job.startedAt
+    });
+  } catch (error) {
+    console.error('Error starting backtest:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/backtests', (req, res) => {
+  res.json({ jobs: backtester.listJobs() });
+});
+
+app.get('/api/backtests/:jobId', (req, res) => {
+  const job = backtester.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({
+      error: `Unknown backtest job ${req.params.jobId}`
+    });
+  }
+  res.json(job);
+});
+
+// FX rate table
+app.get('/api/fx-rates', async (req, res) => {
+  try {
+    await fxRates.ready;
+    res.json(fxRates.describe());
+  } catch (error) {
+    console.error('Error getting FX rates:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/fx-rates/reload', async (req, res) => {
+  try {
+    res.json(await fxRates.loadRates());
+  } catch (error) {
+    console.error('Error reloading FX rates:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Competitor rate benchmarks
+app.get('/api/benchmarks', async (req, res) => {
+  try {
+    const { lane, cargoType, serviceType, carrier, source, from, to } = req.query;
+    const benchmarks = await benchmarkStore.listBenchmarks({ lane, cargoType, serviceType, carrier, source, from, to });
+    res.json({ benchmarks, total: benchmarks.length });
+  } catch (error) {
+    console.error('Error fetching benchmarks:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/benchmarks', async (req, res) => {
+  try {
+    const benchmark = await benchmarkStore.addBenchmark(req.body, 'manual');
+    res.status(201).json(benchmark);
+  } catch (error) {
+    console.error('Error adding benchmark:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// CSV upload, sent as text/csv or as JSON { "csv": "..." }
+app.post('/api/benchmarks/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+    res.json(await benchmarkStore.importCsv(csv));
+  } catch (error) {
+    console.error('Error importing benchmarks:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/benchmarks/summary', async (req, res) => {
+  try {
+    res.json(await benchmarkStore.getSummary({ lane: req.query.lane }));
+  } catch (error) {
+    console.error('Error summarizing benchmarks:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/benchmarks/:benchmarkId', async (req, res) => {
+  try {
+    res.json(await benchmarkStore.deleteBenchmark(req.params.benchmarkId));
+  } catch (error) {
+    console.error('Error deleting benchmark:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Port catalog endpoints
+app.get('/api/ports', async (req, res) => {
+  try {
+    await portCatalog.ready;
+    const ports = portCatalog.search({ search: req.query.search, region: req.query.region });
+    res.json({ ports, total: ports.length, regions: portCatalog.regions });
+  } catch (error) {
+    console.error('Error listing ports:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/ports/distance', async (req, res) => {
+  try {
+    const { origin, destination } = req.query;
+    if (!origin || !destination) {
+      return res.status(400).json({
+        error: 'Missing required query parameters: origin, destination'
+      });
+    }
+
+    await portCatalog.ready;
+    const from = portCatalog.requirePort(origin);
+    const to = portCatalog.requirePort(destination);
+    res.json({
+      origin: portCatalog.describePort(from),
+      destination: portCatalog.describePort(to),
+      ...portCatalog.getDistance(from.locode, to.locode),
+      tradeLane: portCatalog.getTradeLane(from.locode, to.locode)
+    });
+  } catch (error) {
+    console.error('Error calculating port distance:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/ports/:locode', async (req, res) => {
+  try {
+    await portCatalog.ready;
+    const port = portCatalog.resolve(req.params.locode);
+    if (!port) {
+      return res.status(404).json({ error: `Unknown port ${req.params.locode}` });
+    }
+    res.json(portCatalog.describePort(port));
+  } catch (error) {
+    console.error('Error fetching port:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/airports', async (req, res) => {
+  try {
+    await portCatalog.ready;
+    const airports = portCatalog.searchAirports({ search: req.query.search, region: req.query.region });
+    res.json({ airports, total: airports.length, regions: portCatalog.regions });
+  } catch (error) {
+    console.error('Error listing airports:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Customer master endpoints
+app.get('/api/customers', async (req, res) => {
+  try {
+    const customers = await customerStore.listCustomers({
+      tier: req.query.tier,
+      contractStatus: req.query.contractStatus
+    });
+    res.json({ customers });
+  } catch (error) {
+    console.error('Error listing customers:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/customers', async (req, res) => {
+  try {
+    const customer = await customerStore.createCustomer(req.body);
+    res.status(201).json(customer);
+  } catch (error) {
+    console.error('Error creating customer:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/customers/:customerId', async (req, res) => {
+  try {
+    const customer = await customerStore.getCustomer(req.params.customerId);
+    if (!customer) {
+      return res.status(404).json({
+        error: `Unknown customer ${req.params.customerId}`
+      });
+    }
+    res.json(customer);
+  } catch (error) {
+    console.error('Error fetching customer:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.put('/api/customers/:customerId', async (req, res) => {
+  try {
+    const customer = await customerStore.updateCustomer(req.params.customerId, req.body);
+    res.json(customer);
+  } catch (error) {
+    console.error('Error updating customer:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.delete('/api/customers/:customerId', async (req, res) => {
+  try {
+    const result = await customerStore.deleteCustomer(req.params.customerId);
+    res.json(result);
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Scheduled retraining status, run history and manual trigger
+app.get('/api/retraining', async (req, res) => {
+  try {
+    res.json(await retrainingScheduler.getStatus());
+  } catch (error) {
+    console.error('Error fetching retraining status:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.get('/api/retraining/runs', async (req, res) => {
+  try {
+    res.json({ runs: await retrainingScheduler.getRuns() });
+  } catch (error) {
+    console.error('Error fetching retraining runs:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+app.post('/api/retraining/run', async (req, res) => {
+  try {
+    const run = await retrainingScheduler.run('manual');
+    res.json(run);
+  } catch (error) {
+    console.error('Error running retraining:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// Input drift against the active model's training window
+app.get('/api/monitoring/drift', async (req, res) => {
+  try {
+    const report = await driftMonitor.getDriftReport({
+      windowDays: req.query.windowDays,
+      alpha: req.query.alpha
+    });
+    res.json(report);
+  } catch (error) {
+    console.error('Error computing drift report:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // Serve static files from the React app build directory
 app.use(express.static(path.join(__dirname, '../client/build')));
 
@@ -211,7 +1006,14 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/build', 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`FreightIQ API server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
+// Quotes cannot be priced without a rate table, so do not start without one
+fxRates.ready.then(() => {
+  app.listen(PORT, () => {
+    console.log(`FreightIQ API server running on port ${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/api/health`);
+    retrainingScheduler.start();
+  });
+}).catch(error => {
+  console.error('Error loading FX rates, not starting:', error);
+  process.exit(1);
 });
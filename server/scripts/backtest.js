@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Replay stored quotes through a model version or rule configuration. The
+ * stores are opened read-only, and progress is logged to stderr so stdout
+ * carries nothing but the JSON report.
+ *
+ * Usage:
+ *   npm run backtest -- [--model 2.0.3] [--config overrides.json]
+ *                       [--from 2025-07-01] [--to 2025-09-30]
+ *                       [--lane "Shanghai-Los Angeles"] [--cargo hazardous]
+ *                       [--output report.json]
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const QuoteStore = require('../services/quote-store');
+const TrainingStore = require('../services/training-store');
+const ModelRegistry = require('../services/model-registry');
+const Backtester = require('../services/backtester');
+
+// The services log progress with console.log
+console.log = console.error;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const quoteStore = new QuoteStore({ readOnly: true });
+  const backtester = new Backtester({
+    quoteStore,
+    trainingStore: new TrainingStore({ quoteStore, readOnly: true }),
+    modelRegistry: new ModelRegistry({ readOnly: true })
+  });
+
+  const config = args.config ?
+    JSON.parse(await fs.readFile(path.resolve(args.config), 'utf8')) :
+    undefined;
+
+  const report = await backtester.run({
+    modelVersion: args.model,
+    config,
+    startDate: args.from,
+    endDate: args.to,
+    lane: args.lane,
+    cargoType: args.cargo
+  });
+
+  const output = JSON.stringify(report, null, 2);
+  if (args.output) {
+    await fs.writeFile(path.resolve(args.output), output);
+    console.error(`Backtest report written to ${args.output}`);
+  } else {
+    process.stdout.write(`${output}\n`);
+  }
+}
+
+main().catch(error => {
+  console.error('Backtest failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,197 @@
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const FreightIQEngine = require('./freightiq-engine');
+const ExecutionContext = require('./execution-context');
+const TrainingStore = require('./training-store');
+
+class Backtester {
+  constructor(options = {}) {
+    this.quoteStore = options.quoteStore;
+    this.trainingStore = options.trainingStore;
+    this.modelRegistry = options.modelRegistry || null;
+    // Share of the declined quoted price a customer would still have accepted
+    this.declineAcceptanceRatio = options.declineAcceptanceRatio || 0.9;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Start a backtest in the background and return its job record
+   */
+  startJob(options = {}) {
+    const job = {
+      jobId: uuidv4(),
+      status: 'running',
+      options,
+      startedAt: moment().toISOString(),
+      completedAt: null,
+      report: null,
+      error: null
+    };
+    this.jobs.set(job.jobId, job);
+
+    this.run(options)
+      .then(report => {
+        job.status = 'completed';
+        job.report = report;
+      })
+      .catch(error => {
+        console.error(`Backtester: Job ${job.jobId} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+      })
+      .finally(() => {
+        job.completedAt = moment().toISOString();
+      });
+
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  listJobs() {
+    return [...this.jobs.values()]
+      .map(({ report, ...job }) => ({ ...job, hasReport: Boolean(report) }))
+      .reverse();
+  }
+
+  /**
+   * Re-price stored quotes that reached an outcome through the given model
+   * version and/or rule configuration, using the cost and market data
+   * captured when each quote was issued
+   */
+  async run(options = {}) {
+    const { modelVersion, config, startDate, endDate, lane, cargoType } = options;
+    console.log(`Backtester: Replaying quotes through ${modelVersion || 'rule-based'} configuration`);
+
+    const engine = new FreightIQEngine({ config, simulateLatency: false });
+    if (modelVersion) {
+      if (!this.modelRegistry) throw new Error('Model registry is required to backtest a model version');
+      engine.useModels(await this.modelRegistry.loadModel(modelVersion), modelVersion);
+    }
+
+    const outcomes = await this.loadOutcomes();
+    const quotes = (await this.quoteStore.getQuotes()).filter(quote => {
+      if (!outcomes[quote.requestId]) return false;
+      if (startDate && moment(quote.issuedAt).isBefore(startDate)) return false;
+      if (endDate && moment(quote.issuedAt).isAfter(endDate)) return false;
+      if (lane && quote.lane !== lane) return false;
+      if (cargoType && quote.request.cargoType !== cargoType) return false;
+      return true;
+    });
+
+    const results = [];
+    for (const quote of quotes) {
+      results.push(await this.replayQuote(engine, quote, outcomes[quote.requestId]));
+    }
+
+    return {
+      configuration: {
+        modelVersion: modelVersion || FreightIQEngine.RULES_MODEL_VERSION,
+        config: config || {},
+        declineAcceptanceRatio: this.declineAcceptanceRatio
+      },
+      filters: { startDate: startDate || null, endDate: endDate || null, lane: lane || null, cargoType: cargoType || null },
+      summary: this.summarize(results),
+      byLane: this.groupBy(results, 'lane'),
+      byCargoType: this.groupBy(results, 'cargoType'),
+      generatedAt: moment().toISOString()
+    };
+  }
+
+  async replayQuote(engine, quote, outcome) {
+    const { request, customer, costData, marketData } = quote;
+
+    // Price at the time the quote was issued so seasonality lines up
+    const context = new ExecutionContext({
+      deterministic: true,
+      seed: quote.requestId,
+      asOf: quote.issuedAt
+    });
+
+    const prediction = await engine.predictOptimalPrice({
+      requestId: quote.requestId,
+      ...request,
+      customer,
+      costData,
+      marketData
+    }, context);
+
+    const cost = costData.totalCost || (costData.baseCost + costData.surcharges);
+    const price = prediction.price;
+    const booked = outcome.status === 'booked';
+    const finalPrice = booked ? parseFloat(outcome.finalPrice) : null;
+    // A booking confirmed at the quoted price would score the original
+    // quote as perfect, so price error is only measured on negotiated ones
+    const negotiated = booked && TrainingStore.isNegotiated(outcome);
+
+    // A booked customer still books at or below the price they paid; a
+    // declined one only at a clear discount to what we quoted
+    const simulatedWin = booked ?
+      price <= finalPrice :
+      price <= quote.predictedPrice * this.declineAcceptanceRatio;
+
+    return {
+      requestId: quote.requestId,
+      lane: quote.lane,
+      cargoType: request.cargoType,
+      booked,
+      negotiated,
+      finalPrice,
+      originalPrice: quote.predictedPrice,
+      backtestPrice: price,
+      cost,
+      absolutePercentageError: negotiated ? Math.abs(price - finalPrice) / finalPrice : null,
+      simulatedWin,
+      simulatedMargin: simulatedWin ? price - cost : 0,
+      actualMargin: booked ? finalPrice - cost : 0
+    };
+  }
+
+  summarize(results) {
+    const booked = results.filter(result => result.booked);
+    const negotiated = results.filter(result => result.negotiated);
+    const wins = results.filter(result => result.simulatedWin);
+    const round = value => Math.round(value * 100) / 100;
+
+    return {
+      quotes: results.length,
+      bookedQuotes: booked.length,
+      negotiatedBookings: negotiated.length,
+      mape: negotiated.length > 0 ?
+        round(negotiated.reduce((sum, result) => sum + result.absolutePercentageError, 0) / negotiated.length * 100) :
+        null,
+      actualWinRate: results.length > 0 ? round(booked.length / results.length * 100) : null,
+      simulatedWinRate: results.length > 0 ? round(wins.length / results.length * 100) : null,
+      actualMargin: round(results.reduce((sum, result) => sum + result.actualMargin, 0)),
+      marginCaptured: round(results.reduce((sum, result) => sum + result.simulatedMargin, 0)),
+      averagePriceChange: results.length > 0 ?
+        round(results.reduce((sum, result) =>
+          sum + (result.backtestPrice - result.originalPrice) / result.originalPrice, 0) / results.length * 100) :
+        null
+    };
+  }
+
+  groupBy(results, key) {
+    const groups = {};
+    results.forEach(result => {
+      if (!groups[result[key]]) groups[result[key]] = [];
+      groups[result[key]].push(result);
+    });
+
+    return Object.entries(groups)
+      .map(([value, groupResults]) => ({ [key]: value, ...this.summarize(groupResults) }))
+      .sort((a, b) => b.quotes - a.quotes);
+  }
+
+  async loadOutcomes() {
+    const trainingData = await this.trainingStore.getTrainingData();
+    const outcomes = {};
+    trainingData.bookings.forEach(booking => { outcomes[booking.requestId] = booking; });
+    trainingData.declines.forEach(decline => { outcomes[decline.requestId] = decline; });
+    return outcomes;
+  }
+}
+
+module.exports = Backtester;
@@ -0,0 +1,470 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+const FreightIQEngine = require('./freightiq-engine');
+const RMSConnector = require('./rms-connector');
+
+const CARGO_TYPES = Object.keys(FreightIQEngine.DEFAULT_CONFIG.cargoMultipliers);
+const SERVICE_TYPES = Object.keys(FreightIQEngine.DEFAULT_CONFIG.serviceMultipliers);
+const SOURCES = ['decline', 'manual', 'csv'];
+
+const CSV_COLUMNS = ['origin', 'destination', 'transportMode', 'shipmentMode', 'containerType', 'containerCount',
+  'truckCount', 'cargoType', 'serviceType', 'carrier', 'price', 'currency', 'weight', 'volume', 'observedAt'];
+
+// Fewer observations than this on a lane are not treated as a market rate
+const MIN_LANE_SAMPLES = 3;
+
+class BenchmarkStoreError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BenchmarkStoreError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Observed competitor rates. Prices are kept in the base currency and
+ * compared per unit of the shipment mode's freight basis (revenue ton,
+ * chargeable kg, container or truck), since benchmarks come from shipments
+ * of any size.
+ */
+class BenchmarkStore {
+  constructor(options = {}) {
+    this.quoteStore = options.quoteStore || null;
+    this.fxRates = options.fxRates || null;
+    // Resolves origins and destinations to the catalog names quotes use
+    this.portCatalog = options.portCatalog || null;
+    this.lookbackDays = options.lookbackDays || 90;
+    this.dataFile = options.dataFile || path.join(__dirname, '../data/benchmarks.json');
+    this.ready = this.initializeDataStore();
+  }
+
+  async initializeDataStore() {
+    try {
+      await fs.mkdir(path.dirname(this.dataFile), { recursive: true });
+
+      try {
+        await fs.access(this.dataFile);
+      } catch {
+        await fs.writeFile(this.dataFile, JSON.stringify({
+          benchmarks: [],
+          lastUpdated: moment().toISOString()
+        }, null, 2));
+      }
+    } catch (error) {
+      console.error('Error initializing benchmark store:', error);
+    }
+  }
+
+  async addBenchmark(observation, source = 'manual') {
+    const benchmark = await this.buildBenchmark(observation, source);
+
+    const data = await this.loadBenchmarks();
+    data.benchmarks.push(benchmark);
+    await this.saveBenchmarks(data);
+
+    console.log(`Benchmark Store: Recorded ${benchmark.carrier || 'competitor'} rate on ${benchmark.lane}`);
+    return benchmark;
+  }
+
+  /**
+   * Competitor price captured when a customer declined one of our quotes.
+   * The price is in the quote currency, converted at the quote's locked rate.
+   */
+  async addFromDecline(quote, decline) {
+    const rate = quote.fx ? quote.fx.rate : 1;
+    return this.addBenchmark({
+      origin: quote.request.origin,
+      destination: quote.request.destination,
+      transportMode: quote.request.transportMode,
+      shipmentMode: quote.request.shipmentMode,
+      containerType: quote.request.containerType,
+      containerCount: quote.request.containerCount,
+      truckCount: quote.request.truckCount,
+      cargoType: quote.request.cargoType,
+      serviceType: quote.request.serviceType,
+      weight: quote.request.weight,
+      volume: quote.request.volume,
+      carrier: decline.competitorCarrier,
+      price: Math.round(decline.competitorPrice / rate * 100) / 100,
+      currency: 'USD',
+      observedAt: moment().toISOString(),
+      requestId: quote.requestId
+    }, 'decline');
+  }
+
+  /**
+   * Import benchmarks from CSV with a header row naming the columns. Rows
+   * that fail validation are reported and the rest are imported.
+   */
+  async importCsv(csv) {
+    const rows = BenchmarkStore.parseCsv(csv || '');
+    if (rows.length < 2) {
+      throw new BenchmarkStoreError(`CSV needs a header row and at least one data row (${CSV_COLUMNS.join(',')})`);
+    }
+
+    const header = rows[0].map(column => column.trim());
+    const missing = ['origin', 'destination', 'price', 'weight'].filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      throw new BenchmarkStoreError(`CSV is missing columns: ${missing.join(', ')}`);
+    }
+
+    const imported = [];
+    const rejected = [];
+    for (let i = 1; i < rows.length; i++) {
+      if (rows[i].every(value => value.trim() === '')) continue;
+
+      const observation = {};
+      header.forEach((column, j) => {
+        if (rows[i][j] !== undefined && rows[i][j].trim() !== '') observation[column] = rows[i][j].trim();
+      });
+
+      try {
+        imported.push(await this.buildBenchmark(observation, 'csv'));
+      } catch (error) {
+        if (!error.statusCode) throw error;
+        rejected.push({ line: i + 1, error: error.message });
+      }
+    }
+
+    if (imported.length > 0) {
+      const data = await this.loadBenchmarks();
+      data.benchmarks.push(...imported);
+      await this.saveBenchmarks(data);
+    }
+
+    console.log(`Benchmark Store: Imported ${imported.length} benchmarks, rejected ${rejected.length} rows`);
+    return { imported: imported.length, rejected };
+  }
+
+  async buildBenchmark(observation, source) {
+    const { carrier, observedAt, requestId } = observation;
+    const cargoType = observation.cargoType || 'general';
+    const serviceType = observation.serviceType || 'standard';
+    const price = parseFloat(observation.price);
+    const weight = parseFloat(observation.weight);
+
+    if (!observation.origin || !observation.destination) {
+      throw new BenchmarkStoreError('Missing required fields: origin, destination');
+    }
+    if (observation.currency !== undefined && typeof observation.currency !== 'string') {
+      throw new BenchmarkStoreError('currency must be a currency code such as USD');
+    }
+    const currency = (observation.currency || 'USD').toUpperCase();
+    if (!(price > 0)) {
+      throw new BenchmarkStoreError('price must be a positive number');
+    }
+    if (!(weight > 0)) {
+      throw new BenchmarkStoreError('weight must be a positive number of kilograms');
+    }
+    if (!CARGO_TYPES.includes(cargoType)) {
+      throw new BenchmarkStoreError(`Invalid cargoType ${cargoType}, expected one of ${CARGO_TYPES.join(', ')}`);
+    }
+    if (!SERVICE_TYPES.includes(serviceType)) {
+      throw new BenchmarkStoreError(`Invalid serviceType ${serviceType}, expected one of ${SERVICE_TYPES.join(', ')}`);
+    }
+    if (observedAt && !moment(observedAt, moment.ISO_8601, true).isValid()) {
+      throw new BenchmarkStoreError('observedAt must be an ISO 8601 date');
+    }
+
+    const shipment = RMSConnector.validateShipment({ ...observation, cargoType });
+    const { transportMode } = shipment;
+    const rateUnits = RMSConnector.getRateUnits(shipment);
+    const { origin, destination } = await this.resolveLane(observation.origin, observation.destination, transportMode);
+
+    let basePrice = price;
+    if (this.fxRates && currency !== this.fxRates.baseCurrency) {
+      await this.fxRates.ready;
+      basePrice = this.fxRates.convert(price, currency, this.fxRates.baseCurrency);
+    }
+
+    return {
+      benchmarkId: BenchmarkStore.generateId(),
+      lane: `${origin}-${destination}`,
+      origin,
+      destination,
+      transportMode,
+      shipmentMode: shipment.mode,
+      containerType: shipment.containerType || null,
+      cargoType,
+      serviceType,
+      carrier: carrier || null,
+      price: basePrice,
+      priceLocal: price,
+      currency,
+      weight,
+      volume: shipment.volume,
+      rateBasis: RMSConnector.RATE_BASES[shipment.mode],
+      rateUnits,
+      rate: BenchmarkStore.ratePerUnit(basePrice, rateUnits),
+      observedAt: moment.utc(observedAt || undefined).toISOString(),
+      source: SOURCES.includes(source) ? source : 'manual',
+      requestId: requestId || null,
+      createdAt: moment().toISOString()
+    };
+  }
+
+  /**
+   * Benchmarks share lane keys with quotes, which name both ends as they
+   * appear in the port catalog; without a catalog the names are kept as given
+   */
+  async resolveLane(origin, destination, transportMode) {
+    if (!this.portCatalog) return { origin, destination };
+
+    await this.portCatalog.ready;
+    return {
+      origin: this.portCatalog.requireLocation(origin, transportMode).name,
+      destination: this.portCatalog.requireLocation(destination, transportMode).name
+    };
+  }
+
+  async listBenchmarks(filters = {}) {
+    const data = await this.loadBenchmarks();
+    return data.benchmarks
+      .filter(benchmark => !filters.lane || benchmark.lane === filters.lane)
+      .filter(benchmark => !filters.cargoType || benchmark.cargoType === filters.cargoType)
+      .filter(benchmark => !filters.serviceType || benchmark.serviceType === filters.serviceType)
+      .filter(benchmark => !filters.carrier || benchmark.carrier === filters.carrier)
+      .filter(benchmark => !filters.source || benchmark.source === filters.source)
+      .filter(benchmark => !filters.from || !moment(benchmark.observedAt).isBefore(filters.from))
+      .filter(benchmark => !filters.to || !moment(benchmark.observedAt).isAfter(filters.to))
+      .sort((a, b) => b.observedAt.localeCompare(a.observedAt));
+  }
+
+  async deleteBenchmark(benchmarkId) {
+    const data = await this.loadBenchmarks();
+    const index = data.benchmarks.findIndex(benchmark => benchmark.benchmarkId === benchmarkId);
+    if (index < 0) {
+      throw new BenchmarkStoreError(`Unknown benchmark ${benchmarkId}`, 404);
+    }
+
+    data.benchmarks.splice(index, 1);
+    await this.saveBenchmarks(data);
+    return { benchmarkId, deleted: true };
+  }
+
+  /**
+   * Competitor and own rates on a lane for one shipment mode over the
+   * lookback window. Matching cargo and service observations are used when
+   * there are enough of them, otherwise the whole lane. Pressure is how far
+   * competitors price below our quotes, as a share of our rate.
+   */
+  async getLaneBenchmark({ lane, shipmentMode = 'LCL', cargoType, serviceType, asOf }) {
+    const end = moment.utc(asOf || undefined);
+    const start = end.clone().subtract(this.lookbackDays, 'days');
+    const inWindow = record => {
+      const date = moment.utc(record.observedAt || record.issuedAt);
+      return !date.isBefore(start) && !date.isAfter(end);
+    };
+
+    const laneBenchmarks = (await this.loadBenchmarks()).benchmarks
+      .filter(benchmark => benchmark.lane === lane && benchmark.shipmentMode === shipmentMode && inWindow(benchmark));
+    const matching = laneBenchmarks
+      .filter(benchmark => benchmark.cargoType === cargoType && benchmark.serviceType === serviceType);
+    const benchmarks = matching.length >= MIN_LANE_SAMPLES ? matching : laneBenchmarks;
+
+    if (benchmarks.length < MIN_LANE_SAMPLES) {
+      return { lane, shipmentMode, samples: benchmarks.length, scope: null, pressure: null };
+    }
+
+    const quotes = this.quoteStore ?
+      (await this.quoteStore.getQuotes()).filter(quote => quote.lane === lane &&
+        BenchmarkStore.getQuoteShipment(quote).mode === shipmentMode && inWindow(quote) &&
+        (benchmarks === laneBenchmarks ||
+          (quote.request.cargoType === cargoType && quote.request.serviceType === serviceType))) :
+      [];
+
+    const competitorRate = BenchmarkStore.percentile(benchmarks.map(benchmark => benchmark.rate), 0.5);
+    const quotedRate = quotes.length > 0 ?
+      BenchmarkStore.percentile(quotes.map(BenchmarkStore.getQuotedRate), 0.5) :
+      null;
+
+    return {
+      lane,
+      shipmentMode,
+      rateBasis: RMSConnector.RATE_BASES[shipmentMode],
+      samples: benchmarks.length,
+      scope: benchmarks === matching ? 'cargo-service' : 'lane',
+      competitorMedianRate: competitorRate,
+      quotedMedianRate: quotedRate,
+      pressure: quotedRate ? Math.round((quotedRate - competitorRate) / quotedRate * 1000) / 1000 : null
+    };
+  }
+
+  /**
+   * Distribution of competitor rates next to our quoted rates per lane and
+   * shipment mode, for those with any benchmarks in the lookback window
+   */
+  async getSummary({ lane } = {}) {
+    const start = moment().subtract(this.lookbackDays, 'days');
+    const benchmarks = (await this.loadBenchmarks()).benchmarks
+      .filter(benchmark => (!lane || benchmark.lane === lane) && !moment(benchmark.observedAt).isBefore(start));
+    const quotes = this.quoteStore ?
+      (await this.quoteStore.getQuotes()).filter(quote => !moment(quote.issuedAt).isBefore(start)) :
+      [];
+
+    const groupKey = (laneKey, shipmentMode) => `${laneKey}|${shipmentMode}`;
+    const groups = [...new Set(benchmarks.map(benchmark => groupKey(benchmark.lane, benchmark.shipmentMode)))].sort();
+    return {
+      lookbackDays: this.lookbackDays,
+      currency: 'USD',
+      lanes: groups.map(group => {
+        const [laneKey, shipmentMode] = group.split('|');
+        const rates = benchmarks
+          .filter(benchmark => groupKey(benchmark.lane, benchmark.shipmentMode) === group)
+          .map(benchmark => benchmark.rate);
+        const quotedRates = quotes
+          .filter(quote => groupKey(quote.lane, BenchmarkStore.getQuoteShipment(quote).mode) === group)
+          .map(BenchmarkStore.getQuotedRate);
+
+        return {
+          lane: laneKey,
+          shipmentMode,
+          rateBasis: RMSConnector.RATE_BASES[shipmentMode],
+          samples: rates.length,
+          competitor: {
+            min: BenchmarkStore.percentile(rates, 0),
+            p25: BenchmarkStore.percentile(rates, 0.25),
+            median: BenchmarkStore.percentile(rates, 0.5),
+            p75: BenchmarkStore.percentile(rates, 0.75),
+            max: BenchmarkStore.percentile(rates, 1)
+          },
+          quoted: {
+            samples: quotedRates.length,
+            median: quotedRates.length > 0 ? BenchmarkStore.percentile(quotedRates, 0.5) : null
+          }
+        };
+      })
+    };
+  }
+
+  static ratePerUnit(price, rateUnits) {
+    return Math.round(price / rateUnits * 100) / 100;
+  }
+
+  /**
+   * The shipment a quote was priced for; quotes issued before shipment
+   * modes were recorded moved in their transport mode's default mode
+   */
+  static getQuoteShipment(quote) {
+    const { request } = quote;
+    const transportMode = request.transportMode || 'ocean';
+    return {
+      mode: request.shipmentMode || RMSConnector.SHIPMENT_MODES[transportMode][0],
+      containerCount: request.containerCount,
+      truckCount: request.truckCount,
+      weight: request.weight,
+      volume: request.volume
+    };
+  }
+
+  /**
+   * Benchmarks recorded before rate bases carry only their weight, so they
+   * are read as their transport mode's default, weight-rated shipment mode
+   */
+  static withRateBasis(benchmark) {
+    if (benchmark.rateBasis) return benchmark;
+
+    const transportMode = benchmark.transportMode || 'ocean';
+    const shipmentMode = RMSConnector.SHIPMENT_MODES[transportMode][0];
+    const rateUnits = RMSConnector.getRateUnits({ mode: shipmentMode, weight: benchmark.weight });
+    return {
+      ...benchmark,
+      transportMode,
+      shipmentMode,
+      rateBasis: RMSConnector.RATE_BASES[shipmentMode],
+      rateUnits,
+      rate: BenchmarkStore.ratePerUnit(benchmark.price, rateUnits)
+    };
+  }
+
+  static getQuotedRate(quote) {
+    return BenchmarkStore.ratePerUnit(quote.predictedPrice,
+      RMSConnector.getRateUnits(BenchmarkStore.getQuoteShipment(quote)));
+  }
+
+  /**
+   * Linearly interpolated percentile, p from 0 to 1
+   */
+  static percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Split CSV text into rows of fields, honouring double-quoted fields
+   */
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i += 1;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  static generateId() {
+    return 'benchmark_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  async loadBenchmarks() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.dataFile, 'utf8'));
+      data.benchmarks = data.benchmarks.map(BenchmarkStore.withRateBasis);
+      return data;
+    } catch (error) {
+      console.error('Error loading benchmarks:', error);
+      return { benchmarks: [], lastUpdated: moment().toISOString() };
+    }
+  }
+
+  async saveBenchmarks(data) {
+    try {
+      data.lastUpdated = moment().toISOString();
+      await fs.writeFile(this.dataFile, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('Error saving benchmarks:', error);
+      throw error;
+    }
+  }
+}
+
+BenchmarkStore.BenchmarkStoreError = BenchmarkStoreError;
+BenchmarkStore.CSV_COLUMNS = CSV_COLUMNS;
+
+module.exports = BenchmarkStore;
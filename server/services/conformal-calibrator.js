@@ -0,0 +1,104 @@
+const moment = require('moment');
+
+class ConformalCalibrator {
+  constructor(options = {}) {
+    this.coverage = options.coverage || 0.9;
+    this.minSegmentSize = options.minSegmentSize || 20;
+    this.segments = {};
+    this.calibratedAt = null;
+  }
+
+  /**
+   * Split-conformal calibration: the band half-width for a segment is the
+   * ⌈(n+1)·coverage⌉-th smallest relative residual between the quoted price
+   * and the price the customer actually booked at
+   */
+  fit(bookings) {
+    const scoresBySegment = {};
+
+    bookings.forEach(booking => {
+      const quoted = parseFloat(booking.quotedPrice);
+      const booked = parseFloat(booking.finalPrice);
+      if (!(quoted > 0) || !(booked > 0)) return;
+
+      const score = Math.abs(booked - quoted) / quoted;
+      this.segmentKeys(booking.lane, booking.cargoType).forEach(key => {
+        if (!scoresBySegment[key]) scoresBySegment[key] = [];
+        scoresBySegment[key].push(score);
+      });
+    });
+
+    this.segments = {};
+    Object.entries(scoresBySegment).forEach(([key, scores]) => {
+      if (scores.length < this.minSegmentSize) return;
+
+      const sorted = [...scores].sort((a, b) => a - b);
+      const rank = Math.ceil((sorted.length + 1) * this.coverage);
+      if (rank > sorted.length) return;
+
+      this.segments[key] = {
+        halfWidth: sorted[rank - 1],
+        sampleSize: sorted.length
+      };
+    });
+
+    this.calibratedAt = moment().toISOString();
+    return { segments: Object.keys(this.segments).length, samples: (scoresBySegment.global || []).length };
+  }
+
+  /**
+   * Most specific segment first, falling back to broader ones where data is thin
+   */
+  segmentKeys(lane, cargoType) {
+    const keys = [];
+    if (lane && cargoType) keys.push(`lane:${lane}|cargo:${cargoType}`);
+    if (lane) keys.push(`lane:${lane}`);
+    if (cargoType) keys.push(`cargo:${cargoType}`);
+    keys.push('global');
+    return keys;
+  }
+
+  /**
+   * Conformal interval around a price, or null when no segment is calibrated
+   */
+  interval(price, { lane, cargoType } = {}) {
+    const segment = this.segmentKeys(lane, cargoType).find(key => this.segments[key]);
+    if (!segment) return null;
+
+    const { halfWidth, sampleSize } = this.segments[segment];
+    return {
+      lower: Math.round(price * (1 - halfWidth) * 100) / 100,
+      upper: Math.round(price * (1 + halfWidth) * 100) / 100,
+      percentage: Math.round(halfWidth * 10000) / 100,
+      coverage: this.coverage,
+      method: 'conformal',
+      segment,
+      sampleSize
+    };
+  }
+
+  isCalibrated() {
+    return Object.keys(this.segments).length > 0;
+  }
+
+  toJSON() {
+    return {
+      coverage: this.coverage,
+      minSegmentSize: this.minSegmentSize,
+      segments: this.segments,
+      calibratedAt: this.calibratedAt
+    };
+  }
+
+  static fromJSON(artifact) {
+    const calibrator = new ConformalCalibrator({
+      coverage: artifact.coverage,
+      minSegmentSize: artifact.minSegmentSize
+    });
+    calibrator.segments = artifact.segments;
+    calibrator.calibratedAt = artifact.calibratedAt;
+    return calibrator;
+  }
+}
+
+module.exports = ConformalCalibrator;
@@ -0,0 +1,259 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+const TrainingStore = require('./training-store');
+
+const TIERS = ['premium', 'standard', 'volume', 'new'];
+const CONTRACT_STATUSES = ['spot', 'contract', 'expired', 'suspended'];
+const CREDIT_TERMS = ['prepaid', 'net15', 'net30', 'net60', 'net90'];
+
+class CustomerStoreError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CustomerStoreError';
+    this.statusCode = statusCode;
+  }
+}
+
+class CustomerStore {
+  constructor(options = {}) {
+    this.trainingStore = options.trainingStore || null;
+    this.dataFile = options.dataFile || path.join(__dirname, '../data/customers.json');
+    this.ready = this.initializeDataStore();
+  }
+
+  async initializeDataStore() {
+    try {
+      await fs.mkdir(path.dirname(this.dataFile), { recursive: true });
+
+      try {
+        await fs.access(this.dataFile);
+      } catch {
+        await fs.writeFile(this.dataFile, JSON.stringify({
+          customers: {},
+          lastUpdated: moment().toISOString()
+        }, null, 2));
+      }
+    } catch (error) {
+      console.error('Error initializing customer store:', error);
+    }
+  }
+
+  async createCustomer(profile) {
+    if (!profile.customerId) {
+      throw new CustomerStoreError('Missing required field: customerId');
+    }
+    if (typeof profile.customerId !== 'string' || !profile.customerId.trim()) {
+      throw new CustomerStoreError('customerId must be a non-empty string');
+    }
+
+    const data = await this.loadCustomers();
+    if (data.customers[profile.customerId]) {
+      throw new CustomerStoreError(`Customer ${profile.customerId} already exists`, 409);
+    }
+
+    const customer = {
+      customerId: profile.customerId,
+      name: profile.name || profile.customerId,
+      tier: 'new',
+      contractStatus: 'spot',
+      creditTerms: 'prepaid',
+      defaultForwarderId: null,
+      ...this.validateFields(profile),
+      statistics: CustomerStore.emptyStatistics(),
+      // Running counts the statistics are derived from
+      outcomeTotals: CustomerStore.emptyTotals(),
+      createdAt: moment().toISOString(),
+      updatedAt: moment().toISOString()
+    };
+
+    data.customers[customer.customerId] = customer;
+    await this.saveCustomers(data);
+
+    // Pick up outcomes logged before the profile existed
+    return this.refreshStatistics(customer.customerId);
+  }
+
+  async updateCustomer(customerId, updates) {
+    const data = await this.loadCustomers();
+    const customer = data.customers[customerId];
+    if (!customer) {
+      throw new CustomerStoreError(`Unknown customer ${customerId}`, 404);
+    }
+
+    Object.assign(customer, this.validateFields(updates), { updatedAt: moment().toISOString() });
+    await this.saveCustomers(data);
+    return customer;
+  }
+
+  async deleteCustomer(customerId) {
+    const data = await this.loadCustomers();
+    if (!data.customers[customerId]) {
+      throw new CustomerStoreError(`Unknown customer ${customerId}`, 404);
+    }
+
+    delete data.customers[customerId];
+    await this.saveCustomers(data);
+    return { customerId, deleted: true };
+  }
+
+  async getCustomer(customerId) {
+    if (!customerId) return null;
+    const data = await this.loadCustomers();
+    return data.customers[customerId] || null;
+  }
+
+  async listCustomers(filters = {}) {
+    const data = await this.loadCustomers();
+    return Object.values(data.customers)
+      .filter(customer => !filters.tier || customer.tier === filters.tier)
+      .filter(customer => !filters.contractStatus || customer.contractStatus === filters.contractStatus)
+      .sort((a, b) => a.customerId.localeCompare(b.customerId));
+  }
+
+  /**
+   * Only the editable master-data fields; statistics are derived, never set
+   */
+  validateFields(fields) {
+    const validated = {};
+
+    if (fields.name !== undefined) validated.name = String(fields.name);
+    if (fields.tier !== undefined) {
+      if (!TIERS.includes(fields.tier)) {
+        throw new CustomerStoreError(`Invalid tier ${fields.tier}, expected one of ${TIERS.join(', ')}`);
+      }
+      validated.tier = fields.tier;
+    }
+    if (fields.contractStatus !== undefined) {
+      if (!CONTRACT_STATUSES.includes(fields.contractStatus)) {
+        throw new CustomerStoreError(
+          `Invalid contractStatus ${fields.contractStatus}, expected one of ${CONTRACT_STATUSES.join(', ')}`);
+      }
+      validated.contractStatus = fields.contractStatus;
+    }
+    if (fields.creditTerms !== undefined) {
+      if (!CREDIT_TERMS.includes(fields.creditTerms)) {
+        throw new CustomerStoreError(
+          `Invalid creditTerms ${fields.creditTerms}, expected one of ${CREDIT_TERMS.join(', ')}`);
+      }
+      validated.creditTerms = fields.creditTerms;
+    }
+    if (fields.defaultForwarderId !== undefined) {
+      validated.defaultForwarderId = fields.defaultForwarderId || null;
+    }
+
+    return validated;
+  }
+
+  /**
+   * Rebuild a customer's win rate and price sensitivity from all of their
+   * logged bookings and declines
+   */
+  async refreshStatistics(customerId) {
+    const data = await this.loadCustomers();
+    const customer = data.customers[customerId];
+    if (!customer || !this.trainingStore) return customer || null;
+
+    const trainingData = await this.trainingStore.getTrainingData();
+    const belongsToCustomer = record => this.trainingStore.getCustomerId(record) === customerId;
+    const totals = CustomerStore.emptyTotals();
+    trainingData.bookings.filter(belongsToCustomer).forEach(booking => CustomerStore.addBooking(totals, booking));
+    trainingData.declines.filter(belongsToCustomer).forEach(decline => CustomerStore.addDecline(totals, decline));
+
+    customer.outcomeTotals = totals;
+    customer.statistics = CustomerStore.deriveStatistics(totals);
+    await this.saveCustomers(data);
+    return customer;
+  }
+
+  /**
+   * Add one newly logged booking or decline to the customer's statistics.
+   * Profiles saved before running totals were kept are rebuilt instead.
+   */
+  async recordOutcome(customerId, outcome) {
+    const data = await this.loadCustomers();
+    const customer = data.customers[customerId];
+    if (!customer) return null;
+    if (!customer.outcomeTotals) return this.refreshStatistics(customerId);
+
+    if (outcome.type === 'booking') {
+      CustomerStore.addBooking(customer.outcomeTotals, outcome);
+    } else {
+      CustomerStore.addDecline(customer.outcomeTotals, outcome);
+    }
+    customer.statistics = CustomerStore.deriveStatistics(customer.outcomeTotals);
+    await this.saveCustomers(data);
+    return customer;
+  }
+
+  static addBooking(totals, booking) {
+    totals.bookings += 1;
+    const quotedPrice = parseFloat(booking.quotedPrice);
+    if (quotedPrice > 0) {
+      totals.discountedBookings += 1;
+      totals.discountSum += (quotedPrice - parseFloat(booking.finalPrice)) / quotedPrice;
+    }
+  }
+
+  static addDecline(totals, decline) {
+    totals.declines += 1;
+    if (TrainingStore.isPriceDecline(decline)) totals.priceDeclines += 1;
+  }
+
+  static deriveStatistics(totals) {
+    const outcomes = totals.bookings + totals.declines;
+    return {
+      bookings: totals.bookings,
+      declines: totals.declines,
+      winRate: outcomes > 0 ? Math.round(totals.bookings / outcomes * 10000) / 100 : null,
+      // Share of outcomes lost on price, 0 (never) to 1 (always)
+      priceSensitivity: outcomes > 0 ? Math.round(totals.priceDeclines / outcomes * 1000) / 1000 : null,
+      averageDiscount: totals.discountedBookings > 0 ?
+        Math.round(totals.discountSum / totals.discountedBookings * 10000) / 100 :
+        null,
+      updatedAt: moment().toISOString()
+    };
+  }
+
+  static emptyTotals() {
+    return { bookings: 0, declines: 0, priceDeclines: 0, discountedBookings: 0, discountSum: 0 };
+  }
+
+  static emptyStatistics() {
+    return {
+      bookings: 0,
+      declines: 0,
+      winRate: null,
+      priceSensitivity: null,
+      averageDiscount: null,
+      updatedAt: null
+    };
+  }
+
+  async loadCustomers() {
+    try {
+      const data = await fs.readFile(this.dataFile, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('Error loading customers:', error);
+      return { customers: {}, lastUpdated: moment().toISOString() };
+    }
+  }
+
+  async saveCustomers(data) {
+    try {
+      data.lastUpdated = moment().toISOString();
+      await fs.writeFile(this.dataFile, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('Error saving customers:', error);
+      throw error;
+    }
+  }
+}
+
+CustomerStore.CustomerStoreError = CustomerStoreError;
+CustomerStore.TIERS = TIERS;
+CustomerStore.CONTRACT_STATUSES = CONTRACT_STATUSES;
+CustomerStore.CREDIT_TERMS = CREDIT_TERMS;
+
+module.exports = CustomerStore;
@@ -0,0 +1,352 @@
+const moment = require('moment');
+
+// Inputs compared between the training window and live traffic
+const NUMERIC_FEATURES = {
+  congestionLevel: snapshot => snapshot.marketData && snapshot.marketData.congestionLevel,
+  bunkerFuelPrice: snapshot => snapshot.marketData && snapshot.marketData.bunkerFuelPrice,
+  shanghaiIndex: snapshot => snapshot.marketData && snapshot.marketData.shanghaiIndex,
+  volatility: snapshot => snapshot.marketData && snapshot.marketData.volatility,
+  baseCost: snapshot => snapshot.costData && snapshot.costData.baseCost,
+  weight: snapshot => parseFloat(snapshot.request && snapshot.request.weight),
+  volume: snapshot => parseFloat(snapshot.request && snapshot.request.volume)
+};
+
+const CATEGORICAL_FEATURES = {
+  cargoType: snapshot => (snapshot.request && snapshot.request.cargoType) || 'general',
+  serviceType: snapshot => (snapshot.request && snapshot.request.serviceType) || 'standard',
+  transportMode: snapshot => (snapshot.request && snapshot.request.transportMode) || 'ocean'
+};
+
+class DriftMonitor {
+  constructor(options = {}) {
+    this.quoteStore = options.quoteStore;
+    this.trainingStore = options.trainingStore;
+    this.modelRegistry = options.modelRegistry || null;
+    this.alpha = options.alpha || 0.01;
+    this.minSamples = options.minSamples || 20;
+    this.windowDays = options.windowDays || 7;
+  }
+
+  /**
+   * Compare the inputs quoted over the recent window against the inputs of
+   * the records the active model was trained on. Numeric inputs use a
+   * two-sample Kolmogorov-Smirnov test, the cargo, service and transport
+   * mode mix a chi-square test; PSI is reported alongside as an effect size.
+   */
+  async getDriftReport(options = {}) {
+    const alpha = parseFloat(options.alpha) || this.alpha;
+    const windowDays = parseInt(options.windowDays) || this.windowDays;
+    const modelVersion = this.modelRegistry ? await this.modelRegistry.getActiveVersion() : null;
+
+    const currentStart = moment().subtract(windowDays, 'days');
+    const current = (await this.quoteStore.getQuotes())
+      .filter(quote => moment(quote.issuedAt).isSameOrAfter(currentStart));
+
+    const report = {
+      modelVersion,
+      alpha,
+      reference: null,
+      current: {
+        days: windowDays,
+        start: currentStart.toISOString(),
+        end: moment().toISOString(),
+        samples: current.length
+      },
+      status: 'stable',
+      driftedFeatures: [],
+      features: [],
+      generatedAt: moment().toISOString()
+    };
+
+    if (!modelVersion) {
+      report.status = 'no_reference';
+      return report;
+    }
+
+    const model = await this.modelRegistry.getModel(modelVersion);
+    const reference = await this.loadReferenceSnapshots(model.trainingWindow);
+    report.reference = {
+      start: (model.trainingWindow && model.trainingWindow.start) || null,
+      end: (model.trainingWindow && model.trainingWindow.end) || null,
+      samples: reference.length
+    };
+
+    if (reference.length < this.minSamples || current.length < this.minSamples) {
+      report.status = 'insufficient_data';
+      return report;
+    }
+
+    Object.entries(NUMERIC_FEATURES).forEach(([feature, extract]) => {
+      report.features.push(this.compareNumeric(
+        feature,
+        DriftMonitor.values(reference, extract),
+        DriftMonitor.values(current, extract),
+        alpha
+      ));
+    });
+
+    Object.entries(CATEGORICAL_FEATURES).forEach(([feature, extract]) => {
+      report.features.push(this.compareCategorical(
+        feature,
+        reference.map(extract),
+        current.map(extract),
+        alpha
+      ));
+    });
+
+    report.driftedFeatures = report.features
+      .filter(result => result.drifted)
+      .map(result => result.feature);
+    report.status = report.driftedFeatures.length > 0 ? 'drift' : 'stable';
+
+    return report;
+  }
+
+  /**
+   * Quote snapshots joined to the bookings and declines logged inside the
+   * model's training window
+   */
+  async loadReferenceSnapshots(trainingWindow) {
+    if (!trainingWindow) return [];
+
+    const { bookings, declines } = await this.trainingStore.getTrainingData();
+    return [...bookings, ...declines]
+      .filter(record => record.quote)
+      .filter(record => !moment(record.loggedAt).isBefore(trainingWindow.start) &&
+        !moment(record.loggedAt).isAfter(trainingWindow.end))
+      .map(record => record.quote);
+  }
+
+  compareNumeric(feature, reference, current, alpha) {
+    if (reference.length < this.minSamples || current.length < this.minSamples) {
+      return { feature, type: 'numeric', test: 'kolmogorov-smirnov', drifted: false, reason: 'insufficient_data' };
+    }
+
+    const { statistic, pValue } = DriftMonitor.ksTest(reference, current);
+    return {
+      feature,
+      type: 'numeric',
+      test: 'kolmogorov-smirnov',
+      statistic: DriftMonitor.round(statistic, 4),
+      pValue: DriftMonitor.round(pValue, 4),
+      psi: DriftMonitor.round(DriftMonitor.numericPSI(reference, current), 4),
+      reference: DriftMonitor.summarize(reference),
+      current: DriftMonitor.summarize(current),
+      drifted: pValue < alpha
+    };
+  }
+
+  compareCategorical(feature, reference, current, alpha) {
+    const categories = [...new Set([...reference, ...current])].sort();
+    const referenceShares = DriftMonitor.shares(reference, categories);
+    const currentShares = DriftMonitor.shares(current, categories);
+    const { statistic, degreesOfFreedom, pValue } = DriftMonitor.chiSquareTest(reference, current, categories);
+
+    const psi = categories.reduce((sum, category) =>
+      sum + DriftMonitor.psiTerm(referenceShares[category], currentShares[category]), 0);
+
+    return {
+      feature,
+      type: 'categorical',
+      test: 'chi-square',
+      statistic: DriftMonitor.round(statistic, 4),
+      degreesOfFreedom,
+      pValue: DriftMonitor.round(pValue, 4),
+      psi: DriftMonitor.round(psi, 4),
+      reference: { distribution: DriftMonitor.roundShares(referenceShares) },
+      current: { distribution: DriftMonitor.roundShares(currentShares) },
+      drifted: pValue < alpha
+    };
+  }
+
+  static values(snapshots, extract) {
+    return snapshots.map(extract).filter(Number.isFinite);
+  }
+
+  /**
+   * Two-sample KS statistic with the asymptotic Kolmogorov p-value
+   */
+  static ksTest(reference, current) {
+    const a = [...reference].sort((x, y) => x - y);
+    const b = [...current].sort((x, y) => x - y);
+    let i = 0;
+    let j = 0;
+    let statistic = 0;
+
+    while (i < a.length && j < b.length) {
+      const value = Math.min(a[i], b[j]);
+      while (i < a.length && a[i] === value) i++;
+      while (j < b.length && b[j] === value) j++;
+      statistic = Math.max(statistic, Math.abs(i / a.length - j / b.length));
+    }
+
+    const effectiveN = Math.sqrt(a.length * b.length / (a.length + b.length));
+    const lambda = (effectiveN + 0.12 + 0.11 / effectiveN) * statistic;
+    return { statistic, pValue: DriftMonitor.kolmogorovSurvival(lambda) };
+  }
+
+  static kolmogorovSurvival(lambda) {
+    if (lambda < 1e-3) return 1;
+
+    let sum = 0;
+    for (let k = 1; k <= 100; k++) {
+      const term = 2 * Math.pow(-1, k - 1) * Math.exp(-2 * k * k * lambda * lambda);
+      sum += term;
+      if (Math.abs(term) < 1e-10) break;
+    }
+    return Math.min(1, Math.max(0, sum));
+  }
+
+  /**
+   * Chi-square test of homogeneity on a 2 x k contingency table
+   */
+  static chiSquareTest(reference, current, categories) {
+    const degreesOfFreedom = categories.length - 1;
+    if (degreesOfFreedom < 1) return { statistic: 0, degreesOfFreedom: 0, pValue: 1 };
+
+    const total = reference.length + current.length;
+    let statistic = 0;
+    categories.forEach(category => {
+      const observed = [
+        reference.filter(value => value === category).length,
+        current.filter(value => value === category).length
+      ];
+      const categoryTotal = observed[0] + observed[1];
+      [reference.length, current.length].forEach((rowTotal, row) => {
+        const expected = rowTotal * categoryTotal / total;
+        if (expected > 0) statistic += Math.pow(observed[row] - expected, 2) / expected;
+      });
+    });
+
+    return {
+      statistic,
+      degreesOfFreedom,
+      pValue: DriftMonitor.upperIncompleteGamma(degreesOfFreedom / 2, statistic / 2)
+    };
+  }
+
+  /**
+   * Regularized upper incomplete gamma Q(a, x), i.e. the chi-square survival
+   * function for a = df/2, x = statistic/2
+   */
+  static upperIncompleteGamma(a, x) {
+    if (x <= 0) return 1;
+    const logPrefix = -x + a * Math.log(x) - DriftMonitor.logGamma(a);
+
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 200; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-12) break;
+      }
+      return Math.max(0, 1 - sum * Math.exp(logPrefix));
+    }
+
+    // Continued fraction (modified Lentz)
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < 200; n++) {
+      const an = -n * (n - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = b + an / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-12) break;
+    }
+    return Math.min(1, h * Math.exp(logPrefix));
+  }
+
+  /**
+   * Lanczos approximation of log Γ(x)
+   */
+  static logGamma(x) {
+    const coefficients = [
+      76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(coefficient => { series += coefficient / ++y; });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+  }
+
+  /**
+   * Population stability index over the reference deciles
+   */
+  static numericPSI(reference, current) {
+    const sorted = [...reference].sort((x, y) => x - y);
+    const edges = [];
+    for (let q = 1; q < 10; q++) {
+      const edge = sorted[Math.floor(q * sorted.length / 10)];
+      if (edges[edges.length - 1] !== edge) edges.push(edge);
+    }
+
+    const bucket = value => {
+      const index = edges.findIndex(edge => value <= edge);
+      return index === -1 ? edges.length : index;
+    };
+    const bins = values => {
+      const counts = new Array(edges.length + 1).fill(0);
+      values.forEach(value => { counts[bucket(value)] += 1; });
+      return counts.map(count => count / values.length);
+    };
+
+    const referenceBins = bins(reference);
+    const currentBins = bins(current);
+    return referenceBins.reduce((sum, share, index) => sum + DriftMonitor.psiTerm(share, currentBins[index]), 0);
+  }
+
+  static psiTerm(expected, actual) {
+    // Floor empty bins so a category missing on one side doesn't divide by zero
+    const e = Math.max(expected, 1e-4);
+    const a = Math.max(actual, 1e-4);
+    return (a - e) * Math.log(a / e);
+  }
+
+  static shares(values, categories) {
+    const shares = {};
+    categories.forEach(category => {
+      shares[category] = values.length > 0 ?
+        values.filter(value => value === category).length / values.length :
+        0;
+    });
+    return shares;
+  }
+
+  static roundShares(shares) {
+    const rounded = {};
+    Object.entries(shares).forEach(([category, share]) => {
+      rounded[category] = DriftMonitor.round(share * 100, 2);
+    });
+    return rounded;
+  }
+
+  static summarize(values) {
+    const sorted = [...values].sort((x, y) => x - y);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return {
+      samples: values.length,
+      mean: DriftMonitor.round(mean, 4),
+      median: DriftMonitor.round(sorted[Math.floor(sorted.length / 2)], 4),
+      p10: DriftMonitor.round(sorted[Math.floor(sorted.length * 0.1)], 4),
+      p90: DriftMonitor.round(sorted[Math.floor(sorted.length * 0.9)], 4)
+    };
+  }
+
+  static round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = DriftMonitor;
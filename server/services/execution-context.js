@@ -0,0 +1,115 @@
+const moment = require('moment');
+
+class ExecutionContextError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExecutionContextError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Source of randomness and time for a single quote. Live quotes use
+ * Math.random and the wall clock; deterministic quotes use a seeded
+ * generator and a fixed clock so the same inputs reproduce the same price.
+ */
+class ExecutionContext {
+  constructor(options = {}) {
+    this.deterministic = Boolean(options.deterministic);
+    this.seed = this.deterministic ? String(options.seed) : null;
+    this.asOf = options.asOf ? moment.utc(options.asOf).toISOString() : null;
+    this.random = this.deterministic ?
+      ExecutionContext.createSeededRandom(this.seed) :
+      Math.random;
+  }
+
+  now() {
+    return this.asOf ? moment.utc(this.asOf) : moment();
+  }
+
+  /**
+   * Deterministic mode is enabled per request (`deterministic: true`) or for
+   * the whole process with FREIGHTIQ_DETERMINISTIC=true. Without an explicit
+   * seed one is derived from the request payload. FREIGHTIQ_CLOCK / `asOf`
+   * pin the clock in deterministic mode only; without either it is the time
+   * of the request, so identical requests only get identical prices when
+   * they share a clock. The clock used is recorded with the quote. Live
+   * quotes always run on the wall clock.
+   */
+  static fromRequest(body = {}, env = process.env) {
+    const deterministic = body.deterministic === true || env.FREIGHTIQ_DETERMINISTIC === 'true';
+
+    if (body.asOf !== undefined && body.asOf !== null) {
+      if (!deterministic) {
+        throw new ExecutionContextError('asOf is only accepted in deterministic mode');
+      }
+      if (typeof body.asOf !== 'string' || !moment(body.asOf, moment.ISO_8601, true).isValid()) {
+        throw new ExecutionContextError('asOf must be an ISO 8601 date');
+      }
+    }
+
+    if (!deterministic) {
+      return new ExecutionContext();
+    }
+
+    const clock = env.FREIGHTIQ_CLOCK || null;
+    if (clock && !moment(clock, moment.ISO_8601, true).isValid()) {
+      throw new Error(`FREIGHTIQ_CLOCK ${clock} is not an ISO 8601 date`);
+    }
+    const asOf = body.asOf || clock;
+
+    const seed = body.seed !== undefined ? body.seed :
+      (env.FREIGHTIQ_SEED || ExecutionContext.hashPayload(body));
+
+    // Record the clock we priced at so the quote can be replayed later
+    return new ExecutionContext({
+      deterministic: true,
+      seed,
+      asOf: asOf || moment().toISOString()
+    });
+  }
+
+  describe() {
+    return {
+      deterministic: this.deterministic,
+      seed: this.seed,
+      asOf: this.asOf
+    };
+  }
+
+  static hashPayload(body) {
+    const { seed, deterministic, asOf, ...payload } = body;
+    const canonical = JSON.stringify(Object.keys(payload).sort().map(key => [key, payload[key]]));
+    return ExecutionContext.hashString(canonical).toString(16);
+  }
+
+  /**
+   * 32-bit FNV-1a string hash
+   */
+  static hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * mulberry32 generator returning floats in [0, 1), like Math.random
+   */
+  static createSeededRandom(seed) {
+    let state = ExecutionContext.hashString(String(seed));
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+ExecutionContext.ExecutionContextError = ExecutionContextError;
+
+module.exports = ExecutionContext;
@@ -1,16 +1,215 @@
 const moment = require('moment');
+const PricingModel = require('./pricing-model');
+const WinProbabilityModel = require('./win-probability-model');
+const ConformalCalibrator = require('./conformal-calibrator');
+const SeasonalityModel = require('./seasonality-model');
+const TrainingStore = require('./training-store');
+const RMSConnector = require('./rms-connector');
+const ExecutionContext = require('./execution-context');
+
+const RULES_MODEL_VERSION = '1.0.0';
+
+// Most an attribution may miss the quoted price by and still be rounding;
+// anything more means a price component was left out of the waterfall
+const ATTRIBUTION_TOLERANCE = 0.01;
+
+const MODEL_ATTRIBUTION_GROUPS = [
+  { factor: 'totalCost', label: 'Cost basis', features: ['logTotalCost'] },
+  {
+    factor: 'cargoType',
+    label: 'Cargo type',
+    features: ['cargo_hazardous', 'cargo_refrigerated', 'cargo_oversized', 'cargo_fragile']
+  },
+  { factor: 'serviceLevel', label: 'Service level', features: ['service_express', 'service_economy', 'service_premium'] },
+  { factor: 'transportMode', label: 'Transport mode', features: ['mode_air', 'mode_road'] },
+  { factor: 'shipmentSize', label: 'Weight & volume', features: ['logWeightTons', 'logVolume'] },
+  {
+    factor: 'marketAdjustment',
+    label: 'Market conditions',
+    features: ['marketAdjustment', 'competitivenessIndex', 'volatility', 'congestionLevel']
+  },
+  { factor: 'customerTier', label: 'Customer tier', features: ['logCustomerMultiplier'] },
+  { factor: 'seasonality', label: 'Seasonality', features: ['seasonalAdjustment'] },
+  {
+    factor: 'competitorPrice',
+    label: 'Competitor prices',
+    features: ['competitorPriceKnown', 'logCompetitorPriceRatio']
+  }
+];
+
+// Rule-based pricing parameters, overridable per engine (e.g. for backtests)
+const DEFAULT_CONFIG = {
+  cargoMultipliers: {
+    'general': 1.0,
+    'hazardous': 1.3,
+    'refrigerated': 1.2,
+    'oversized': 1.4,
+    'fragile': 1.1
+  },
+  serviceMultipliers: {
+    'standard': 1.0,
+    'express': 1.3,
+    'economy': 0.8,
+    'premium': 1.5
+  },
+  heavyCargoMultiplier: 1.1,
+  volumeMultiplier: 1.05,
+  competitivenessWeight: 0.1,
+  customerTiers: {
+    'premium': 1.0,
+    'standard': 0.95,
+    'volume': 0.9,
+    'new': 1.05
+  },
+  // Quote validity: spot quotes hold for a day, forward-dated quotes (departing
+  // at least forwardQuoteDays out) for forwardValidityDays or until departure
+  spotValidityHours: 24,
+  forwardQuoteDays: 7,
+  forwardValidityDays: 7,
+  departureWindowDays: 7,
+  // Counter-offers: never agree below this margin over total cost, and stop
+  // countering after this many rounds
+  minNegotiatedMargin: 0.08,
+  maxNegotiationRounds: 3,
+  // Discount at a price sensitivity of 1 (every outcome lost on price)
+  priceSensitivityWeight: 0.05,
+  seasonalMultipliers: [0.05, 0.02, 0.0, -0.02, 0.0, 0.03, 0.08, 0.1, 0.05, 0.0, -0.02, 0.03]
+};
+
+class FreightIQEngineError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FreightIQEngineError';
+    this.statusCode = statusCode;
+  }
+}
 
 class FreightIQEngine {
-  constructor() {
-    this.modelVersion = '1.0.0';
+  constructor(options = {}) {
+    this.config = FreightIQEngine.mergeConfig(options.config);
+    this.simulateLatency = options.simulateLatency !== false;
+    this.modelRegistry = options.modelRegistry || null;
+    this.modelVersion = RULES_MODEL_VERSION;
     this.lastTrainingDate = moment().subtract(1, 'day').toISOString();
+    this.pricingModel = null;
+    this.winProbabilityModel = null;
+    this.calibrator = null;
+    this.seasonality = null;
+    this.challengerModels = null;
+    this.challengerVersion = null;
+    this.ready = this.initializeModel();
+  }
+
+  /**
+   * Load the registry's active model. Without one the engine stays on the
+   * rule-based pricing as a cold-start fallback. Exposed as ready, which
+   * never rejects.
+   */
+  async initializeModel() {
+    try {
+      if (!this.modelRegistry) return;
+      await this.modelRegistry.ready;
+
+      const challengerVersion = await this.modelRegistry.getChallengerVersion();
+      if (challengerVersion) {
+        await this.activateChallenger(challengerVersion);
+      }
+
+      const activeVersion = await this.modelRegistry.getActiveVersion();
+      if (!activeVersion) {
+        console.log('FreightIQ Engine: No active model, using rule-based pricing');
+        return;
+      }
+      await this.activateModel(activeVersion);
+    } catch (error) {
+      console.error('FreightIQ Engine: Failed to load active model, using rule-based pricing:', error.message);
+    }
+  }
+
+  static mergeConfig(overrides = {}) {
+    const config = { ...DEFAULT_CONFIG, ...overrides };
+    ['cargoMultipliers', 'serviceMultipliers', 'customerTiers'].forEach(key => {
+      config[key] = { ...DEFAULT_CONFIG[key], ...(overrides[key] || {}) };
+    });
+    return config;
+  }
+
+  /**
+   * Swap the model used for pricing to the given registry version
+   */
+  async activateModel(version) {
+    const models = await this.modelRegistry.loadModel(version);
+    this.useModels(models, version);
+    console.log(`FreightIQ Engine: Pricing with model ${version}`);
+
+    if (this.challengerVersion === version) {
+      this.clearChallenger();
+    }
+    return { modelVersion: version };
+  }
+
+  useModels(models, version) {
+    const { pricingModel, winProbabilityModel, calibrator, seasonality } = models;
+    this.pricingModel = pricingModel;
+    this.winProbabilityModel = winProbabilityModel;
+    this.calibrator = calibrator;
+    this.seasonality = seasonality || null;
+    this.modelVersion = version;
+    this.lastTrainingDate = pricingModel.trainedAt;
+  }
+
+  /**
+   * Load a registry version to score every quote in shadow
+   */
+  async activateChallenger(version) {
+    this.challengerModels = await this.modelRegistry.loadModel(version);
+    this.challengerVersion = version;
+    console.log(`FreightIQ Engine: Shadow scoring with challenger ${version}`);
+    return { challengerVersion: version };
+  }
+
+  clearChallenger() {
+    this.challengerModels = null;
+    this.challengerVersion = null;
+  }
+
+  /**
+   * Price the same quote with the challenger, on the champion's price path:
+   * its own seasonality feeds the regression and its own win-probability
+   * model sets the margin. The result is only logged against the quote, the
+   * customer always gets the champion's price.
+   */
+  scoreChallenger({ features, costData, departureDate }, context = new ExecutionContext()) {
+    if (!this.challengerModels) return null;
+
+    const { pricingModel, winProbabilityModel, seasonality } = this.challengerModels;
+    const challengerFeatures = {
+      ...features,
+      seasonalAdjustment: this.getSeasonalAdjustment({ lane: costData.route, departureDate, seasonality }, context)
+    };
+    const referencePrice = pricingModel.predict(challengerFeatures);
+    if (!referencePrice) return null;
+
+    const { optimalPrice } = this.optimizeExpectedMargin({
+      referencePrice,
+      costData,
+      features: challengerFeatures,
+      winProbabilityModel
+    });
+
+    return {
+      modelVersion: this.challengerVersion,
+      price: optimalPrice,
+      referencePrice,
+      scoredAt: context.now().toISOString()
+    };
   }
 
   /**
    * Core ML prediction engine that combines cost data, market data, and historical patterns
    * to predict optimal freight pricing
    */
-  async predictOptimalPrice(params) {
+  async predictOptimalPrice(params, context = new ExecutionContext()) {
     const {
       requestId,
       costData,
@@ -19,43 +218,87 @@ class FreightIQEngine {
       weight,
       volume,
       serviceType,
-      customerId,
-      forwarderId
+      customer,
+      forwarderId,
+      departureDate
     } = params;
 
     console.log(`FreightIQ Engine: Processing prediction for request ${requestId}`);
 
     // Simulate ML model processing time
-    await this.simulateProcessingDelay();
+    await this.simulateProcessingDelay(context);
+    // Never price a quote on the rules while the active model is loading
+    await this.ready;
 
-    // Calculate base prediction using ensemble regression
-    const basePrediction = this.calculateBasePrediction({
+    const seasonalAdjustment = this.getSeasonalAdjustment({ lane: costData.route, departureDate }, context);
+    const features = PricingModel.buildFeatures({
       costData,
       marketData,
       cargoType,
       weight,
       volume,
-      serviceType
+      serviceType,
+      customerMultiplier: this.getCustomerMultiplier(customer),
+      seasonalAdjustment
     });
 
-    // Apply Bayesian optimization for margin maximization
-    const optimizedPrediction = this.applyBayesianOptimization({
-      basePrediction,
-      customerId,
-      forwarderId,
-      marketData
+    // Score with the trained regression when we have one
+    const modelPrediction = this.pricingModel ? this.pricingModel.predict(features) : null;
+    const predictionSource = modelPrediction ? 'model' : 'rules';
+
+    const attribution = [];
+    let referencePrice = modelPrediction;
+    if (referencePrice) {
+      this.buildModelAttribution(features, attribution);
+    } else {
+      // Calculate base prediction using ensemble regression
+      const basePrediction = this.calculateBasePrediction({
+        costData,
+        marketData,
+        cargoType,
+        weight,
+        volume,
+        serviceType
+      }, attribution);
+
+      // Apply Bayesian optimization for margin maximization
+      referencePrice = this.applyBayesianOptimization({
+        basePrediction,
+        customer,
+        forwarderId,
+        marketData,
+        seasonalAdjustment,
+        departureMonth: this.getDepartureMonth(departureDate, context)
+      }, attribution);
+    }
+
+    // Search for the price that maximizes P(win) × (price − cost)
+    const priceOptimization = this.optimizeExpectedMargin({
+      referencePrice,
+      costData,
+      features
     });
+    const optimizedPrediction = priceOptimization.optimalPrice;
+    this.finalizeAttribution(attribution, referencePrice, optimizedPrediction);
 
     // Calculate confidence score based on data quality and market volatility
-    const confidenceScore = this.calculateConfidenceScore({
+    const heuristicConfidence = this.calculateConfidenceScore({
       costData,
       marketData,
       cargoType,
       weight
     });
 
-    // Generate confidence band (±5-15% based on confidence score)
-    const confidenceBand = this.generateConfidenceBand(optimizedPrediction, confidenceScore);
+    // Prefer an interval calibrated on historical quoted vs booked prices;
+    // otherwise generate the heuristic band (±5-15% based on confidence score)
+    const calibratedBand = this.calibrator ?
+      this.calibrator.interval(optimizedPrediction, { lane: costData.route, cargoType }) :
+      null;
+    const confidenceBand = calibratedBand ||
+      this.generateConfidenceBand(optimizedPrediction, heuristicConfidence);
+
+    // A calibrated band's confidence is its empirical coverage level
+    const confidenceScore = calibratedBand ? calibratedBand.coverage : heuristicConfidence;
 
     // Calculate margin range for forwarder decision making
     const marginRange = this.calculateMarginRange(optimizedPrediction, costData);
@@ -65,68 +308,291 @@ class FreightIQEngine {
       confidence: confidenceScore,
       confidenceBand,
       marginRange,
+      priceOptimization,
+      attribution,
       mlAdjustment: optimizedPrediction - costData.baseCost,
-      modelVersion: this.modelVersion,
-      processingTime: moment().toISOString()
+      modelVersion: predictionSource === 'model' ? this.modelVersion : RULES_MODEL_VERSION,
+      predictionSource,
+      shadowPrediction: this.scoreChallenger({ features, costData, departureDate }, context),
+      features,
+      processingTime: context.now().toISOString()
     };
   }
 
-  calculateBasePrediction(params) {
+  calculateBasePrediction(params, attribution = []) {
     const { costData, marketData, cargoType, weight, volume, serviceType } = params;
     
     let basePrice = costData.baseCost;
+    this.recordAttribution(attribution, 'baseCost', 'Base cost', basePrice, 'base');
     
     // Apply cargo type multiplier
-    const cargoMultipliers = {
-      'general': 1.0,
-      'hazardous': 1.3,
-      'refrigerated': 1.2,
-      'oversized': 1.4,
-      'fragile': 1.1
-    };
-    basePrice *= cargoMultipliers[cargoType] || 1.0;
+    const { cargoMultipliers, serviceMultipliers } = this.config;
+    basePrice = this.applyFactor(attribution, 'cargoType', `Cargo type (${cargoType})`,
+      basePrice, basePrice * (cargoMultipliers[cargoType] || 1.0));
 
-    // Apply weight/volume adjustments
-    if (weight > 1000) basePrice *= 1.1; // Heavy cargo surcharge
-    if (volume > 50) basePrice *= 1.05; // Volume surcharge
+    // Apply weight/volume adjustments, unless the freight is already per
+    // container or truck
+    const unitPriced = Boolean(costData.freightBasis) &&
+      RMSConnector.UNIT_PRICED_MODES.includes(costData.freightBasis.mode);
+    if (weight > 1000 && !unitPriced) {
+      basePrice = this.applyFactor(attribution, 'heavyCargo', 'Heavy cargo (>1,000 kg)', basePrice,
+        basePrice * this.config.heavyCargoMultiplier);
+    }
+    if (volume > 50 && !unitPriced) {
+      basePrice = this.applyFactor(attribution, 'volume', 'Volume (>50 m³)', basePrice,
+        basePrice * this.config.volumeMultiplier);
+    }
 
     // Apply service type multiplier
-    const serviceMultipliers = {
-      'standard': 1.0,
-      'express': 1.3,
-      'economy': 0.8,
-      'premium': 1.5
-    };
-    basePrice *= serviceMultipliers[serviceType] || 1.0;
+    basePrice = this.applyFactor(attribution, 'serviceLevel', `Service level (${serviceType || 'standard'})`,
+      basePrice, basePrice * (serviceMultipliers[serviceType] || 1.0));
 
     // Apply market adjustments
-    basePrice *= (1 + marketData.adjustment);
+    basePrice = this.applyFactor(attribution, 'marketAdjustment', 'Market adjustment',
+      basePrice, basePrice * (1 + marketData.adjustment));
 
     // Add surcharges
-    basePrice += costData.surcharges;
+    basePrice = this.applyFactor(attribution, 'surcharges', 'Surcharges',
+      basePrice, basePrice + costData.surcharges);
 
     return Math.round(basePrice * 100) / 100;
   }
 
-  applyBayesianOptimization(params) {
-    const { basePrediction, customerId, forwarderId, marketData } = params;
+  applyBayesianOptimization(params, attribution = []) {
+    const { basePrediction, customer, forwarderId, marketData, seasonalAdjustment, departureMonth } = params;
     
-    // Simulate customer-specific pricing optimization
-    const customerMultiplier = this.getCustomerMultiplier(customerId);
+    // Customer-specific pricing from the customer master
+    const customerMultiplier = this.getCustomerMultiplier(customer);
     
     // Apply market competitiveness adjustment
-    const competitivenessAdjustment = marketData.competitivenessIndex * 0.1;
-    
-    // Apply seasonal adjustments
-    const seasonalAdjustment = this.getSeasonalAdjustment();
+    const competitivenessAdjustment = marketData.competitivenessIndex * this.config.competitivenessWeight;
     
-    const optimizedPrice = basePrediction * customerMultiplier * 
-                          (1 + competitivenessAdjustment) * 
-                          (1 + seasonalAdjustment);
+    let optimizedPrice = basePrediction;
+    optimizedPrice = this.applyFactor(attribution, 'customerTier',
+      `Customer tier (${this.getCustomerTier(customer)})`, optimizedPrice, optimizedPrice * customerMultiplier);
+    optimizedPrice = this.applyFactor(attribution, 'competitiveness', 'Lane competitiveness',
+      optimizedPrice, optimizedPrice * (1 + competitivenessAdjustment));
+    optimizedPrice = this.applyFactor(attribution, 'seasonality',
+      `Seasonality (${SeasonalityModel.MONTHS[departureMonth]} departure)`,
+      optimizedPrice, optimizedPrice * (1 + seasonalAdjustment));
 
     return Math.round(optimizedPrice * 100) / 100;
   }
 
+  /**
+   * Decompose a trained model's price into factor contributions. The model
+   * is linear in log(price), so each factor group scales the running price
+   * and its dollar amount is the change it makes at that point.
+   */
+  buildModelAttribution(features, attribution = []) {
+    const grouped = MODEL_ATTRIBUTION_GROUPS.flatMap(group => group.features);
+    const ungrouped = this.pricingModel.featureNames.filter(name => !grouped.includes(name));
+    if (ungrouped.length > 0) {
+      console.error(`FreightIQ Engine: Model features ${ungrouped.join(', ')} are not in any attribution group`);
+    }
+
+    const { baseline, contributions } = this.pricingModel.explain(features);
+    let price = baseline;
+    this.recordAttribution(attribution, 'modelBaseline', 'Model baseline (average booked price)', price, 'base');
+
+    const groups = [...MODEL_ATTRIBUTION_GROUPS, { factor: 'other', label: 'Other', features: ungrouped }];
+    groups.forEach(group => {
+      const logContribution = group.features.reduce((sum, name) => sum + (contributions[name] || 0), 0);
+      price = this.applyFactor(attribution, group.factor, group.label, price, price * Math.exp(logContribution));
+    });
+
+    return attribution;
+  }
+
+  /**
+   * Record the change a factor makes in whole cents of the running price, so
+   * the amounts add up to the rounded price without drifting
+   */
+  applyFactor(attribution, factor, label, before, after) {
+    const amount = Math.round(after * 100) / 100 - Math.round(before * 100) / 100;
+    if (Math.abs(amount) >= 0.005) {
+      this.recordAttribution(attribution, factor, label, amount, 'adjustment');
+    }
+    return after;
+  }
+
+  recordAttribution(attribution, factor, label, amount, type) {
+    attribution.push({ factor, label, amount: Math.round(amount * 100) / 100, type });
+  }
+
+  /**
+   * Close the attribution so the signed amounts add up exactly to the quoted
+   * price, with any leftover from cent rounding shown separately. A leftover
+   * over a cent is a bug, not rounding: it is logged and shown as Other
+   * rather than failing the quote.
+   */
+  finalizeAttribution(attribution, referencePrice, finalPrice) {
+    const optimizationDelta = finalPrice - referencePrice;
+    if (Math.abs(optimizationDelta) >= 0.01) {
+      this.recordAttribution(attribution, 'priceOptimization', 'Win-probability optimization', optimizationDelta, 'adjustment');
+    }
+
+    const attributed = attribution.reduce((sum, item) => sum + item.amount, 0);
+    const remainder = Math.round((finalPrice - attributed) * 100) / 100;
+    if (Math.abs(remainder) > ATTRIBUTION_TOLERANCE) {
+      console.error(`FreightIQ Engine: Attribution misses the quoted price ${finalPrice} by ${remainder}`);
+      const other = attribution.find(item => item.factor === 'other');
+      if (other) {
+        other.amount = Math.round((other.amount + remainder) * 100) / 100;
+      } else {
+        this.recordAttribution(attribution, 'other', 'Other', remainder, 'adjustment');
+      }
+    } else if (remainder !== 0) {
+      this.recordAttribution(attribution, 'rounding', 'Rounding', remainder, 'adjustment');
+    }
+
+    return attribution;
+  }
+
+  /**
+   * Evaluate candidate prices around the reference price and pick the one
+   * with the highest expected margin. Without a trained win-probability model
+   * the curve comes from a prior and the reference price is kept.
+   */
+  optimizeExpectedMargin(params) {
+    const { referencePrice, costData, features, winProbabilityModel = this.winProbabilityModel } = params;
+    const cost = costData.totalCost || (costData.baseCost + costData.surcharges);
+    const useModel = Boolean(winProbabilityModel && winProbabilityModel.isTrained());
+
+    const lowest = Math.max(cost * 1.01, referencePrice * 0.75);
+    const highest = Math.max(lowest, referencePrice * 1.3);
+    const steps = 24;
+
+    const curve = [];
+    for (let i = 0; i <= steps; i++) {
+      const price = Math.round((lowest + (highest - lowest) * i / steps) * 100) / 100;
+      const winProbability = useModel ?
+        winProbabilityModel.predict(features, price) :
+        this.getPriorWinProbability(price, referencePrice);
+
+      curve.push({
+        price,
+        winProbability: Math.round(winProbability * 10000) / 10000,
+        expectedMargin: Math.round(winProbability * (price - cost) * 100) / 100
+      });
+    }
+
+    const best = useModel ?
+      curve.reduce((top, point) => point.expectedMargin > top.expectedMargin ? point : top, curve[0]) :
+      null;
+    const optimalPrice = best ? best.price : referencePrice;
+    const winProbability = useModel ?
+      winProbabilityModel.predict(features, optimalPrice) :
+      this.getPriorWinProbability(optimalPrice, referencePrice);
+
+    return {
+      method: useModel ? 'expected-margin' : 'reference',
+      winProbabilitySource: useModel ? 'model' : 'prior',
+      referencePrice,
+      cost: Math.round(cost * 100) / 100,
+      optimalPrice,
+      winProbability: Math.round(winProbability * 10000) / 10000,
+      expectedMargin: Math.round(winProbability * (optimalPrice - cost) * 100) / 100,
+      curve
+    };
+  }
+
+  /**
+   * Answer a counter-price on a quote, in the quote currency. The counter is
+   * accepted once its certain margin is worth at least the expected margin of
+   * holding our current offer. Below the margin floor it is rejected once
+   * there is no room left to move; otherwise we counter with the price
+   * between the two offers that maximizes P(win) × (price − cost). In the
+   * final round a counter above the floor is accepted and anything else
+   * rejected.
+   */
+  evaluateCounterOffer(quote, counterPrice) {
+    const rate = quote.fx ? quote.fx.rate : 1;
+    const toLocal = amount => Math.round(amount * rate * 100) / 100;
+    const rounds = quote.negotiation ? quote.negotiation.rounds : [];
+    const round = rounds.length + 1;
+    const finalRound = round >= this.config.maxNegotiationRounds;
+
+    const costData = quote.costData;
+    const cost = costData.totalCost || (costData.baseCost + costData.surcharges);
+    const floorPrice = cost * (1 + this.config.minNegotiatedMargin);
+    const offerLocal = quote.negotiation ? quote.negotiation.currentOffer : quote.quotedAmount || quote.predictedPrice;
+    const offer = offerLocal / rate;
+    const counter = counterPrice / rate;
+
+    const holdValue = this.getCounterWinProbability(quote, offer) * (offer - cost);
+
+    let decision;
+    let suggestedPrice = null;
+    let reason;
+    if (counter >= offer) {
+      decision = 'accept';
+      reason = 'Counter is at or above our current offer';
+    } else if (counter >= floorPrice && (finalRound || counter - cost >= holdValue)) {
+      decision = 'accept';
+      reason = finalRound ?
+        'Final round and the counter clears the margin floor' :
+        'Margin at the counter beats the expected margin of holding our offer';
+    } else if (counter < cost) {
+      decision = 'reject';
+      reason = 'Counter is below cost';
+    } else if (finalRound || offer - floorPrice < 0.01) {
+      decision = 'reject';
+      reason = finalRound ? 'Final round and the counter is below the margin floor' : 'Counter is below the margin floor';
+    } else {
+      // Candidate prices between the counter (or the floor) and our offer,
+      // excluding the offer itself so each round concedes something
+      const lowest = Math.max(counter, floorPrice);
+      const steps = 10;
+      let best = null;
+      for (let i = 0; i < steps; i++) {
+        const price = lowest + (offer - lowest) * i / steps;
+        const value = this.getCounterWinProbability(quote, price) * (price - cost);
+        if (!best || value > best.value) best = { price, value };
+      }
+      decision = 'counter';
+      suggestedPrice = toLocal(best.price);
+      reason = 'Best expected margin between the counter and our offer';
+    }
+
+    const agreedPrice = decision === 'accept' ? counterPrice : suggestedPrice;
+    return {
+      round,
+      finalRound,
+      decision,
+      reason,
+      counterPrice,
+      suggestedPrice,
+      currentOffer: agreedPrice !== null ? agreedPrice : offerLocal,
+      floorPrice: toLocal(floorPrice),
+      winProbability: {
+        atCounter: Math.round(this.getCounterWinProbability(quote, counter) * 10000) / 10000,
+        atOffer: Math.round(this.getCounterWinProbability(quote, offer) * 10000) / 10000
+      },
+      // Base-currency amounts, which training uses
+      basePrices: {
+        cost: Math.round(cost * 100) / 100,
+        counter: Math.round(counter * 100) / 100,
+        offer: Math.round(offer * 100) / 100,
+        suggested: suggestedPrice !== null ? Math.round(suggestedPrice / rate * 100) / 100 : null,
+        currentOffer: Math.round((agreedPrice !== null ? agreedPrice : offerLocal) / rate * 100) / 100
+      }
+    };
+  }
+
+  getCounterWinProbability(quote, price) {
+    const useModel = Boolean(this.winProbabilityModel && this.winProbabilityModel.isTrained() && quote.features);
+    return useModel ?
+      this.winProbabilityModel.predict(quote.features, price) :
+      this.getPriorWinProbability(price, quote.prediction.referencePrice || quote.predictedPrice);
+  }
+
+  getPriorWinProbability(price, referencePrice) {
+    // Logistic prior: ~60% at the reference price, falling off as price rises
+    const k = 10;
+    return WinProbabilityModel.sigmoid(0.4 - k * (price / referencePrice - 1));
+  }
+
   calculateConfidenceScore(params) {
     const { costData, marketData, cargoType, weight } = params;
     
@@ -155,7 +621,9 @@ class FreightIQEngine {
     return {
       lower: Math.round(lowerBound * 100) / 100,
       upper: Math.round(upperBound * 100) / 100,
-      percentage: Math.round(bandPercentage * 100)
+      percentage: Math.round(bandPercentage * 100),
+      coverage: null,
+      method: 'heuristic'
     };
   }
 
@@ -171,40 +639,186 @@ class FreightIQEngine {
     };
   }
 
-  getCustomerMultiplier(customerId) {
-    // Simulate customer-specific pricing based on historical data
-    const customerTiers = {
-      'premium': 1.0,
-      'standard': 0.95,
-      'volume': 0.9,
-      'new': 1.05
+  /**
+   * Tier from the customer master; customers without a profile price as new
+   */
+  getCustomerTier(customer) {
+    return customer && this.config.customerTiers[customer.tier] !== undefined ? customer.tier : 'new';
+  }
+
+  getCustomerMultiplier(customer) {
+    let multiplier = this.config.customerTiers[this.getCustomerTier(customer)];
+
+    // Customers who often walk away on price get a proportionally sharper price
+    const priceSensitivity = customer && customer.statistics ? customer.statistics.priceSensitivity : null;
+    if (Number.isFinite(priceSensitivity)) {
+      multiplier *= 1 - priceSensitivity * this.config.priceSensitivityWeight;
+    }
+    return multiplier;
+  }
+
+  /**
+   * Seasonal adjustment for the month the shipment departs, from the learned
+   * lane curve of the given seasonality (the active model's by default) when
+   * it has one
+   */
+  getSeasonalAdjustment({ lane, departureDate, seasonality = this.seasonality } = {}, context = new ExecutionContext()) {
+    const month = this.getDepartureMonth(departureDate, context);
+    const learned = seasonality ? seasonality.adjustment(lane, month) : null;
+    return learned !== null ? learned : this.config.seasonalMultipliers[month];
+  }
+
+  /**
+   * How long the quoted price holds and which departures it covers
+   */
+  getQuoteValidity({ departureDate, latestDepartureDate } = {}, context = new ExecutionContext()) {
+    const now = context.now();
+    const departure = departureDate ? moment.utc(departureDate) : null;
+    const forward = Boolean(departure) && departure.diff(now, 'days') >= this.config.forwardQuoteDays;
+
+    const validUntil = forward ?
+      moment.min(now.clone().add(this.config.forwardValidityDays, 'days'), departure) :
+      now.clone().add(this.config.spotValidityHours, 'hours');
+
+    return {
+      type: forward ? 'forward' : 'spot',
+      validFrom: now.toISOString(),
+      validUntil: validUntil.toISOString(),
+      departureWindow: departure ? {
+        start: departure.toISOString(),
+        end: (latestDepartureDate ?
+          moment.utc(latestDepartureDate) :
+          departure.clone().add(this.config.departureWindowDays, 'days')).toISOString()
+      } : null
+    };
+  }
+
+  /**
+   * Seasonal curves in use: the active model's learned lane curves, or the
+   * configured global curve under the rule-based engine
+   */
+  getSeasonalityCurves() {
+    if (this.seasonality && this.seasonality.isFitted()) {
+      return {
+        modelVersion: this.modelVersion,
+        source: 'learned',
+        months: SeasonalityModel.MONTHS,
+        ...this.seasonality.getCurves()
+      };
+    }
+
+    return {
+      modelVersion: this.modelVersion,
+      source: 'default',
+      months: SeasonalityModel.MONTHS,
+      global: { factors: this.config.seasonalMultipliers, sampleCounts: null },
+      lanes: {},
+      fittedAt: null
     };
-    
-    // Simple hash-based customer tier assignment
-    const tier = Object.keys(customerTiers)[customerId.length % 4];
-    return customerTiers[tier];
   }
 
-  getSeasonalAdjustment() {
-    const month = moment().month();
-    // Simulate seasonal freight demand patterns
-    const seasonalMultipliers = [0.05, 0.02, 0.0, -0.02, 0.0, 0.03, 0.08, 0.1, 0.05, 0.0, -0.02, 0.03];
-    return seasonalMultipliers[month];
+  /**
+   * Quotes without a planned departure date are treated as shipping now
+   */
+  getDepartureMonth(departureDate, context = new ExecutionContext()) {
+    return departureDate ? moment.utc(departureDate).month() : context.now().month();
   }
 
-  async simulateProcessingDelay() {
+  async simulateProcessingDelay(context = new ExecutionContext()) {
+    if (!this.simulateLatency) return;
+
     // Simulate ML model processing time (100-500ms)
-    const delay = Math.random() * 400 + 100;
+    const delay = context.random() * 400 + 100;
     return new Promise(resolve => setTimeout(resolve, delay));
   }
 
-  // Method to update model with new training data
-  async updateModel(trainingData) {
+  /**
+   * Fit a new regression on logged bookings/declines and register it as a
+   * candidate version. It only prices quotes once promoted.
+   */
+  async updateModel(trainingData, options = {}) {
+    if (!this.modelRegistry) {
+      throw new FreightIQEngineError('No model registry is configured to register a trained model in', 503);
+    }
+    await this.ready;
     console.log('FreightIQ Engine: Updating model with new training data');
-    this.lastTrainingDate = moment().toISOString();
-    // In a real implementation, this would trigger model retraining
-    return { success: true, modelVersion: this.modelVersion };
+
+    const model = new PricingModel();
+    const samples = model.buildSamples(trainingData);
+    const result = model.fit(samples);
+
+    if (!result.success) {
+      console.log(`FreightIQ Engine: Model not updated - ${result.reason}`);
+      return { success: false, reason: result.reason, modelVersion: this.modelVersion };
+    }
+
+    // The win-probability model is optional: without it, prices are not
+    // moved away from the regression's prediction
+    const winModel = new WinProbabilityModel();
+    const winResult = winModel.fit(winModel.buildSamples(trainingData));
+    if (!winResult.success) {
+      console.log(`FreightIQ Engine: Win-probability model not trained - ${winResult.reason}`);
+    }
+
+    // Only negotiated bookings tell us how far the booked price landed from
+    // the quote; the rest were booked at exactly the quoted price
+    const calibrator = new ConformalCalibrator();
+    const calibration = calibrator.fit(trainingData.bookings.filter(TrainingStore.isNegotiated));
+
+    const seasonality = new SeasonalityModel({ prior: this.config.seasonalMultipliers });
+    const seasonalityResult = seasonality.fit(trainingData.bookings);
+    if (!seasonalityResult.success) {
+      console.log(`FreightIQ Engine: Seasonality not learned - ${seasonalityResult.reason}`);
+    }
+
+    const entry = await this.modelRegistry.registerModel({
+      pricingModel: model,
+      winProbabilityModel: winResult.success ? winModel : null,
+      calibrator: calibrator.isCalibrated() ? calibrator : null,
+      seasonality: seasonality.isFitted() ? seasonality : null
+    }, {
+      trainingWindow: this.getTrainingWindow(trainingData),
+      recordCount: trainingData.totalRecords,
+      metrics: {
+        ...result.metrics,
+        winProbability: winResult.success ? winResult.metrics : null
+      }
+    });
+
+    if (options.promote) {
+      await this.modelRegistry.promote(entry.version, 'promoted on training');
+      await this.activateModel(entry.version);
+    }
+
+    console.log(`FreightIQ Engine: Trained model ${entry.version} on ${result.samples} samples`);
+    return {
+      success: true,
+      modelVersion: entry.version,
+      promoted: Boolean(options.promote),
+      samples: result.samples,
+      metrics: result.metrics,
+      winProbability: winResult.success ?
+        { trained: true, metrics: winResult.metrics } :
+        { trained: false, reason: winResult.reason },
+      calibration,
+      seasonality: seasonalityResult,
+      trainedAt: model.trainedAt
+    };
+  }
+
+  getTrainingWindow(trainingData) {
+    const dates = [...trainingData.bookings, ...trainingData.declines]
+      .map(record => record.loggedAt)
+      .filter(Boolean)
+      .sort();
+
+    if (dates.length === 0) return null;
+    return { start: dates[0], end: dates[dates.length - 1] };
   }
 }
 
+FreightIQEngine.FreightIQEngineError = FreightIQEngineError;
+FreightIQEngine.DEFAULT_CONFIG = DEFAULT_CONFIG;
+FreightIQEngine.RULES_MODEL_VERSION = RULES_MODEL_VERSION;
+
 module.exports = FreightIQEngine;
@@ -0,0 +1,202 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+const ExecutionContext = require('./execution-context');
+
+class FxRateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'FxRateError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Locally maintained FX rate table. Rates are quoted as units of each
+ * currency per one unit of the base currency, which is the currency RMS
+ * costs and the models work in.
+ */
+class FxRates {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.ratesFile = options.ratesFile || env.FREIGHTIQ_FX_RATES_FILE ||
+      path.join(__dirname, '../data/fx-rates.json');
+    this.reportingCurrency = (options.reportingCurrency || env.FREIGHTIQ_REPORTING_CURRENCY || 'USD').toUpperCase();
+    this.baseCurrency = 'USD';
+    this.rates = { USD: 1 };
+    this.asOf = null;
+    this.source = null;
+    this.loadedAt = null;
+    // Unlike the stores there is no safe empty default: without a rate
+    // table no quote can be priced, so a failed first load rejects ready
+    this.ready = this.loadRates();
+  }
+
+  /**
+   * (Re)load the rate table, keeping the current one if the file is invalid
+   */
+  async loadRates(ratesFile = this.ratesFile) {
+    let table;
+    try {
+      table = JSON.parse(await fs.readFile(ratesFile, 'utf8'));
+    } catch (error) {
+      throw new FxRateError(`Could not read FX rate table ${ratesFile}: ${error.message}`, 422);
+    }
+
+    const baseCurrency = (table.baseCurrency || '').toUpperCase();
+    const rates = {};
+    Object.entries(table.rates || {}).forEach(([currency, rate]) => {
+      if (!(typeof rate === 'number' && rate > 0)) {
+        throw new FxRateError(`Invalid FX rate for ${currency}: ${rate}`, 422);
+      }
+      rates[currency.toUpperCase()] = rate;
+    });
+
+    if (!baseCurrency || rates[baseCurrency] !== 1) {
+      throw new FxRateError('FX rate table must name a baseCurrency with a rate of 1', 422);
+    }
+    if (!rates[this.reportingCurrency]) {
+      throw new FxRateError(`FX rate table has no rate for reporting currency ${this.reportingCurrency}`, 422);
+    }
+
+    this.ratesFile = ratesFile;
+    this.baseCurrency = baseCurrency;
+    this.rates = rates;
+    this.asOf = table.asOf || null;
+    this.source = table.source || null;
+    this.loadedAt = moment().toISOString();
+
+    console.log(`FX Rates: Loaded ${Object.keys(rates).length} currencies as of ${this.asOf || 'unknown date'}`);
+    return this.describe();
+  }
+
+  getRate(currency) {
+    const rate = typeof currency === 'string' ? this.rates[currency.toUpperCase()] : null;
+    if (!rate) {
+      throw new FxRateError(
+        `Unsupported currency ${currency}, expected one of ${Object.keys(this.rates).join(', ')}`);
+    }
+    return rate;
+  }
+
+  /**
+   * Fix the rate a quote is issued at, so the booking is settled at the
+   * same rate whatever the table says by then
+   */
+  async lockRate(currency = this.baseCurrency, context = new ExecutionContext()) {
+    await this.ready;
+    const rate = this.getRate(currency);
+    return {
+      baseCurrency: this.baseCurrency,
+      currency: currency.toUpperCase(),
+      rate,
+      ratesAsOf: this.asOf,
+      lockedAt: context.now().toISOString()
+    };
+  }
+
+  convert(amount, from, to) {
+    const value = amount / this.getRate(from) * this.getRate(to);
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Amount in the base currency expressed in the reporting currency
+   */
+  toReporting(amount) {
+    return this.convert(amount, this.baseCurrency, this.reportingCurrency);
+  }
+
+  describe() {
+    return {
+      baseCurrency: this.baseCurrency,
+      reportingCurrency: this.reportingCurrency,
+      rates: this.rates,
+      asOf: this.asOf,
+      source: this.source,
+      loadedAt: this.loadedAt
+    };
+  }
+
+  /**
+   * Express the monetary fields of a rate response in the quote currency.
+   * Attribution and surcharge amounts are rounded individually, so the last
+   * one absorbs the rounding difference and the waterfall still adds up to
+   * the price and the surcharge lines to the surcharge total.
+   */
+  static convertQuote(response, rate) {
+    if (rate === 1) return response;
+    const convert = amount => (typeof amount === 'number' ? Math.round(amount * rate * 100) / 100 : amount);
+
+    const converted = {
+      ...response,
+      predictedPrice: convert(response.predictedPrice),
+      confidenceBand: {
+        ...response.confidenceBand,
+        lower: convert(response.confidenceBand.lower),
+        upper: convert(response.confidenceBand.upper)
+      },
+      marginRange: {
+        ...response.marginRange,
+        absolute: convert(response.marginRange.absolute),
+        minMargin: convert(response.marginRange.minMargin),
+        maxMargin: convert(response.marginRange.maxMargin)
+      },
+      priceOptimization: {
+        ...response.priceOptimization,
+        referencePrice: convert(response.priceOptimization.referencePrice),
+        cost: convert(response.priceOptimization.cost),
+        optimalPrice: convert(response.priceOptimization.optimalPrice),
+        expectedMargin: convert(response.priceOptimization.expectedMargin),
+        curve: response.priceOptimization.curve.map(point => ({
+          ...point,
+          price: convert(point.price),
+          expectedMargin: convert(point.expectedMargin)
+        }))
+      },
+      route: response.route && {
+        ...response.route,
+        hubs: response.route.hubs.map(hub => ({ ...hub, handlingCharge: convert(hub.handlingCharge) })),
+        handlingCharges: convert(response.route.handlingCharges)
+      },
+      alternatives: response.alternatives &&
+        response.alternatives.map(alternative => ({
+          ...alternative,
+          indicativePrice: convert(alternative.indicativePrice)
+        })),
+      breakdown: {
+        ...response.breakdown,
+        baseCost: convert(response.breakdown.baseCost),
+        freightBasis: response.breakdown.freightBasis && {
+          ...response.breakdown.freightBasis,
+          rate: convert(response.breakdown.freightBasis.rate),
+          amount: convert(response.breakdown.freightBasis.amount)
+        },
+        surcharges: convert(response.breakdown.surcharges),
+        surchargeItems: response.breakdown.surchargeItems &&
+          response.breakdown.surchargeItems.map(item => ({
+            ...item,
+            base: convert(item.base),
+            amount: convert(item.amount)
+          })),
+        mlPrediction: convert(response.breakdown.mlPrediction),
+        attribution: response.breakdown.attribution.map(item => ({ ...item, amount: convert(item.amount) }))
+      }
+    };
+
+    const absorbRounding = (items, target) => {
+      if (!items || items.length === 0) return;
+      const total = items.reduce((sum, item) => sum + item.amount, 0);
+      const last = items[items.length - 1];
+      last.amount = Math.round((last.amount + target - total) * 100) / 100;
+    };
+    absorbRounding(converted.breakdown.attribution, converted.predictedPrice);
+    absorbRounding(converted.breakdown.surchargeItems, converted.breakdown.surcharges);
+
+    return converted;
+  }
+}
+
+FxRates.FxRateError = FxRateError;
+
+module.exports = FxRates;
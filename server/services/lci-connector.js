@@ -1,7 +1,42 @@
 const moment = require('moment');
+const ExecutionContext = require('./execution-context');
+const RMSConnector = require('./rms-connector');
+
+// Days over which today's deviation from the seasonal norm halves
+const PROJECTION_HALF_LIFE_DAYS = 21;
+// Long-run average congestion the projection reverts to
+const MEAN_CONGESTION = 0.45;
+// Fuel and freight index each mode is priced against: seasonal base and
+// amplitude plus daily noise, how many hours a congested node adds, and
+// whether lane history and the port congestion feed apply to the mode
+const MODE_MARKETS = {
+  ocean: {
+    laneHistory: true,
+    portCongestion: true,
+    fuel: { name: 'VLSFO bunker', unit: 'USD/t', base: 450, amplitude: 50, noise: 20 },
+    index: { name: 'Shanghai Containerized Freight Index', base: 1200, amplitude: 200, noise: 100 },
+    delayHours: { base: 2, congestion: 8 }
+  },
+  air: {
+    laneHistory: false,
+    portCongestion: false,
+    fuel: { name: 'Jet fuel', unit: 'USD/bbl', base: 95, amplitude: 8, noise: 4 },
+    index: { name: 'Air cargo index', base: 2200, amplitude: 400, noise: 150 },
+    delayHours: { base: 4, congestion: 12 }
+  },
+  road: {
+    laneHistory: false,
+    portCongestion: false,
+    fuel: { name: 'Diesel', unit: 'USD/l', base: 1.6, amplitude: 0.08, noise: 0.06 },
+    index: { name: 'Road freight index', base: 100, amplitude: 6, noise: 4 },
+    delayHours: { base: 1, congestion: 4 }
+  }
+};
 
 class LCIConnector {
-  constructor() {
+  constructor(options = {}) {
+    this.benchmarkStore = options.benchmarkStore || null;
+    this.portCatalog = options.portCatalog || null;
     this.marketData = {};
     this.lastUpdate = moment().subtract(1, 'hour').toISOString();
   }
@@ -10,28 +45,49 @@ class LCIConnector {
    * Simulates pulling market data from Lane Competitiveness Index (LCI) microservice
    * In production, this would connect to various market data providers
    */
-  async getMarketData(params) {
-    const { origin, destination, cargoType } = params;
+  async getMarketData(params, context = new ExecutionContext()) {
+    const { origin, destination, cargoType, serviceType, departureDate, transportMode = 'ocean', shipmentMode } = params;
+    const market = MODE_MARKETS[transportMode] || MODE_MARKETS.ocean;
     
     console.log(`LCI Connector: Fetching market data for ${origin} to ${destination}`);
     
     // Simulate API call delay
-    await this.simulateAPIDelay();
+    await this.simulateAPIDelay(context);
     
     // Get route-specific market data
-    const routeData = this.getRouteData(origin, destination);
-    
-    // Get current market conditions
-    const marketConditions = this.getCurrentMarketConditions();
+    if (this.portCatalog) await this.portCatalog.ready;
+    const routeData = this.getRouteData(origin, destination, market);
+    
+    // Get current market conditions, projected forward for future departures
+    const now = context.now();
+    const conditionsDate = departureDate && moment.utc(departureDate).isAfter(now) ?
+      moment.utc(departureDate) :
+      now;
+    const horizonDays = Math.max(0, conditionsDate.diff(now, 'days'));
+    let marketConditions = this.getCurrentMarketConditions(context, market);
+    if (horizonDays > 0) {
+      marketConditions = this.projectMarketConditions(marketConditions, now, conditionsDate, market);
+    }
     
+    // Observed competitor rates on the lane against our own quotes
+    const benchmark = this.benchmarkStore ?
+      await this.benchmarkStore.getLaneBenchmark({
+        lane: `${origin}-${destination}`,
+        shipmentMode: shipmentMode || (RMSConnector.SHIPMENT_MODES[transportMode] || RMSConnector.SHIPMENT_MODES.ocean)[0],
+        cargoType,
+        serviceType: serviceType || 'standard',
+        asOf: context.now()
+      }) :
+      null;
+
     // Calculate lane competitiveness index
-    const competitivenessIndex = this.calculateCompetitivenessIndex(routeData, marketConditions);
+    const competitivenessIndex = this.calculateCompetitivenessIndex(routeData, marketConditions, benchmark);
     
     // Calculate market adjustment factor
-    const adjustment = this.calculateMarketAdjustment(competitivenessIndex, marketConditions);
+    const adjustment = this.calculateMarketAdjustment(competitivenessIndex, marketConditions, market);
     
     // Get volatility metrics
-    const volatility = this.calculateVolatility(routeData, marketConditions);
+    const volatility = this.calculateVolatility(routeData, marketConditions, context, horizonDays);
     
     return {
       competitivenessIndex,
@@ -39,15 +95,28 @@ class LCIConnector {
       volatility,
       routePopularity: routeData.popularity,
       congestionLevel: marketConditions.congestion,
-      bunkerFuelPrice: marketConditions.bunkerFuel,
-      shanghaiIndex: marketConditions.shanghaiIndex,
+      transportMode,
+      fuelPrice: marketConditions.fuelPrice,
+      fuelSeries: `${market.fuel.name} (${market.fuel.unit})`,
+      freightIndex: marketConditions.freightIndex,
+      freightIndexSeries: market.index.name,
+      // Ocean series under their historical names, which the models and drift monitor track
+      bunkerFuelPrice: transportMode === 'ocean' ? marketConditions.fuelPrice : null,
+      shanghaiIndex: transportMode === 'ocean' ? marketConditions.freightIndex : null,
       historicalVolatility: routeData.historicalVolatility,
-      timestamp: moment().toISOString(),
+      benchmark,
+      conditionsDate: conditionsDate.toISOString(),
+      projection: horizonDays > 0 ? {
+        horizonDays,
+        method: 'seasonal-mean-reversion',
+        halfLifeDays: PROJECTION_HALF_LIFE_DAYS
+      } : null,
+      timestamp: context.now().toISOString(),
       dataQuality: this.assessDataQuality(routeData, marketConditions)
     };
   }
 
-  getRouteData(origin, destination) {
+  getRouteData(origin, destination, market = MODE_MARKETS.ocean) {
     const routeKey = `${origin}-${destination}`;
     const routes = {
       'Shanghai-Los Angeles': {
@@ -88,38 +157,79 @@ class LCIConnector {
       }
     };
     
-    return routes[routeKey] || routes['default'];
+    // Lane history and trade lanes describe ocean services; air and road
+    // lanes are neutral rather than borrowing the sea lane's figures
+    if (!market.laneHistory) return routes['default'];
+
+    if (routes[routeKey]) return routes[routeKey];
+
+    // Lanes without their own history take after their region-to-region trade
+    const tradeLane = this.portCatalog && this.portCatalog.getTradeLane(origin, destination);
+    if (tradeLane) {
+      const { popularity, historicalVolatility, seasonalPattern, competitionLevel } = tradeLane;
+      return { popularity, historicalVolatility, seasonalPattern, competitionLevel };
+    }
+
+    return routes['default'];
   }
 
-  getCurrentMarketConditions() {
+  getCurrentMarketConditions(context = new ExecutionContext(), market = MODE_MARKETS.ocean) {
     // Simulate real-time market data
-    const now = moment();
+    const now = context.now();
     const hour = now.hour();
     const dayOfWeek = now.day();
     
     // Simulate congestion patterns (higher during business hours)
     const congestionBase = 0.3 + (hour > 8 && hour < 18 ? 0.2 : 0);
-    const congestion = Math.min(1.0, congestionBase + Math.random() * 0.3);
+    const portCongestion = Math.min(1.0, congestionBase + context.random() * 0.3);
+    // Modes without a congestion feed sit at the long-run average
+    const congestion = market.portCongestion ? portCongestion : MEAN_CONGESTION;
     
-    // Simulate bunker fuel price fluctuations
-    const bunkerFuelBase = 450 + Math.sin(now.dayOfYear() / 365 * 2 * Math.PI) * 50;
-    const bunkerFuel = bunkerFuelBase + Math.random() * 20 - 10;
+    // Simulate fuel price fluctuations (bunker, jet fuel or diesel)
+    const fuelPrice = LCIConnector.seasonal(now, market.fuel) +
+      context.random() * market.fuel.noise - market.fuel.noise / 2;
     
-    // Simulate Shanghai Freight Index
-    const shanghaiIndexBase = 1200 + Math.sin(now.dayOfYear() / 365 * 2 * Math.PI) * 200;
-    const shanghaiIndex = shanghaiIndexBase + Math.random() * 100 - 50;
+    // Simulate the mode's freight index
+    const freightIndex = LCIConnector.seasonal(now, market.index) +
+      context.random() * market.index.noise - market.index.noise / 2;
     
     return {
       congestion,
-      bunkerFuel: Math.round(bunkerFuel * 100) / 100,
-      shanghaiIndex: Math.round(shanghaiIndex * 100) / 100,
-      portDelays: this.calculatePortDelays(congestion),
-      weatherImpact: this.getWeatherImpact(),
-      economicIndicators: this.getEconomicIndicators()
+      fuelPrice: Math.round(fuelPrice * 100) / 100,
+      freightIndex: Math.round(freightIndex * 100) / 100,
+      portDelays: this.calculatePortDelays(congestion, market),
+      weatherImpact: this.getWeatherImpact(context),
+      economicIndicators: this.getEconomicIndicators(context)
     };
   }
 
-  calculateCompetitivenessIndex(routeData, marketConditions) {
+  /**
+   * Project conditions to a future date: the fuel price and freight index
+   * follow their seasonal curve, and today's deviation from it (and from
+   * average congestion) decays with the horizon
+   */
+  projectMarketConditions(current, now, conditionsDate, market = MODE_MARKETS.ocean) {
+    const horizonDays = conditionsDate.diff(now, 'days');
+    const decay = Math.pow(0.5, horizonDays / PROJECTION_HALF_LIFE_DAYS);
+    const project = (value, series) =>
+      LCIConnector.seasonal(conditionsDate, series) + (value - LCIConnector.seasonal(now, series)) * decay;
+
+    const fuelPrice = project(current.fuelPrice, market.fuel);
+    const freightIndex = project(current.freightIndex, market.index);
+    const congestion = MEAN_CONGESTION + (current.congestion - MEAN_CONGESTION) * decay;
+
+    return {
+      ...current,
+      congestion,
+      fuelPrice: Math.round(fuelPrice * 100) / 100,
+      freightIndex: Math.round(freightIndex * 100) / 100,
+      portDelays: this.calculatePortDelays(congestion, market),
+      // Today's weather says nothing about conditions weeks out
+      weatherImpact: horizonDays > 14 ? { event: 'normal', impact: 0 } : current.weatherImpact
+    };
+  }
+
+  calculateCompetitivenessIndex(routeData, marketConditions, benchmark = null) {
     let index = 0.5; // Base competitiveness
     
     // Adjust based on route popularity
@@ -136,13 +246,16 @@ class LCIConnector {
     };
     index += competitionMultipliers[routeData.competitionLevel];
     
-    // Add some randomness for market dynamics
-    index += (Math.random() - 0.5) * 0.1;
+    // Competitors pricing below our quotes make the lane more competitive,
+    // by up to ±0.05 at a 25% gap; lanes without benchmarks are unadjusted
+    if (benchmark && benchmark.pressure !== null) {
+      index += Math.max(-0.25, Math.min(0.25, benchmark.pressure)) * 0.2;
+    }
     
     return Math.max(0.0, Math.min(1.0, index));
   }
 
-  calculateMarketAdjustment(competitivenessIndex, marketConditions) {
+  calculateMarketAdjustment(competitivenessIndex, marketConditions, market = MODE_MARKETS.ocean) {
     let adjustment = 0;
     
     // High competitiveness = lower prices (negative adjustment)
@@ -151,18 +264,18 @@ class LCIConnector {
     // High congestion = higher prices (positive adjustment)
     adjustment += marketConditions.congestion * 0.15;
     
-    // High bunker fuel prices = higher prices
-    const fuelAdjustment = (marketConditions.bunkerFuel - 450) / 450 * 0.1;
+    // High fuel prices = higher prices
+    const fuelAdjustment = (marketConditions.fuelPrice - market.fuel.base) / market.fuel.base * 0.1;
     adjustment += fuelAdjustment;
     
-    // Shanghai Index impact
-    const indexAdjustment = (marketConditions.shanghaiIndex - 1200) / 1200 * 0.05;
+    // Freight index impact
+    const indexAdjustment = (marketConditions.freightIndex - market.index.base) / market.index.base * 0.05;
     adjustment += indexAdjustment;
     
     return Math.round(adjustment * 1000) / 1000; // Round to 3 decimal places
   }
 
-  calculateVolatility(routeData, marketConditions) {
+  calculateVolatility(routeData, marketConditions, context = new ExecutionContext(), horizonDays = 0) {
     let volatility = routeData.historicalVolatility;
     
     // Increase volatility during high congestion periods
@@ -176,21 +289,24 @@ class LCIConnector {
     }
     
     // Add current market volatility
-    volatility += Math.random() * 0.05;
+    volatility += context.random() * 0.05;
+
+    // Projected conditions are less certain the further out they are
+    volatility += 0.02 * Math.sqrt(horizonDays / 7);
     
     return Math.min(0.5, Math.max(0.05, volatility));
   }
 
-  calculatePortDelays(congestion) {
-    const baseDelay = 2; // hours
-    const congestionDelay = congestion * 8; // up to 8 hours additional delay
+  calculatePortDelays(congestion, market = MODE_MARKETS.ocean) {
+    const baseDelay = market.delayHours.base; // hours
+    const congestionDelay = congestion * market.delayHours.congestion; // additional delay when congested
     return Math.round((baseDelay + congestionDelay) * 100) / 100;
   }
 
-  getWeatherImpact() {
+  getWeatherImpact(context = new ExecutionContext()) {
     // Simulate weather impact on shipping
     const weatherEvents = ['normal', 'storm', 'fog', 'ice'];
-    const event = weatherEvents[Math.floor(Math.random() * weatherEvents.length)];
+    const event = weatherEvents[Math.floor(context.random() * weatherEvents.length)];
     
     const impacts = {
       'normal': 0,
@@ -205,13 +321,13 @@ class LCIConnector {
     };
   }
 
-  getEconomicIndicators() {
+  getEconomicIndicators(context = new ExecutionContext()) {
     // Simulate economic indicators that affect freight rates
     return {
-      gdpGrowth: 2.5 + Math.random() * 2 - 1,
-      inflation: 2.0 + Math.random() * 1 - 0.5,
-      tradeVolume: 1.0 + Math.random() * 0.3 - 0.15,
-      currencyStrength: 0.5 + Math.random() * 0.4 - 0.2
+      gdpGrowth: 2.5 + context.random() * 2 - 1,
+      inflation: 2.0 + context.random() * 1 - 0.5,
+      tradeVolume: 1.0 + context.random() * 0.3 - 0.15,
+      currencyStrength: 0.5 + context.random() * 0.4 - 0.2
     };
   }
 
@@ -228,9 +344,13 @@ class LCIConnector {
     return Math.max(0.5, Math.min(1.0, quality));
   }
 
-  async simulateAPIDelay() {
+  static seasonal(date, series) {
+    return series.base + Math.sin(date.dayOfYear() / 365 * 2 * Math.PI) * series.amplitude;
+  }
+
+  async simulateAPIDelay(context = new ExecutionContext()) {
     // Simulate LCI API response time (30-150ms)
-    const delay = Math.random() * 120 + 30;
+    const delay = context.random() * 120 + 30;
     return new Promise(resolve => setTimeout(resolve, delay));
   }
 
@@ -243,4 +363,6 @@ class LCIConnector {
   }
 }
 
+LCIConnector.MODE_MARKETS = MODE_MARKETS;
+
 module.exports = LCIConnector;
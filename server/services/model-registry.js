@@ -0,0 +1,325 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+const PricingModel = require('./pricing-model');
+const WinProbabilityModel = require('./win-probability-model');
+const ConformalCalibrator = require('./conformal-calibrator');
+const SeasonalityModel = require('./seasonality-model');
+
+const FIRST_TRAINED_VERSION = '2.0.0';
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+class ModelRegistryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ModelRegistryError';
+    this.statusCode = statusCode;
+  }
+}
+
+class ModelRegistry {
+  constructor(options = {}) {
+    this.modelsDir = options.modelsDir || path.join(__dirname, '../data/models');
+    this.registryFile = path.join(this.modelsDir, 'registry.json');
+    // Single model file written before versions were tracked
+    this.legacyModelFile = path.join(this.modelsDir, 'pricing-model.json');
+    // A read-only registry neither creates its directory nor imports the
+    // legacy model, for tools that only replay
+    this.ready = options.readOnly ? Promise.resolve() : this.initializeRegistry();
+  }
+
+  async initializeRegistry() {
+    try {
+      await fs.mkdir(this.modelsDir, { recursive: true });
+
+      try {
+        await fs.access(this.registryFile);
+      } catch {
+        await fs.writeFile(this.registryFile, JSON.stringify(this.emptyRegistry(), null, 2));
+        await this.importLegacyModel();
+      }
+    } catch (error) {
+      console.error('Error initializing model registry:', error);
+    }
+  }
+
+  /**
+   * Register the model trained before the registry existed as its first
+   * version, still active and under the version its quotes were priced with
+   */
+  async importLegacyModel() {
+    let legacy;
+    try {
+      legacy = JSON.parse(await fs.readFile(this.legacyModelFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Error reading legacy pricing model:', error);
+      return null;
+    }
+
+    const pricingModel = PricingModel.fromJSON(legacy.model);
+    const entry = await this.registerModel({ pricingModel }, { version: legacy.version });
+    await this.promote(entry.version, `imported from ${path.basename(this.legacyModelFile)}`);
+    return entry;
+  }
+
+  /**
+   * Store a trained price regression (plus the win-probability model and
+   * interval calibration, when they could be fitted) as a new candidate
+   * version with its training metadata
+   */
+  async registerModel(models, metadata = {}) {
+    try {
+      const { pricingModel, winProbabilityModel, calibrator, seasonality } = models;
+      const registry = await this.loadRegistry();
+      const version = metadata.version || this.nextVersion(registry);
+
+      await fs.writeFile(this.artifactPath(version), JSON.stringify({
+        version,
+        pricing: pricingModel.toJSON(),
+        winProbability: winProbabilityModel ? winProbabilityModel.toJSON() : null,
+        calibration: calibrator ? calibrator.toJSON() : null,
+        seasonality: seasonality ? seasonality.toJSON() : null
+      }, null, 2));
+
+      const entry = {
+        version,
+        status: 'candidate',
+        trainedAt: pricingModel.trainedAt,
+        trainingWindow: metadata.trainingWindow || null,
+        recordCount: metadata.recordCount || 0,
+        sampleCount: pricingModel.sampleCount,
+        metrics: metadata.metrics || pricingModel.metrics,
+        hasWinProbabilityModel: Boolean(winProbabilityModel),
+        hasCalibration: Boolean(calibrator),
+        hasSeasonality: Boolean(seasonality),
+        registeredAt: moment().toISOString(),
+        activatedAt: null
+      };
+
+      registry.models.push(entry);
+      registry.lastUpdated = moment().toISOString();
+      await this.saveRegistry(registry);
+
+      console.log(`Model Registry: Registered model ${version}`);
+      return entry;
+
+    } catch (error) {
+      console.error('Error registering model:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a version the active model that prices quotes
+   */
+  async promote(version, reason = 'manual promotion', previousVersion) {
+    const registry = await this.loadRegistry();
+    const entry = registry.models.find(model => model.version === version);
+
+    if (!entry) {
+      throw new ModelRegistryError(`Unknown model version ${version}`, 404);
+    }
+    if (entry.status === 'active') {
+      throw new ModelRegistryError(`Model ${version} is already active`, 409);
+    }
+
+    registry.models.forEach(model => {
+      if (model.status === 'active') model.status = 'retired';
+    });
+
+    // A promoted challenger stops shadowing itself
+    if (registry.challengerVersion === version) {
+      registry.challengerVersion = null;
+    }
+
+    entry.status = 'active';
+    entry.activatedAt = moment().toISOString();
+    registry.activeVersion = version;
+    const lastActivation = registry.history[registry.history.length - 1];
+    registry.history.push({
+      version,
+      previousVersion: previousVersion !== undefined
+        ? previousVersion
+        : (lastActivation ? lastActivation.version : null),
+      reason,
+      activatedAt: entry.activatedAt
+    });
+    registry.lastUpdated = moment().toISOString();
+
+    await this.saveRegistry(registry);
+
+    console.log(`Model Registry: Promoted model ${version} to active (${reason})`);
+    return entry;
+  }
+
+  /**
+   * Re-activate the version that was active before the current one. Repeated
+   * rollbacks keep walking back through the activation history.
+   */
+  async rollback() {
+    const registry = await this.loadRegistry();
+    const current = registry.history[registry.history.length - 1];
+
+    if (!current || !current.previousVersion) {
+      throw new ModelRegistryError('No previous model version to roll back to', 409);
+    }
+
+    const target = current.previousVersion;
+    const targetActivation = [...registry.history]
+      .reverse()
+      .find(activation => activation.version === target);
+
+    return this.promote(
+      target,
+      `rollback from ${current.version}`,
+      targetActivation ? targetActivation.previousVersion : null
+    );
+  }
+
+  /**
+   * Run a version in shadow next to the active model. Its prices are logged
+   * against each quote but never shown to the customer.
+   */
+  async setChallenger(version) {
+    const registry = await this.loadRegistry();
+    const entry = registry.models.find(model => model.version === version);
+
+    if (!entry) {
+      throw new ModelRegistryError(`Unknown model version ${version}`, 404);
+    }
+    if (version === registry.activeVersion) {
+      throw new ModelRegistryError(`Model ${version} is the active champion`, 409);
+    }
+
+    registry.challengerVersion = version;
+    registry.lastUpdated = moment().toISOString();
+    await this.saveRegistry(registry);
+
+    console.log(`Model Registry: Model ${version} set as challenger`);
+    return entry;
+  }
+
+  async clearChallenger() {
+    const registry = await this.loadRegistry();
+    const previous = registry.challengerVersion || null;
+
+    registry.challengerVersion = null;
+    registry.lastUpdated = moment().toISOString();
+    await this.saveRegistry(registry);
+
+    return { challengerVersion: previous };
+  }
+
+  async getActiveVersion() {
+    const registry = await this.loadRegistry();
+    return registry.activeVersion;
+  }
+
+  async getChallengerVersion() {
+    const registry = await this.loadRegistry();
+    return registry.challengerVersion || null;
+  }
+
+  /**
+   * Load the models stored for a version. Versions registered before the
+   * win-probability model store the price regression alone under `model`.
+   */
+  async loadModel(version) {
+    let artifact;
+    try {
+      artifact = JSON.parse(await fs.readFile(this.artifactPath(version), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ModelRegistryError(`Model artifact for version ${version} not found`, 404);
+      }
+      throw error;
+    }
+
+    return {
+      pricingModel: PricingModel.fromJSON(artifact.pricing || artifact.model),
+      winProbabilityModel: artifact.winProbability ?
+        WinProbabilityModel.fromJSON(artifact.winProbability) : null,
+      calibrator: artifact.calibration ?
+        ConformalCalibrator.fromJSON(artifact.calibration) : null,
+      seasonality: artifact.seasonality ?
+        SeasonalityModel.fromJSON(artifact.seasonality) : null
+    };
+  }
+
+  async listModels() {
+    const registry = await this.loadRegistry();
+    return {
+      activeVersion: registry.activeVersion,
+      challengerVersion: registry.challengerVersion || null,
+      models: [...registry.models].reverse(),
+      history: registry.history
+    };
+  }
+
+  async getModel(version) {
+    ModelRegistry.assertVersion(version);
+    const registry = await this.loadRegistry();
+    const entry = registry.models.find(model => model.version === version);
+
+    if (!entry) {
+      throw new ModelRegistryError(`Unknown model version ${version}`, 404);
+    }
+    return entry;
+  }
+
+  nextVersion(registry) {
+    if (registry.models.length === 0) return FIRST_TRAINED_VERSION;
+
+    const latest = registry.models[registry.models.length - 1].version;
+    const [major, minor, patch] = latest.split('.').map(Number);
+    return `${major}.${minor}.${patch + 1}`;
+  }
+
+  /**
+   * Versions name artifact files, so anything but major.minor.patch is
+   * rejected before it gets near a path
+   */
+  static assertVersion(version) {
+    if (typeof version !== 'string' || !VERSION_PATTERN.test(version)) {
+      throw new ModelRegistryError(`Invalid model version ${version}; expected major.minor.patch`);
+    }
+  }
+
+  artifactPath(version) {
+    ModelRegistry.assertVersion(version);
+    return path.join(this.modelsDir, `pricing-model-${version}.json`);
+  }
+
+  emptyRegistry() {
+    return {
+      activeVersion: null,
+      challengerVersion: null,
+      models: [],
+      history: [],
+      lastUpdated: moment().toISOString()
+    };
+  }
+
+  async loadRegistry() {
+    try {
+      const data = await fs.readFile(this.registryFile, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Error loading model registry:', error);
+      return this.emptyRegistry();
+    }
+  }
+
+  async saveRegistry(registry) {
+    try {
+      await fs.writeFile(this.registryFile, JSON.stringify(registry, null, 2));
+    } catch (error) {
+      console.error('Error saving model registry:', error);
+      throw error;
+    }
+  }
+}
+
+ModelRegistry.ModelRegistryError = ModelRegistryError;
+
+module.exports = ModelRegistry;
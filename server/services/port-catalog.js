@@ -0,0 +1,481 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const EARTH_RADIUS_KM = 6371;
+// Container ships steam at roughly 16 knots
+const SEA_KM_PER_DAY = 700;
+// Hub routings longer than this multiple of the direct sea distance are not offered
+const MAX_DETOUR = 1.75;
+// Hubs run feeder services to ports within this sea distance
+const FEEDER_RANGE_KM = 3000;
+// Transshipping for a shorter hop than this is never worth it
+const MIN_LEG_KM = 400;
+const DEFAULT_TRANSSHIPMENT_DAYS = 3;
+// Door-to-door air transit: flying time plus acceptance, build-up and clearance
+const AIR_KM_PER_DAY = 19200;
+const AIR_HANDLING_DAYS = 2;
+// Roads wind; trucks cover about 650 km a day within driving-hour limits
+const ROAD_CIRCUITY = 1.25;
+const ROAD_KM_PER_DAY = 650;
+const MAX_ROAD_KM = 5000;
+
+class PortCatalogError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PortCatalogError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Location master data: ports keyed by UN/LOCODE and airports keyed by IATA
+ * code, with a coarse sea-lane graph for ocean distances. Ports sail directly
+ * to ports in their own region (or a region linked across open water);
+ * anything further away routes through chokepoint waypoints such as Suez,
+ * Panama or the Singapore Strait. Air distances are great-circle and road
+ * distances great-circle with a circuity factor.
+ */
+class PortCatalog {
+  constructor(options = {}) {
+    const env = options.env || process.env;
+    this.catalogFile = options.catalogFile || env.FREIGHTIQ_PORTS_FILE ||
+      path.join(__dirname, '../data/ports.json');
+    this.ports = {};
+    this.airports = {};
+    this.regions = {};
+    this.waypoints = {};
+    this.regionLinks = new Set();
+    this.tradeLanes = [];
+    this.distanceCache = {};
+    this.ready = this.loadCatalog().catch(error => {
+      console.error('Error loading port catalog:', error);
+    });
+  }
+
+  async loadCatalog(catalogFile = this.catalogFile) {
+    let catalog;
+    try {
+      catalog = JSON.parse(await fs.readFile(catalogFile, 'utf8'));
+    } catch (error) {
+      throw new PortCatalogError(`Could not read port catalog ${catalogFile}: ${error.message}`, 422);
+    }
+
+    const regions = catalog.regions || {};
+    const ports = {};
+    (catalog.ports || []).forEach(port => {
+      const locode = (port.locode || '').toUpperCase();
+      if (!/^[A-Z]{2}[A-Z2-9]{3}$/.test(locode)) {
+        throw new PortCatalogError(`Invalid UN/LOCODE ${port.locode}`, 422);
+      }
+      if (!regions[port.region]) {
+        throw new PortCatalogError(`Port ${locode} has unknown region ${port.region}`, 422);
+      }
+      if (!Number.isFinite(port.latitude) || !Number.isFinite(port.longitude)) {
+        throw new PortCatalogError(`Port ${locode} has no coordinates`, 422);
+      }
+      ports[locode] = { ...port, locode, code: locode, aliases: port.aliases || [] };
+    });
+
+    const airports = {};
+    (catalog.airports || []).forEach(airport => {
+      const iata = (airport.iata || '').toUpperCase();
+      if (!/^[A-Z]{3}$/.test(iata)) {
+        throw new PortCatalogError(`Invalid IATA airport code ${airport.iata}`, 422);
+      }
+      if (!regions[airport.region]) {
+        throw new PortCatalogError(`Airport ${iata} has unknown region ${airport.region}`, 422);
+      }
+      if (!Number.isFinite(airport.latitude) || !Number.isFinite(airport.longitude)) {
+        throw new PortCatalogError(`Airport ${iata} has no coordinates`, 422);
+      }
+      airports[iata] = { ...airport, iata, code: iata, aliases: airport.aliases || [] };
+    });
+
+    const waypoints = {};
+    (catalog.waypoints || []).forEach(waypoint => {
+      waypoints[waypoint.id] = waypoint;
+    });
+
+    this.catalogFile = catalogFile;
+    this.regions = regions;
+    this.ports = ports;
+    this.airports = airports;
+    this.waypoints = waypoints;
+    this.regionLinks = new Set((catalog.regionLinks || []).flatMap(([a, b]) => [`${a}|${b}`, `${b}|${a}`]));
+    this.tradeLanes = catalog.tradeLanes || [];
+    this.distanceCache = {};
+
+    console.log(`Port Catalog: Loaded ${Object.keys(ports).length} ports, ${Object.keys(airports).length} airports and ` +
+      `${Object.keys(waypoints).length} sea-lane waypoints`);
+    return {
+      ports: Object.keys(ports).length,
+      airports: Object.keys(airports).length,
+      waypoints: Object.keys(waypoints).length
+    };
+  }
+
+  /**
+   * Find a port by UN/LOCODE, name or alias (case-insensitive)
+   */
+  resolve(value) {
+    if (!value) return null;
+    const key = String(value).trim();
+    const byCode = this.ports[key.toUpperCase()];
+    if (byCode) return byCode;
+
+    const lower = key.toLowerCase();
+    return Object.values(this.ports).find(port =>
+      port.name.toLowerCase() === lower ||
+      port.aliases.some(alias => alias.toLowerCase() === lower)) || null;
+  }
+
+  /**
+   * Find an airport by IATA code, name or city (case-insensitive)
+   */
+  resolveAirport(value) {
+    if (!value) return null;
+    const key = String(value).trim();
+    const byCode = this.airports[key.toUpperCase()];
+    if (byCode) return byCode;
+
+    const lower = key.toLowerCase();
+    return Object.values(this.airports).find(airport =>
+      airport.name.toLowerCase() === lower ||
+      airport.city.toLowerCase() === lower ||
+      airport.aliases.some(alias => alias.toLowerCase() === lower)) || null;
+  }
+
+  /**
+   * Ocean moves between ports, air between airports and road between any
+   * catalog location
+   */
+  resolveLocation(value, transportMode = 'ocean') {
+    if (transportMode === 'air') return this.resolveAirport(value);
+    if (transportMode === 'road') return this.resolve(value) || this.resolveAirport(value);
+    return this.resolve(value);
+  }
+
+  requireLocation(value, transportMode = 'ocean') {
+    const location = this.resolveLocation(value, transportMode);
+    if (!location) {
+      const expected = {
+        air: 'an IATA code, airport name or city from /api/airports',
+        road: 'a port or airport from /api/ports or /api/airports'
+      }[transportMode] || 'a UN/LOCODE or port name from /api/ports';
+      throw new PortCatalogError(`Unknown location ${value} for ${transportMode}, expected ${expected}`);
+    }
+    return location;
+  }
+
+  requirePort(value) {
+    const port = this.resolve(value);
+    if (!port) {
+      throw new PortCatalogError(`Unknown port ${value}, expected a UN/LOCODE or port name from /api/ports`);
+    }
+    return port;
+  }
+
+  /**
+   * List ports matching a free-text search over code, name, alias and country
+   */
+  search({ search, region } = {}) {
+    const term = (search || '').trim().toLowerCase();
+    if (region && !this.regions[region]) {
+      throw new PortCatalogError(`Unknown region ${region}, expected one of ${Object.keys(this.regions).join(', ')}`);
+    }
+
+    return Object.values(this.ports)
+      .filter(port => !region || port.region === region)
+      .filter(port => !term ||
+        port.locode.toLowerCase().startsWith(term) ||
+        port.name.toLowerCase().includes(term) ||
+        port.country.toLowerCase().includes(term) ||
+        port.aliases.some(alias => alias.toLowerCase().includes(term)))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(port => this.describePort(port));
+  }
+
+  searchAirports({ search, region } = {}) {
+    const term = (search || '').trim().toLowerCase();
+    if (region && !this.regions[region]) {
+      throw new PortCatalogError(`Unknown region ${region}, expected one of ${Object.keys(this.regions).join(', ')}`);
+    }
+
+    return Object.values(this.airports)
+      .filter(airport => !region || airport.region === region)
+      .filter(airport => !term ||
+        airport.iata.toLowerCase().startsWith(term) ||
+        airport.name.toLowerCase().includes(term) ||
+        airport.city.toLowerCase().includes(term) ||
+        airport.country.toLowerCase().includes(term))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(airport => ({
+        iata: airport.iata,
+        name: airport.name,
+        city: airport.city,
+        country: airport.country,
+        region: airport.region,
+        regionName: this.regions[airport.region],
+        latitude: airport.latitude,
+        longitude: airport.longitude
+      }));
+  }
+
+  requireHub(value) {
+    const port = this.requirePort(value);
+    if (!port.hub) {
+      throw new PortCatalogError(`${port.name} (${port.locode}) is not a transshipment hub`);
+    }
+    return port;
+  }
+
+  describePort(port) {
+    return {
+      locode: port.locode,
+      name: port.name,
+      country: port.country,
+      region: port.region,
+      regionName: this.regions[port.region],
+      continent: port.continent,
+      latitude: port.latitude,
+      longitude: port.longitude,
+      hub: Boolean(port.hub),
+      aliases: port.aliases
+    };
+  }
+
+  /**
+   * Sea distance between two ports along the waypoint graph, falling back to
+   * the great-circle distance when the graph has no path between them
+   */
+  getDistance(origin, destination) {
+    const from = this.requirePort(origin);
+    const to = this.requirePort(destination);
+    const cacheKey = `${from.locode}-${to.locode}`;
+    if (this.distanceCache[cacheKey]) return this.distanceCache[cacheKey];
+
+    const greatCircleKm = PortCatalog.greatCircleKm(from, to);
+    const path = from.locode === to.locode ? null : this.findSeaPath(from, to);
+    const result = path ? {
+      distanceKm: Math.round(path.distanceKm),
+      greatCircleKm: Math.round(greatCircleKm),
+      method: 'sea-route',
+      via: path.via
+    } : {
+      distanceKm: Math.round(greatCircleKm),
+      greatCircleKm: Math.round(greatCircleKm),
+      method: 'great-circle',
+      via: []
+    };
+
+    this.distanceCache[cacheKey] = result;
+    return result;
+  }
+
+  /**
+   * Dijkstra from the origin port through the waypoints to the destination
+   */
+  findSeaPath(from, to) {
+    const nodes = {
+      [from.locode]: { id: from.locode, point: from, region: from.region },
+      [to.locode]: { id: to.locode, point: to, region: to.region }
+    };
+    Object.values(this.waypoints).forEach(waypoint => {
+      nodes[waypoint.id] = { id: waypoint.id, point: waypoint, waypoint };
+    });
+    const reaches = (node, port) => node.waypoint ?
+      node.waypoint.regions.includes(port.region) :
+      port.region === node.region || this.regionLinks.has(`${node.region}|${port.region}`);
+
+    const neighbours = node => {
+      const next = node.waypoint ?
+        node.waypoint.links.map(id => nodes[id]).filter(Boolean) :
+        Object.values(nodes).filter(other => other.waypoint && other.waypoint.regions.includes(node.region));
+      return reaches(node, to) ? next.concat(nodes[to.locode]) : next;
+    };
+
+    const distances = { [from.locode]: 0 };
+    const previous = {};
+    const visited = new Set();
+
+    while (true) {
+      let current = null;
+      Object.entries(distances).forEach(([id, distance]) => {
+        if (!visited.has(id) && (current === null || distance < distances[current])) current = id;
+      });
+      if (current === null) return null;
+      if (current === to.locode) break;
+      visited.add(current);
+
+      neighbours(nodes[current]).forEach(next => {
+        if (visited.has(next.id)) return;
+        const distance = distances[current] + PortCatalog.greatCircleKm(nodes[current].point, next.point);
+        if (distances[next.id] === undefined || distance < distances[next.id]) {
+          distances[next.id] = distance;
+          previous[next.id] = current;
+        }
+      });
+    }
+
+    const via = [];
+    for (let id = previous[to.locode]; id && id !== from.locode; id = previous[id]) {
+      via.unshift(nodes[id].waypoint.name);
+    }
+    return { distanceKm: distances[to.locode], via };
+  }
+
+  /**
+   * Scheduled direct services run within a region, along a known trade lane,
+   * between two hubs or on a hub's feeder network
+   */
+  hasDirectService(from, to) {
+    return from.region === to.region ||
+      Boolean(from.hub && to.hub) ||
+      Boolean(this.getTradeLane(from.locode, to.locode)) ||
+      Boolean((from.hub || to.hub) && this.getDistance(from.locode, to.locode).distanceKm <= FEEDER_RANGE_KM);
+  }
+
+  /**
+   * Candidate routings from origin to destination: the direct service and
+   * transshipments through one hub, or through two hubs in different regions
+   * when no single hub connects the ports. Pass direct: true when a direct
+   * service is known to exist, e.g. a contracted lane. Without any served
+   * routing the direct one is returned.
+   */
+  findRoutings(origin, destination, options = {}) {
+    const from = this.requirePort(origin);
+    const to = this.requirePort(destination);
+    const maxKm = this.getDistance(from.locode, to.locode).distanceKm * MAX_DETOUR;
+    const serves = (a, b) => this.getDistance(a.locode, b.locode).distanceKm >= MIN_LEG_KM &&
+      this.hasDirectService(a, b);
+    const hubs = Object.values(this.ports).filter(port =>
+      port.hub && port.locode !== from.locode && port.locode !== to.locode);
+    const shortEnough = routing => routing.distanceKm <= maxKm;
+
+    const firstHubs = hubs.filter(hub => serves(from, hub));
+    let transshipments = firstHubs
+      .filter(hub => serves(hub, to))
+      .map(hub => this.buildRouting([from, hub, to]))
+      .filter(shortEnough);
+    if (transshipments.length === 0) {
+      firstHubs.forEach(hub => hubs
+        .filter(second => second.region !== hub.region && serves(hub, second) && serves(second, to))
+        .forEach(second => transshipments.push(this.buildRouting([from, hub, second, to]))));
+      transshipments = transshipments.filter(shortEnough);
+    }
+
+    const direct = options.direct || this.hasDirectService(from, to) || transshipments.length === 0 ?
+      [this.buildRouting([from, to])] :
+      [];
+    return direct.concat(transshipments.sort((a, b) => a.distanceKm - b.distanceKm));
+  }
+
+  /**
+   * Legs, hubs, distance and transit time for a sequence of ports
+   */
+  buildRouting(ports) {
+    const legs = ports.slice(1).map((to, index) => {
+      const from = ports[index];
+      const { distanceKm, method, via } = this.getDistance(from.locode, to.locode);
+      return {
+        from: { code: from.code, name: from.name },
+        to: { code: to.code, name: to.name },
+        distanceKm,
+        method,
+        via,
+        transitDays: this.getLegTransitDays(distanceKm)
+      };
+    });
+    const hubs = ports.slice(1, -1).map(hub => ({
+      locode: hub.locode,
+      name: hub.name,
+      transshipmentDays: hub.transshipmentDays || DEFAULT_TRANSSHIPMENT_DAYS
+    }));
+    const distanceKm = legs.reduce((sum, leg) => sum + leg.distanceKm, 0);
+
+    return {
+      id: ports.map(port => port.locode).join('-'),
+      type: hubs.length > 0 ? 'transshipment' : 'direct',
+      hubs,
+      legs,
+      distanceKm,
+      transitDays: this.getTransitDays(legs, hubs)
+    };
+  }
+
+  /**
+   * Days at sea for a leg of the given distance
+   */
+  getLegTransitDays(distanceKm) {
+    return Math.round(distanceKm / SEA_KM_PER_DAY * 10) / 10;
+  }
+
+  /**
+   * Door-to-door days for an ocean routing: sailing time for the legs plus
+   * each hub's dwell time
+   */
+  getTransitDays(legs, hubs) {
+    const distanceKm = legs.reduce((sum, leg) => sum + leg.distanceKm, 0);
+    const dwellDays = hubs.reduce((sum, hub) => sum + hub.transshipmentDays, 0);
+    return Math.ceil(distanceKm / SEA_KM_PER_DAY + dwellDays);
+  }
+
+  /**
+   * Single-leg air or road routing. Flights follow the great circle; roads
+   * add a circuity factor and only connect locations on the same continent.
+   */
+  buildDirectRouting(from, to, transportMode) {
+    const greatCircleKm = PortCatalog.greatCircleKm(from, to);
+    if (transportMode === 'road' &&
+      (from.continent !== to.continent || greatCircleKm * ROAD_CIRCUITY > MAX_ROAD_KM)) {
+      throw new PortCatalogError(`No road connection between ${from.name} and ${to.name}`, 422);
+    }
+
+    const distanceKm = Math.round(transportMode === 'road' ? greatCircleKm * ROAD_CIRCUITY : greatCircleKm);
+    const transitDays = transportMode === 'road' ?
+      Math.max(1, Math.ceil(distanceKm / ROAD_KM_PER_DAY)) :
+      Math.ceil(distanceKm / AIR_KM_PER_DAY + AIR_HANDLING_DAYS);
+
+    return {
+      id: `${from.code}-${to.code}`,
+      type: 'direct',
+      hubs: [],
+      legs: [{
+        from: { code: from.code, name: from.name },
+        to: { code: to.code, name: to.name },
+        distanceKm,
+        method: transportMode === 'road' ? 'road' : 'great-circle',
+        via: [],
+        transitDays: Math.round(distanceKm / (transportMode === 'road' ? ROAD_KM_PER_DAY : AIR_KM_PER_DAY) * 10) / 10
+      }],
+      distanceKm,
+      transitDays
+    };
+  }
+
+  /**
+   * Trade-lane characteristics for the region pair, in either direction
+   */
+  getTradeLane(origin, destination) {
+    const from = this.resolveLocation(origin, 'road');
+    const to = this.resolveLocation(destination, 'road');
+    if (!from || !to) return null;
+
+    return this.tradeLanes.find(lane =>
+      (lane.regions[0] === from.region && lane.regions[1] === to.region) ||
+      (lane.regions[1] === from.region && lane.regions[0] === to.region)) || null;
+  }
+
+  static greatCircleKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+  }
+}
+
+PortCatalog.PortCatalogError = PortCatalogError;
+
+module.exports = PortCatalog;
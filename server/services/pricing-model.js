@@ -0,0 +1,318 @@
+const moment = require('moment');
+const TrainingStore = require('./training-store');
+const RMSConnector = require('./rms-connector');
+
+const CARGO_TYPES = ['hazardous', 'refrigerated', 'oversized', 'fragile'];
+const SERVICE_TYPES = ['express', 'economy', 'premium'];
+// Ocean is the reference mode
+const TRANSPORT_MODES = ['air', 'road'];
+
+const FEATURE_NAMES = [
+  'logTotalCost',
+  ...CARGO_TYPES.map(type => `cargo_${type}`),
+  ...SERVICE_TYPES.map(type => `service_${type}`),
+  ...TRANSPORT_MODES.map(mode => `mode_${mode}`),
+  'logWeightTons',
+  'logVolume',
+  'marketAdjustment',
+  'competitivenessIndex',
+  'volatility',
+  'congestionLevel',
+  'logCustomerMultiplier',
+  'seasonalAdjustment',
+  'competitorPriceKnown',
+  'logCompetitorPriceRatio'
+];
+
+class PricingModel {
+  constructor(options = {}) {
+    this.lambda = options.lambda !== undefined ? options.lambda : 1.0;
+    this.minSamples = options.minSamples || 20;
+    // Declined quotes tell us the price was too high, so they are trained
+    // towards a discounted price with a lower weight than real bookings
+    this.declineDiscount = options.declineDiscount || 0.9;
+    this.declineWeight = options.declineWeight !== undefined ? options.declineWeight : 0.5;
+    this.featureNames = FEATURE_NAMES;
+    this.coefficients = null;
+    this.intercept = 0;
+    this.means = null;
+    this.stds = null;
+    this.metrics = null;
+    this.trainedAt = null;
+    this.sampleCount = 0;
+  }
+
+  /**
+   * Build the named feature snapshot the regression is trained and scored on
+   */
+  static buildFeatures(params) {
+    const {
+      costData,
+      marketData,
+      cargoType,
+      weight,
+      volume,
+      serviceType,
+      customerMultiplier = 1.0,
+      seasonalAdjustment = 0
+    } = params;
+
+    const totalCost = costData.totalCost || (costData.baseCost + costData.surcharges);
+    const features = {
+      logTotalCost: Math.log(Math.max(1, totalCost))
+    };
+
+    CARGO_TYPES.forEach(type => {
+      features[`cargo_${type}`] = cargoType === type ? 1 : 0;
+    });
+    SERVICE_TYPES.forEach(type => {
+      features[`service_${type}`] = serviceType === type ? 1 : 0;
+    });
+    TRANSPORT_MODES.forEach(mode => {
+      features[`mode_${mode}`] = costData.transportMode === mode ? 1 : 0;
+    });
+
+    features.logWeightTons = Math.log1p((parseFloat(weight) || 0) / 1000);
+    features.logVolume = Math.log1p(parseFloat(volume) || 0);
+    features.marketAdjustment = marketData.adjustment || 0;
+    features.competitivenessIndex = marketData.competitivenessIndex || 0;
+    features.volatility = marketData.volatility || 0;
+    features.congestionLevel = marketData.congestionLevel || 0;
+    features.logCustomerMultiplier = Math.log(customerMultiplier);
+    features.seasonalAdjustment = seasonalAdjustment;
+
+    // Competitor prices captured on the lane (from declines and benchmarks),
+    // as the lane's median competitor rate for this shipment against our
+    // cost. The rate is per unit of the shipment mode's freight basis.
+    const benchmark = marketData.benchmark;
+    const freightBasis = costData.freightBasis || {};
+    const rateUnits = RMSConnector.getRateUnits({
+      mode: freightBasis.mode || RMSConnector.SHIPMENT_MODES[costData.transportMode || 'ocean'][0],
+      containerCount: freightBasis.containerCount,
+      truckCount: freightBasis.truckCount,
+      weight,
+      volume
+    });
+    const competitorPrice = benchmark && benchmark.competitorMedianRate > 0 ?
+      benchmark.competitorMedianRate * rateUnits :
+      0;
+    features.competitorPriceKnown = competitorPrice > 0 ? 1 : 0;
+    features.logCompetitorPriceRatio = competitorPrice > 0 ? Math.log(competitorPrice / Math.max(1, totalCost)) : 0;
+
+    return features;
+  }
+
+  /**
+   * Turn logged bookings/declines into weighted regression samples.
+   * Records without a feature snapshot cannot be learned from and are skipped.
+   * Declines for reasons unrelated to price are left out. Competitor prices
+   * reach the model as features of later quotes on the lane, not as targets.
+   * Bookings confirmed at the quoted price only repeat the model's own output,
+   * so only negotiated bookings are targets.
+   */
+  buildSamples(trainingData) {
+    const samples = [];
+
+    (trainingData.bookings || []).filter(TrainingStore.isNegotiated).forEach(booking => {
+      const price = parseFloat(booking.finalPrice);
+      if (booking.features && price > 0) {
+        samples.push({ features: booking.features, target: price, weight: 1.0 });
+      }
+    });
+
+    (trainingData.declines || []).forEach(decline => {
+      const price = parseFloat(decline.quotedPrice);
+      if (!decline.features) return;
+
+      if (price > 0 && TrainingStore.isPriceInformative(decline)) {
+        samples.push({
+          features: decline.features,
+          target: price * this.declineDiscount,
+          weight: this.declineWeight
+        });
+      }
+    });
+
+    return samples;
+  }
+
+  /**
+   * Fit a weighted ridge regression on log(price) using the normal equations
+   */
+  fit(samples) {
+    if (samples.length < this.minSamples) {
+      return {
+        success: false,
+        reason: `Not enough training samples (${samples.length}/${this.minSamples})`,
+        samples: samples.length
+      };
+    }
+
+    const rows = samples.map(sample => this.toVector(sample.features));
+    const targets = samples.map(sample => Math.log(sample.target));
+    const weights = samples.map(sample => sample.weight || 1.0);
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    const dims = this.featureNames.length;
+
+    // Standardize features so a single lambda penalizes them evenly
+    this.means = new Array(dims).fill(0);
+    this.stds = new Array(dims).fill(0);
+    rows.forEach((row, i) => {
+      row.forEach((value, j) => { this.means[j] += weights[i] * value; });
+    });
+    this.means = this.means.map(sum => sum / totalWeight);
+    rows.forEach((row, i) => {
+      row.forEach((value, j) => { this.stds[j] += weights[i] * Math.pow(value - this.means[j], 2); });
+    });
+    this.stds = this.stds.map(sum => Math.sqrt(sum / totalWeight) || 1);
+
+    const targetMean = targets.reduce((sum, y, i) => sum + weights[i] * y, 0) / totalWeight;
+    const scaled = rows.map(row => row.map((value, j) => (value - this.means[j]) / this.stds[j]));
+
+    // Solve (XᵀWX + λI) β = XᵀW(y - ȳ)
+    const gram = Array.from({ length: dims }, () => new Array(dims).fill(0));
+    const xty = new Array(dims).fill(0);
+    scaled.forEach((row, i) => {
+      const w = weights[i];
+      const residual = targets[i] - targetMean;
+      for (let a = 0; a < dims; a++) {
+        xty[a] += w * row[a] * residual;
+        for (let b = a; b < dims; b++) {
+          gram[a][b] += w * row[a] * row[b];
+        }
+      }
+    });
+    for (let a = 0; a < dims; a++) {
+      for (let b = 0; b < a; b++) gram[a][b] = gram[b][a];
+      gram[a][a] += this.lambda;
+    }
+
+    this.coefficients = PricingModel.solveLinearSystem(gram, xty);
+    this.intercept = targetMean;
+    this.sampleCount = samples.length;
+    this.trainedAt = moment().toISOString();
+    this.metrics = this.evaluate(samples);
+
+    return { success: true, samples: samples.length, metrics: this.metrics };
+  }
+
+  predict(features) {
+    if (!this.isTrained()) return null;
+
+    const vector = this.toVector(features);
+    let logPrice = this.intercept;
+    vector.forEach((value, j) => {
+      logPrice += this.coefficients[j] * (value - this.means[j]) / this.stds[j];
+    });
+
+    const price = Math.exp(logPrice);
+    return Number.isFinite(price) ? Math.round(price * 100) / 100 : null;
+  }
+
+  /**
+   * Per-feature contributions to log(price) relative to the training mean,
+   * with exp(intercept) as the baseline price
+   */
+  explain(features) {
+    const vector = this.toVector(features);
+    const contributions = {};
+    vector.forEach((value, j) => {
+      contributions[this.featureNames[j]] = this.coefficients[j] * (value - this.means[j]) / this.stds[j];
+    });
+
+    return { baseline: Math.exp(this.intercept), contributions };
+  }
+
+  evaluate(samples) {
+    if (!this.isTrained() || samples.length === 0) return null;
+
+    let absError = 0;
+    let absPctError = 0;
+    let sqError = 0;
+    samples.forEach(sample => {
+      const error = this.predict(sample.features) - sample.target;
+      absError += Math.abs(error);
+      absPctError += Math.abs(error) / sample.target;
+      sqError += error * error;
+    });
+
+    return {
+      mae: Math.round(absError / samples.length * 100) / 100,
+      mape: Math.round(absPctError / samples.length * 10000) / 100,
+      rmse: Math.round(Math.sqrt(sqError / samples.length) * 100) / 100
+    };
+  }
+
+  isTrained() {
+    return Array.isArray(this.coefficients);
+  }
+
+  toVector(features) {
+    return this.featureNames.map(name => {
+      const value = features[name];
+      return Number.isFinite(value) ? value : 0;
+    });
+  }
+
+  toJSON() {
+    return {
+      type: 'ridge-log-linear',
+      featureNames: this.featureNames,
+      coefficients: this.coefficients,
+      intercept: this.intercept,
+      means: this.means,
+      stds: this.stds,
+      lambda: this.lambda,
+      metrics: this.metrics,
+      sampleCount: this.sampleCount,
+      trainedAt: this.trainedAt
+    };
+  }
+
+  static fromJSON(artifact) {
+    const model = new PricingModel({ lambda: artifact.lambda });
+    model.featureNames = artifact.featureNames;
+    model.coefficients = artifact.coefficients;
+    model.intercept = artifact.intercept;
+    model.means = artifact.means;
+    model.stds = artifact.stds;
+    model.metrics = artifact.metrics;
+    model.sampleCount = artifact.sampleCount;
+    model.trainedAt = artifact.trainedAt;
+    return model;
+  }
+
+  /**
+   * Gaussian elimination with partial pivoting
+   */
+  static solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const a = matrix.map((row, i) => [...row, vector[i]]);
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+      }
+      [a[col], a[pivot]] = [a[pivot], a[col]];
+
+      const divisor = a[col][col] || 1e-12;
+      for (let row = col + 1; row < n; row++) {
+        const factor = a[row][col] / divisor;
+        for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+      }
+    }
+
+    const solution = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = a[row][n];
+      for (let k = row + 1; k < n; k++) sum -= a[row][k] * solution[k];
+      solution[row] = sum / (a[row][row] || 1e-12);
+    }
+    return solution;
+  }
+}
+
+PricingModel.FEATURE_NAMES = FEATURE_NAMES;
+
+module.exports = PricingModel;
@@ -0,0 +1,535 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+
+// Legal status changes; expired, superseded, declined and cancelled are final
+const QUOTE_TRANSITIONS = {
+  issued: ['viewed', 'expired', 'superseded', 'booked', 'declined', 'cancelled'],
+  viewed: ['expired', 'superseded', 'booked', 'declined', 'cancelled'],
+  booked: ['cancelled'],
+  expired: [],
+  superseded: [],
+  declined: [],
+  cancelled: []
+};
+
+const OPEN_STATUSES = ['issued', 'viewed'];
+
+const NEGOTIATING_PARTIES = ['customer', 'rep'];
+
+const SORT_FIELDS = {
+  issuedAt: quote => quote.issuedAt,
+  expiresAt: quote => quote.expiresAt,
+  predictedPrice: quote => quote.predictedPrice,
+  confidence: quote => quote.prediction.confidence
+};
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+// Largest difference between the booked and quoted amount treated as a match
+const PRICE_TOLERANCE = 0.01;
+
+class QuoteStoreError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'QuoteStoreError';
+    this.statusCode = statusCode;
+  }
+}
+
+class QuoteStore {
+  constructor(options = {}) {
+    this.dataFile = options.dataFile || path.join(__dirname, '../data/quotes.json');
+    // Tail of the chain every read-modify-write of the file waits on
+    this.writeQueue = Promise.resolve();
+    // A read-only store never creates its file, for tools that only replay
+    this.ready = options.readOnly ? Promise.resolve() : this.initializeDataStore();
+  }
+
+  async initializeDataStore() {
+    try {
+      await fs.mkdir(path.dirname(this.dataFile), { recursive: true });
+
+      try {
+        await fs.access(this.dataFile);
+      } catch {
+        await fs.writeFile(this.dataFile, JSON.stringify({
+          quotes: {},
+          lastUpdated: moment().toISOString()
+        }, null, 2));
+      }
+    } catch (error) {
+      console.error('Error initializing quote store:', error);
+    }
+  }
+
+  /**
+   * Persist the full feature snapshot of an issued quote, keyed by requestId
+   */
+  async saveQuote(quoteData) {
+    try {
+      const quote = await this.update(data => this.addQuote(data, quoteData));
+
+      console.log(`Quote Store: Saved quote snapshot for request ${quote.requestId}`);
+      return quote;
+
+    } catch (error) {
+      console.error('Error saving quote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an issued quote to the loaded store, superseding the quote it replaces
+   */
+  addQuote(data, quoteData) {
+    const {
+      requestId,
+      request,
+      customer,
+      costData,
+      marketData,
+      prediction,
+      validity,
+      fx,
+      determinism,
+      supersedesRequestId
+    } = quoteData;
+
+    const superseded = supersedesRequestId ? this.findQuote(data, supersedesRequestId) : null;
+    if (superseded) this.assertTransition(superseded, 'superseded');
+
+    // Validity is anchored to when the quote was actually issued, so
+    // quotes priced on a pinned clock still get their full validity period
+    const issuedAt = moment();
+    const expiresAt = validity ?
+      issuedAt.clone().add(moment(validity.validUntil).diff(validity.validFrom)) :
+      issuedAt.clone().add(24, 'hours');
+
+    const quote = {
+      requestId,
+      request,
+      lane: `${request.origin}-${request.destination}`,
+      // Customer master data as it stood when the quote was priced
+      customer: customer ? {
+        customerId: customer.customerId,
+        tier: customer.tier,
+        contractStatus: customer.contractStatus,
+        statistics: { priceSensitivity: customer.statistics.priceSensitivity }
+      } : null,
+      costData,
+      marketData,
+      prediction: {
+        price: prediction.price,
+        confidence: prediction.confidence,
+        confidenceBand: prediction.confidenceBand,
+        marginRange: prediction.marginRange,
+        mlAdjustment: prediction.mlAdjustment,
+        attribution: prediction.attribution,
+        referencePrice: prediction.priceOptimization.referencePrice,
+        winProbability: prediction.priceOptimization.winProbability,
+        expectedMargin: prediction.priceOptimization.expectedMargin,
+        optimizationMethod: prediction.priceOptimization.method,
+        predictionSource: prediction.predictionSource
+      },
+      predictedPrice: prediction.price,
+      // Price in the customer's currency at the locked rate
+      currency: fx ? fx.currency : 'USD',
+      fx: fx || null,
+      quotedAmount: fx ? Math.round(prediction.price * fx.rate * 100) / 100 : prediction.price,
+      modelVersion: prediction.modelVersion,
+      shadowPredictions: prediction.shadowPrediction ? [prediction.shadowPrediction] : [],
+      features: prediction.features,
+      validity: validity || null,
+      determinism: determinism || null,
+      status: 'issued',
+      statusHistory: [{ status: 'issued', at: issuedAt.toISOString() }],
+      expiresAt: expiresAt.toISOString(),
+      supersedes: superseded ? superseded.requestId : null,
+      supersededBy: null,
+      issuedAt: issuedAt.toISOString()
+    };
+
+    data.quotes[requestId] = quote;
+    if (superseded) {
+      this.applyTransition(superseded, 'superseded', { supersededBy: requestId });
+      superseded.supersededBy = requestId;
+    }
+    return quote;
+  }
+
+  /**
+   * Reads see lapsed quotes as expired without writing that back; the next
+   * write to the quote records it
+   */
+  async getQuote(requestId) {
+    const data = await this.loadQuotes();
+    const quote = data.quotes[requestId];
+    if (!quote) return null;
+
+    this.expireIfStale(quote);
+    return quote;
+  }
+
+  async getQuotes() {
+    const data = await this.loadQuotes();
+    const quotes = Object.values(data.quotes);
+
+    quotes.forEach(quote => this.expireIfStale(quote));
+    return quotes;
+  }
+
+  /**
+   * Filter, sort and page stored quotes. Prices are compared in the base
+   * currency so quotes in different currencies can be searched together.
+   */
+  async searchQuotes(query = {}) {
+    const {
+      customerId,
+      forwarderId,
+      lane,
+      origin,
+      destination,
+      cargoType,
+      currency,
+      from,
+      to
+    } = query;
+
+    const statuses = query.status ? String(query.status).split(',') : null;
+    if (statuses) {
+      const unknown = statuses.filter(status => !QUOTE_TRANSITIONS[status]);
+      if (unknown.length > 0) {
+        throw new QuoteStoreError(
+          `Invalid status ${unknown.join(', ')}, expected one of ${Object.keys(QUOTE_TRANSITIONS).join(', ')}`);
+      }
+    }
+
+    [['from', from], ['to', to]].forEach(([name, value]) => {
+      if (value && !moment(value, moment.ISO_8601, true).isValid()) {
+        throw new QuoteStoreError(`${name} must be an ISO 8601 date`);
+      }
+    });
+
+    const minPrice = QuoteStore.parseNumber('minPrice', query.minPrice);
+    const maxPrice = QuoteStore.parseNumber('maxPrice', query.maxPrice);
+    const page = QuoteStore.parseNumber('page', query.page);
+    const pageSize = QuoteStore.parseNumber('pageSize', query.pageSize);
+    [page, pageSize].forEach(value => {
+      if (value !== null && !(Number.isInteger(value) && value >= 1)) {
+        throw new QuoteStoreError('page and pageSize must be positive integers');
+      }
+    });
+    const pagination = {
+      page: page || 1,
+      pageSize: Math.min(pageSize || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)
+    };
+
+    const sortBy = query.sortBy || 'issuedAt';
+    const order = query.order || 'desc';
+    if (!SORT_FIELDS[sortBy]) {
+      throw new QuoteStoreError(`Invalid sortBy ${sortBy}, expected one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+      throw new QuoteStoreError('order must be asc or desc');
+    }
+
+    // A date-only upper bound includes the whole of that day
+    const toDate = to && (String(to).length === 10 ? moment.utc(to).endOf('day') : moment(to));
+
+    const matches = (await this.getQuotes())
+      .filter(quote => !customerId || quote.request.customerId === customerId)
+      .filter(quote => !forwarderId || quote.request.forwarderId === forwarderId)
+      .filter(quote => !lane || quote.lane === lane)
+      .filter(quote => !origin || quote.request.origin === origin)
+      .filter(quote => !destination || quote.request.destination === destination)
+      .filter(quote => !cargoType || quote.request.cargoType === cargoType)
+      .filter(quote => !currency || (quote.currency || 'USD') === String(currency).toUpperCase())
+      .filter(quote => !statuses || statuses.includes(quote.status))
+      .filter(quote => !from || !moment(quote.issuedAt).isBefore(from))
+      .filter(quote => !toDate || !moment(quote.issuedAt).isAfter(toDate))
+      .filter(quote => minPrice === null || quote.predictedPrice >= minPrice)
+      .filter(quote => maxPrice === null || quote.predictedPrice <= maxPrice);
+
+    const direction = order === 'asc' ? 1 : -1;
+    matches.sort((a, b) => {
+      const left = SORT_FIELDS[sortBy](a);
+      const right = SORT_FIELDS[sortBy](b);
+      if (left === right) return 0;
+      return (left < right ? -1 : 1) * direction;
+    });
+
+    return {
+      quotes: matches
+        .slice((pagination.page - 1) * pagination.pageSize, pagination.page * pagination.pageSize)
+        .map(QuoteStore.summarize),
+      total: matches.length,
+      ...pagination,
+      totalPages: Math.ceil(matches.length / pagination.pageSize),
+      sortBy,
+      order
+    };
+  }
+
+  /**
+   * List view of a quote; the full snapshot is available by requestId
+   */
+  static summarize(quote) {
+    return {
+      requestId: quote.requestId,
+      lane: quote.lane,
+      origin: quote.request.origin,
+      destination: quote.request.destination,
+      cargoType: quote.request.cargoType,
+      weight: quote.request.weight,
+      serviceType: quote.request.serviceType,
+      customerId: quote.request.customerId || null,
+      forwarderId: quote.request.forwarderId || null,
+      departureDate: quote.request.departureDate || null,
+      predictedPrice: quote.predictedPrice,
+      currency: quote.currency || 'USD',
+      quotedAmount: quote.quotedAmount !== undefined ? quote.quotedAmount : quote.predictedPrice,
+      currentOffer: QuoteStore.getOfferedAmount(quote),
+      negotiationRounds: quote.negotiation ? quote.negotiation.rounds.length : 0,
+      confidence: quote.prediction.confidence,
+      modelVersion: quote.modelVersion,
+      status: quote.status,
+      issuedAt: quote.issuedAt,
+      expiresAt: quote.expiresAt || null
+    };
+  }
+
+  static parseNumber(name, value) {
+    if (value === undefined || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new QuoteStoreError(`${name} must be a number`);
+    }
+    return number;
+  }
+
+  /**
+   * Move a quote to a new status, enforcing the lifecycle
+   */
+  async transition(requestId, status, details = {}) {
+    const quote = await this.update(data => {
+      const quote = this.findQuote(data, requestId);
+      this.assertTransition(quote, status);
+      this.applyTransition(quote, status, details);
+      return quote;
+    });
+
+    console.log(`Quote Store: Quote ${requestId} ${status}`);
+    return quote;
+  }
+
+  /**
+   * Record that the customer opened a quote. Opening it again only moves
+   * lastViewedAt; the status history keeps the first view.
+   */
+  async markViewed(requestId) {
+    const quote = await this.update(data => {
+      const quote = this.findQuote(data, requestId);
+      if (quote.status !== 'viewed') {
+        this.assertTransition(quote, 'viewed');
+        this.applyTransition(quote, 'viewed');
+      }
+      quote.lastViewedAt = moment().toISOString();
+      return quote;
+    });
+
+    console.log(`Quote Store: Quote ${requestId} viewed`);
+    return quote;
+  }
+
+  /**
+   * Book an open quote, but only at the amount it was quoted at
+   */
+  async bookQuote(requestId, finalPrice, details = {}) {
+    const quote = await this.update(data => {
+      const quote = this.findQuote(data, requestId);
+      this.assertTransition(quote, 'booked');
+
+      const quotedAmount = QuoteStore.getOfferedAmount(quote);
+      if (!(Math.abs(parseFloat(finalPrice) - quotedAmount) <= PRICE_TOLERANCE)) {
+        throw new QuoteStoreError(
+          `Booked price ${finalPrice} does not match quoted price ${quotedAmount} ${quote.currency || 'USD'}`, 422);
+      }
+
+      this.applyTransition(quote, 'booked', { ...details, finalPrice: quotedAmount });
+      return quote;
+    });
+
+    console.log(`Quote Store: Quote ${requestId} booked`);
+    return quote;
+  }
+
+  /**
+   * Add a counter-offer to an open quote's negotiation thread. The evaluator
+   * answers it against the quote as it stands, including earlier rounds.
+   */
+  async recordCounterOffer(requestId, counterOffer, evaluate) {
+    const price = parseFloat(counterOffer.price);
+    if (!(price > 0)) {
+      throw new QuoteStoreError('Counter-offer price must be a positive number');
+    }
+    const party = counterOffer.party || 'customer';
+    if (!NEGOTIATING_PARTIES.includes(party)) {
+      throw new QuoteStoreError(`Invalid party ${party}, expected one of ${NEGOTIATING_PARTIES.join(', ')}`);
+    }
+
+    const { quote, evaluation } = await this.update(data => {
+      const quote = this.findQuote(data, requestId);
+      this.assertNegotiable(quote);
+
+      const evaluation = evaluate(quote, price);
+      const negotiation = quote.negotiation || { currency: quote.currency || 'USD', rounds: [] };
+      negotiation.rounds.push({
+        ...evaluation,
+        party,
+        note: counterOffer.note || null,
+        at: moment().toISOString()
+      });
+      negotiation.currentOffer = evaluation.currentOffer;
+      negotiation.currentOfferBase = evaluation.basePrices.currentOffer;
+      if (evaluation.decision === 'accept') {
+        negotiation.status = 'agreed';
+      } else {
+        negotiation.status = evaluation.finalRound ? 'exhausted' : 'open';
+      }
+      quote.negotiation = negotiation;
+      return { quote, evaluation };
+    });
+
+    console.log(`Quote Store: Counter-offer round ${evaluation.round} on ${requestId}: ${evaluation.decision}`);
+    return quote;
+  }
+
+  assertNegotiable(quote) {
+    const status = quote.status || 'issued';
+    if (status === 'expired') {
+      throw new QuoteStoreError(`Quote ${quote.requestId} expired at ${quote.expiresAt}`, 410);
+    }
+    if (!OPEN_STATUSES.includes(status)) {
+      throw new QuoteStoreError(`Quote ${quote.requestId} is ${status} and cannot be negotiated`, 409);
+    }
+
+    const negotiation = quote.negotiation;
+    if (negotiation && negotiation.status !== 'open') {
+      const outcome = negotiation.status === 'agreed' ? 'A counter-offer was already accepted' : 'No rounds are left';
+      throw new QuoteStoreError(
+        `${outcome} on quote ${quote.requestId}; book at ${negotiation.currentOffer} ${negotiation.currency} or decline`, 409);
+    }
+  }
+
+  /**
+   * Amount the quote can be booked at: the latest offer when it has been
+   * negotiated, otherwise the quoted amount
+   */
+  static getOfferedAmount(quote) {
+    if (quote.negotiation) return quote.negotiation.currentOffer;
+    return quote.quotedAmount !== undefined ? quote.quotedAmount : quote.predictedPrice;
+  }
+
+  findQuote(data, requestId) {
+    const quote = data.quotes[requestId];
+    if (!quote) {
+      throw new QuoteStoreError(`Unknown quote ${requestId}`, 404);
+    }
+    this.expireIfStale(quote);
+    return quote;
+  }
+
+  assertTransition(quote, status) {
+    const current = quote.status || 'issued';
+    if ((QUOTE_TRANSITIONS[current] || []).includes(status)) return;
+
+    if (current === 'expired') {
+      throw new QuoteStoreError(`Quote ${quote.requestId} expired at ${quote.expiresAt}`, 410);
+    }
+    throw new QuoteStoreError(`Quote ${quote.requestId} is ${current} and cannot be ${status}`, 409);
+  }
+
+  applyTransition(quote, status, details = {}) {
+    quote.status = status;
+    quote.statusHistory = [
+      ...(quote.statusHistory || []),
+      { status, at: moment().toISOString(), ...details }
+    ];
+  }
+
+  /**
+   * Quotes expire lazily: an open quote past its expiry is marked expired
+   * wherever it is loaded, and stored as expired by the next write to it
+   */
+  expireIfStale(quote) {
+    if (!quote.status) quote.status = 'issued';
+    if (!OPEN_STATUSES.includes(quote.status) || !quote.expiresAt) return false;
+    if (moment().isBefore(quote.expiresAt)) return false;
+
+    quote.status = 'expired';
+    quote.statusHistory = [
+      ...(quote.statusHistory || []),
+      { status: 'expired', at: quote.expiresAt }
+    ];
+    return true;
+  }
+
+  /**
+   * Load, change and save the store after every write queued before this
+   * one, so concurrent requests never save over each other's changes.
+   * Nothing is saved when mutate throws.
+   */
+  update(mutate) {
+    const write = this.writeQueue.then(async () => {
+      const data = await this.loadQuotes();
+      const result = mutate(data);
+      data.lastUpdated = moment().toISOString();
+      await this.saveQuotes(data);
+      return result;
+    });
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * A missing file is an empty store; an unreadable one is an error, never
+   * an empty store that the next write would save over the quotes
+   */
+  async loadQuotes() {
+    let data;
+    try {
+      data = await fs.readFile(this.dataFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return { quotes: {}, lastUpdated: moment().toISOString() };
+      throw error;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      throw new Error(`Quote store ${this.dataFile} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write to a temporary file and rename it over the store, so reads never
+   * see a half-written file
+   */
+  async saveQuotes(data) {
+    try {
+      const tempFile = `${this.dataFile}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
+      await fs.rename(tempFile, this.dataFile);
+    } catch (error) {
+      console.error('Error saving quotes:', error);
+      throw error;
+    }
+  }
+}
+
+QuoteStore.QuoteStoreError = QuoteStoreError;
+QuoteStore.QUOTE_TRANSITIONS = QUOTE_TRANSITIONS;
+
+module.exports = QuoteStore;
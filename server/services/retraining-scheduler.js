@@ -0,0 +1,278 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const TrainingStore = require('./training-store');
+
+class RetrainingScheduler {
+  constructor(options = {}) {
+    this.trainingStore = options.trainingStore;
+    this.freightIQEngine = options.freightIQEngine;
+    this.modelRegistry = options.modelRegistry;
+    this.dataFile = options.dataFile || path.join(__dirname, '../data/retraining-runs.json');
+
+    const env = options.env || process.env;
+    this.config = {
+      // 0 disables the timer; outcome-triggered runs still happen
+      intervalHours: RetrainingScheduler.numberOption(options.intervalHours, env.FREIGHTIQ_RETRAIN_INTERVAL_HOURS, 24),
+      // 0 disables outcome-triggered runs
+      outcomeThreshold: RetrainingScheduler.numberOption(options.outcomeThreshold, env.FREIGHTIQ_RETRAIN_AFTER_OUTCOMES, 50),
+      lookbackDays: RetrainingScheduler.numberOption(options.lookbackDays, env.FREIGHTIQ_RETRAIN_LOOKBACK_DAYS, 90),
+      holdoutFraction: RetrainingScheduler.numberOption(options.holdoutFraction, env.FREIGHTIQ_RETRAIN_HOLDOUT, 0.2),
+      // Relative holdout MAPE improvement required to auto-promote
+      minImprovement: RetrainingScheduler.numberOption(options.minImprovement, env.FREIGHTIQ_RETRAIN_MIN_IMPROVEMENT, 0.02),
+      minHoldoutBookings: options.minHoldoutBookings || 10
+    };
+
+    this.outcomesSinceLastRun = 0;
+    this.running = null;
+    this.timer = null;
+    this.nextRunAt = null;
+    this.ready = this.initializeDataStore();
+  }
+
+  static numberOption(value, envValue, fallback) {
+    if (value !== undefined) return value;
+    const parsed = parseFloat(envValue);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  }
+
+  async initializeDataStore() {
+    try {
+      await fs.mkdir(path.dirname(this.dataFile), { recursive: true });
+
+      try {
+        await fs.access(this.dataFile);
+      } catch {
+        await fs.writeFile(this.dataFile, JSON.stringify({
+          runs: [],
+          lastUpdated: moment().toISOString()
+        }, null, 2));
+      }
+    } catch (error) {
+      console.error('Error initializing retraining run store:', error);
+    }
+  }
+
+  start() {
+    if (this.timer || !(this.config.intervalHours > 0)) return;
+
+    const intervalMs = this.config.intervalHours * 60 * 60 * 1000;
+    this.nextRunAt = moment().add(intervalMs, 'ms').toISOString();
+    this.timer = setInterval(() => {
+      this.nextRunAt = moment().add(intervalMs, 'ms').toISOString();
+      this.runSafely('schedule');
+    }, intervalMs);
+    // Don't keep the process alive just for retraining
+    this.timer.unref();
+
+    console.log(`Retraining Scheduler: Retraining every ${this.config.intervalHours}h` +
+      (this.config.outcomeThreshold > 0 ? ` or after ${this.config.outcomeThreshold} new outcomes` : ''));
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Count a logged booking or decline, retraining once enough have arrived
+   */
+  recordOutcome() {
+    this.outcomesSinceLastRun += 1;
+    if (this.config.outcomeThreshold > 0 && this.outcomesSinceLastRun >= this.config.outcomeThreshold) {
+      this.runSafely('outcomes');
+    }
+  }
+
+  runSafely(trigger) {
+    this.run(trigger).catch(error => {
+      console.error('Retraining Scheduler: Run failed:', error);
+    });
+  }
+
+  /**
+   * Train a candidate on all but the most recent outcomes, score it and the
+   * active model on that holdout, and promote the candidate only if it beats
+   * the active model by the configured margin. Concurrent triggers share the
+   * run already in progress.
+   */
+  run(trigger = 'manual') {
+    if (!this.running) {
+      this.running = this.executeRun(trigger).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async executeRun(trigger) {
+    const run = {
+      runId: uuidv4(),
+      trigger,
+      status: 'running',
+      startedAt: moment().toISOString(),
+      completedAt: null,
+      config: { ...this.config },
+      outcomesSinceLastRun: this.outcomesSinceLastRun,
+      activeVersion: null,
+      candidateVersion: null,
+      trainingRecords: 0,
+      holdoutRecords: 0,
+      metrics: null,
+      improvement: null,
+      reason: null
+    };
+    this.outcomesSinceLastRun = 0;
+    console.log(`Retraining Scheduler: Starting ${trigger} retraining run ${run.runId}`);
+
+    try {
+      const trainingData = await this.trainingStore.getRetrainingData(this.config.lookbackDays);
+      const { train, holdout } = this.splitHoldout(trainingData);
+      run.trainingRecords = train.totalRecords;
+      run.holdoutRecords = holdout.totalRecords;
+
+      // Bookings taken at the quoted price would score whichever model quoted
+      // them as perfect, so the gate only scores negotiated bookings
+      const holdoutBookings = holdout.bookings.filter(booking =>
+        booking.features && parseFloat(booking.finalPrice) > 0 && TrainingStore.isNegotiated(booking));
+      if (holdoutBookings.length < this.config.minHoldoutBookings) {
+        return await this.finishRun(run, 'skipped',
+          `Not enough negotiated holdout bookings (${holdoutBookings.length}/${this.config.minHoldoutBookings})`);
+      }
+
+      const training = await this.freightIQEngine.updateModel(train, { promote: false });
+      if (!training.success) {
+        return await this.finishRun(run, 'rejected', `Training failed: ${training.reason}`);
+      }
+      run.candidateVersion = training.modelVersion;
+
+      const candidate = await this.modelRegistry.loadModel(training.modelVersion);
+      run.activeVersion = await this.modelRegistry.getActiveVersion();
+      const active = run.activeVersion ? await this.modelRegistry.loadModel(run.activeVersion) : null;
+
+      const candidateMetrics = this.evaluate(holdoutBookings, booking => candidate.pricingModel.predict(booking.features));
+      // Without a trained active model the baseline is the price the rule
+      // engine actually quoted
+      const activeMetrics = active ?
+        this.evaluate(holdoutBookings, booking => active.pricingModel.predict(booking.features)) :
+        this.evaluate(holdoutBookings, booking => parseFloat(booking.quotedPrice));
+
+      run.metrics = { candidate: candidateMetrics, active: activeMetrics };
+      run.improvement = activeMetrics.mape > 0 ?
+        Math.round((activeMetrics.mape - candidateMetrics.mape) / activeMetrics.mape * 10000) / 10000 :
+        null;
+
+      if (run.improvement === null || run.improvement < this.config.minImprovement) {
+        return await this.finishRun(run, 'rejected',
+          `Holdout MAPE ${candidateMetrics.mape}% vs active ${activeMetrics.mape}% ` +
+          `does not beat the active model by ${this.config.minImprovement * 100}%`);
+      }
+
+      await this.modelRegistry.promote(run.candidateVersion, `auto-promoted by retraining run ${run.runId}`);
+      await this.freightIQEngine.activateModel(run.candidateVersion);
+      return await this.finishRun(run, 'promoted', null);
+    } catch (error) {
+      await this.finishRun(run, 'failed', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Hold out the most recent outcomes so the gate measures how the model
+   * does on data logged after what it was trained on
+   */
+  splitHoldout(trainingData) {
+    const records = [
+      ...trainingData.bookings.map(record => ({ type: 'bookings', record })),
+      ...trainingData.declines.map(record => ({ type: 'declines', record }))
+    ].sort((a, b) => moment(a.record.loggedAt).valueOf() - moment(b.record.loggedAt).valueOf());
+
+    const holdoutSize = Math.floor(records.length * this.config.holdoutFraction);
+    const split = (items) => ({
+      bookings: items.filter(item => item.type === 'bookings').map(item => item.record),
+      declines: items.filter(item => item.type === 'declines').map(item => item.record),
+      totalRecords: items.length
+    });
+
+    return {
+      train: split(records.slice(0, records.length - holdoutSize)),
+      holdout: split(records.slice(records.length - holdoutSize))
+    };
+  }
+
+  evaluate(bookings, predict) {
+    let absError = 0;
+    let absPctError = 0;
+    let scored = 0;
+
+    bookings.forEach(booking => {
+      const predicted = predict(booking);
+      const actual = parseFloat(booking.finalPrice);
+      if (!Number.isFinite(predicted)) return;
+
+      absError += Math.abs(predicted - actual);
+      absPctError += Math.abs(predicted - actual) / actual;
+      scored += 1;
+    });
+
+    return {
+      samples: scored,
+      mae: scored > 0 ? Math.round(absError / scored * 100) / 100 : null,
+      mape: scored > 0 ? Math.round(absPctError / scored * 10000) / 100 : null
+    };
+  }
+
+  async finishRun(run, status, reason) {
+    run.status = status;
+    run.reason = reason;
+    run.completedAt = moment().toISOString();
+
+    const data = await this.loadRuns();
+    data.runs.push(run);
+    data.lastUpdated = moment().toISOString();
+    await this.saveRuns(data);
+
+    console.log(`Retraining Scheduler: Run ${run.runId} ${status}${reason ? ` - ${reason}` : ''}`);
+    return run;
+  }
+
+  async getStatus() {
+    const data = await this.loadRuns();
+    return {
+      config: this.config,
+      scheduled: Boolean(this.timer),
+      running: Boolean(this.running),
+      nextRunAt: this.nextRunAt,
+      outcomesSinceLastRun: this.outcomesSinceLastRun,
+      lastRun: data.runs[data.runs.length - 1] || null
+    };
+  }
+
+  async getRuns() {
+    const data = await this.loadRuns();
+    return [...data.runs].reverse();
+  }
+
+  async loadRuns() {
+    try {
+      const data = await fs.readFile(this.dataFile, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      console.error('Error loading retraining runs:', error);
+      return { runs: [], lastUpdated: moment().toISOString() };
+    }
+  }
+
+  async saveRuns(data) {
+    try {
+      await fs.writeFile(this.dataFile, JSON.stringify(data, null, 2));
+    } catch (error) {
+      console.error('Error saving retraining runs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = RetrainingScheduler;
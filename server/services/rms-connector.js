@@ -1,102 +1,537 @@
 const moment = require('moment');
+const ExecutionContext = require('./execution-context');
+
+// Routings returned next to the chosen one
+const MAX_ALTERNATIVES = 4;
+
+// Shipment modes per transport mode, the first being the default
+const SHIPMENT_MODES = {
+  ocean: ['LCL', 'FCL'],
+  air: ['LOOSE'],
+  road: ['LTL', 'FTL']
+};
+const TRANSPORT_MODES = Object.keys(SHIPMENT_MODES);
+// Full containers and trucks are priced per unit, which already covers
+// their weight and volume
+const UNIT_PRICED_MODES = ['FCL', 'FTL'];
+// W/M: a revenue ton is 1,000 kg or 1 m³, whichever is greater
+const KG_PER_CUBIC_METER = 1000;
+// FCL rates are quoted per 40' dry box and scaled by type
+const CONTAINER_TYPES = {
+  '20GP': { description: "20' dry", teu: 1, rateFactor: 0.6, maxPayloadKg: 28200, capacityM3: 33, reefer: false },
+  '40GP': { description: "40' dry", teu: 2, rateFactor: 1.0, maxPayloadKg: 26700, capacityM3: 67, reefer: false },
+  '40HC': { description: "40' high cube", teu: 2, rateFactor: 1.08, maxPayloadKg: 26500, capacityM3: 76, reefer: false },
+  '20RF': { description: "20' reefer", teu: 1, rateFactor: 1.1, maxPayloadKg: 27400, capacityM3: 28, reefer: true },
+  '40RF': { description: "40' reefer", teu: 2, rateFactor: 1.8, maxPayloadKg: 29000, capacityM3: 59, reefer: true }
+};
+// Standard charge codes for the surcharges that differ by mode; road has no
+// security surcharge
+const MODE_SURCHARGE_CODES = {
+  ocean: {
+    fuel: { code: 'BAF', description: 'Bunker adjustment factor' },
+    security: { code: 'ISPS', description: 'Port facility security (ISPS)' },
+    dangerousGoods: { code: 'IMO', description: 'Dangerous goods surcharge (IMDG)' }
+  },
+  air: {
+    fuel: { code: 'FSC', description: 'Fuel surcharge (jet fuel)' },
+    security: { code: 'SSC', description: 'Security surcharge (screening)' },
+    dangerousGoods: { code: 'DGR', description: 'Dangerous goods surcharge (IATA DGR)' }
+  },
+  road: {
+    fuel: { code: 'FSC', description: 'Fuel surcharge (diesel)' },
+    security: null,
+    dangerousGoods: { code: 'ADR', description: 'Dangerous goods surcharge (ADR)' }
+  }
+};
+// IATA volumetric divisor: 6,000 cm³ per chargeable kg
+const AIR_VOLUMETRIC_DIVISOR = 6000;
+// Road LTL stowage factor: 333 kg per m³ (3 m³ to the ton)
+const ROAD_KG_PER_CUBIC_METER = 333;
+// Standard 13.6 m curtainsider
+const TRAILER = { maxPayloadKg: 24000, capacityM3: 90 };
+// Unit each shipment mode's freight is charged per, so rates from shipments
+// of any size compare like for like
+const RATE_BASES = { LCL: 'revenue-ton', FCL: 'container', LOOSE: 'chargeable-kg', LTL: 'revenue-ton', FTL: 'truck' };
+
+class RMSError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RMSError';
+    this.statusCode = statusCode;
+  }
+}
 
 class RMSConnector {
-  constructor() {
+  constructor(options = {}) {
+    this.portCatalog = options.portCatalog || null;
     this.baseCosts = this.initializeBaseCosts();
     this.surcharges = this.initializeSurcharges();
+    this.transshipmentCharges = this.initializeTransshipmentCharges();
+    this.airTariffs = this.initializeAirTariffs();
+    this.roadTariffs = this.initializeRoadTariffs();
   }
 
   /**
    * Simulates pulling cost data from Rate Management System (RMS)
    * In production, this would connect to various RMS APIs/ETL systems
    */
-  async getCostData(params) {
-    const { origin, destination, cargoType, weight, volume, serviceType, forwarderId } = params;
+  async getCostData(params, context = new ExecutionContext()) {
+    const {
+      origin,
+      destination,
+      cargoType,
+      weight,
+      volume,
+      serviceType,
+      forwarderId,
+      via,
+      routingPreference = 'cheapest'
+    } = params;
+    const shipment = params.shipment || RMSConnector.validateShipment(params);
     
     console.log(`RMS Connector: Fetching cost data for ${origin} to ${destination}`);
     
     // Simulate API call delay
-    await this.simulateAPIDelay();
-    
-    // Get base cost for the route
-    const baseCost = this.calculateBaseCost(origin, destination, weight, volume);
+    await this.simulateAPIDelay(context);
     
-    // Calculate applicable surcharges
-    const applicableSurcharges = this.calculateSurcharges({
-      cargoType,
-      weight,
-      volume,
-      serviceType,
-      baseCost
-    });
+    // Direct and transshipment routings the lane can move on
+    const routings = await this.getRoutings(origin, destination, via, shipment.transportMode);
+
+    // Add some randomness to simulate market variations, the same for every routing
+    const variation = 0.9 + context.random() * 0.2; // ±10% variation
     
     // Get forwarder-specific adjustments
     const forwarderAdjustment = this.getForwarderAdjustment(forwarderId);
-    
-    const adjustedBaseCost = baseCost * forwarderAdjustment;
+
+    const costed = routings.map(routing => {
+      // Get base cost for the routing
+      const { freightCost, freightBasis, legs, hubs, distanceKm, transitDays } =
+        this.calculateBaseCost(routing, shipment, variation);
+      
+      // Calculate applicable surcharges, line by line
+      const surchargeItems = this.calculateSurcharges({
+        cargoType,
+        weight,
+        volume,
+        serviceType,
+        transportMode: shipment.transportMode,
+        shipmentMode: shipment.mode,
+        baseCost: freightCost
+      });
+      const applicableSurcharges = Math.round(surchargeItems.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+
+      // Hub handling is passed through at cost
+      const handlingCharges = hubs.reduce((sum, hub) => sum + hub.handlingCharge, 0);
+      const adjustedBaseCost = freightCost * forwarderAdjustment + handlingCharges;
+
+      return {
+        ...routing,
+        legs,
+        hubs,
+        distanceKm,
+        transitDays,
+        freightBasis,
+        handlingCharges,
+        baseCost: adjustedBaseCost,
+        surcharges: applicableSurcharges,
+        surchargeItems,
+        totalCost: adjustedBaseCost + applicableSurcharges
+      };
+    });
+
+    const [chosen, ...alternatives] = costed.sort(RMSConnector.compareRoutings(routingPreference));
     
     return {
-      baseCost: adjustedBaseCost,
-      surcharges: applicableSurcharges,
-      totalCost: adjustedBaseCost + applicableSurcharges,
+      baseCost: chosen.baseCost,
+      surcharges: chosen.surcharges,
+      surchargeItems: chosen.surchargeItems,
+      totalCost: chosen.totalCost,
       currency: 'USD',
-      validUntil: moment().add(24, 'hours').toISOString(),
+      validUntil: context.now().add(24, 'hours').toISOString(),
       forwarderId,
       route: `${origin}-${destination}`,
-      timestamp: moment().toISOString()
+      transportMode: shipment.transportMode,
+      distance: {
+        distanceKm: chosen.legs.reduce((sum, leg) => sum + leg.distanceKm, 0),
+        method: chosen.legs.length === 1 ? chosen.legs[0].method : 'sea-route',
+        via: chosen.legs.flatMap(leg => leg.via)
+      },
+      freightBasis: chosen.freightBasis,
+      routing: { ...chosen, preference: routingPreference },
+      alternatives: alternatives.slice(0, MAX_ALTERNATIVES),
+      timestamp: context.now().toISOString()
     };
   }
 
-  calculateBaseCost(origin, destination, weight, volume) {
-    // Simulate route-based pricing
-    const routeKey = `${origin}-${destination}`;
-    const routeCosts = this.baseCosts[routeKey] || this.baseCosts['default'];
-    
-    // Base cost calculation: distance factor + weight factor + volume factor
-    const distanceCost = routeCosts.perKm * routeCosts.distance;
-    const weightCost = (weight / 1000) * routeCosts.perTon;
-    const volumeCost = volume * routeCosts.perCubicMeter;
+  /**
+   * Candidate routings from the port catalog, or the one given by `via`
+   * hubs. Contracted lanes always count as a direct service. Without a
+   * catalog the lane is a single leg at its contracted or default distance.
+   * Air and road moves are always direct.
+   */
+  async getRoutings(origin, destination, via = [], transportMode = 'ocean') {
+    if (transportMode !== 'ocean') {
+      if (via && via.length > 0) {
+        throw new RMSError('Transshipment hubs (via) only apply to ocean freight');
+      }
+      if (!this.portCatalog) {
+        throw new RMSError(`No ${transportMode} distances without the port catalog`, 422);
+      }
+      await this.portCatalog.ready;
+      return [this.portCatalog.buildDirectRouting(
+        this.portCatalog.requireLocation(origin, transportMode),
+        this.portCatalog.requireLocation(destination, transportMode),
+        transportMode)];
+    }
+
+    const lane = this.baseCosts[`${origin}-${destination}`];
+    if (!this.portCatalog) {
+      const distanceKm = (lane || this.baseCosts['default']).distance;
+      return [{
+        id: `${origin}-${destination}`,
+        type: 'direct',
+        hubs: [],
+        legs: [{
+          from: { name: origin },
+          to: { name: destination },
+          distanceKm,
+          method: lane ? 'contracted-lane' : 'default',
+          via: []
+        }],
+        distanceKm,
+        transitDays: null
+      }];
+    }
+
+    await this.portCatalog.ready;
+    if (via && via.length > 0) {
+      return [this.portCatalog.buildRouting(
+        [origin, ...via, destination].map(port => this.portCatalog.requirePort(port)))];
+    }
+    return this.portCatalog.findRoutings(origin, destination, { direct: Boolean(lane) });
+  }
+
+  /**
+   * Transport and shipment mode; for FCL the container type and count and
+   * for FTL the truck count, checked against what they can carry
+   */
+  static validateShipment(params) {
+    const hasTransportMode = params.transportMode !== undefined && params.transportMode !== null;
+    const transportMode = typeof params.transportMode === 'string' ? (params.transportMode || 'ocean').toLowerCase() :
+      (hasTransportMode ? null : 'ocean');
+    if (!TRANSPORT_MODES.includes(transportMode)) {
+      throw new RMSError(`Invalid transportMode ${params.transportMode}, expected one of ${TRANSPORT_MODES.join(', ')}`);
+    }
+    const modes = SHIPMENT_MODES[transportMode];
+    const hasShipmentMode = params.shipmentMode !== undefined && params.shipmentMode !== null;
+    if (hasShipmentMode && typeof params.shipmentMode !== 'string') {
+      throw new RMSError(`Invalid shipmentMode ${params.shipmentMode}, expected one of ${modes.join(', ')}`);
+    }
+    const mode = (params.shipmentMode || modes[0]).toUpperCase();
+    if (!modes.includes(mode)) {
+      throw new RMSError(
+        `Invalid shipmentMode ${params.shipmentMode} for ${transportMode}, expected one of ${modes.join(', ')}`);
+    }
+    const weight = Number(params.weight);
+    if (!(Number.isFinite(weight) && weight > 0)) {
+      throw new RMSError(`Invalid weight ${params.weight}, expected a positive number of kg`);
+    }
+    const hasVolume = params.volume !== undefined && params.volume !== null && params.volume !== '';
+    const volume = hasVolume ? Number(params.volume) : 0;
+    if (!(Number.isFinite(volume) && volume >= 0)) {
+      throw new RMSError(`Invalid volume ${params.volume}, expected a number of m³ of at least 0`);
+    }
+    if (mode === 'FTL') {
+      const needed = Math.max(1, Math.ceil(weight / TRAILER.maxPayloadKg), Math.ceil(volume / TRAILER.capacityM3));
+      const truckCount = params.truckCount === undefined || params.truckCount === '' ?
+        needed :
+        Number(params.truckCount);
+      if (!Number.isInteger(truckCount) || truckCount < 1) {
+        throw new RMSError('truckCount must be a whole number of at least 1');
+      }
+      if (needed > truckCount) {
+        throw new RMSError(`${weight} kg and ${volume} m³ need at least ${needed} trucks`);
+      }
+      return { transportMode, mode, weight, volume, truckCount };
+    }
+    if (mode !== 'FCL') {
+      return { transportMode, mode, weight, volume };
+    }
+
+    const containerType = typeof params.containerType === 'string' ? params.containerType.toUpperCase() : '';
+    const container = CONTAINER_TYPES[containerType];
+    if (!container) {
+      throw new RMSError(`FCL shipments need a containerType, one of ${Object.keys(CONTAINER_TYPES).join(', ')}`);
+    }
+    const containerCount = params.containerCount === undefined || params.containerCount === '' ?
+      1 :
+      Number(params.containerCount);
+    if (!Number.isInteger(containerCount) || containerCount < 1) {
+      throw new RMSError('containerCount must be a whole number of at least 1');
+    }
+    if (params.cargoType === 'refrigerated' && !container.reefer) {
+      throw new RMSError('Refrigerated cargo needs a reefer container (20RF or 40RF)');
+    }
+    const needed = Math.max(Math.ceil(weight / container.maxPayloadKg), Math.ceil(volume / container.capacityM3));
+    if (needed > containerCount) {
+      throw new RMSError(`${weight} kg and ${volume} m³ need at least ${needed} × ${containerType}`);
+    }
+
+    return { transportMode, mode, weight, volume, containerType, containerCount };
+  }
+
+  /**
+   * Number of rate units a shipment is charged on: W/M revenue tons for LCL
+   * and LTL at their own stowage factors, chargeable kg for air, and
+   * containers or trucks for full loads
+   */
+  static getRateUnits(shipment) {
+    const weight = parseFloat(shipment.weight) || 0;
+    const volume = parseFloat(shipment.volume) || 0;
+    if (shipment.mode === 'FCL') return shipment.containerCount || 1;
+    if (shipment.mode === 'FTL') return shipment.truckCount || 1;
+    if (shipment.mode === 'LOOSE') return Math.max(weight, volume * 1e6 / AIR_VOLUMETRIC_DIVISOR);
+    if (shipment.mode === 'LTL') return Math.max(weight, volume * ROAD_KG_PER_CUBIC_METER) / 1000;
+    return Math.max(weight, volume * KG_PER_CUBIC_METER) / 1000;
+  }
+
+  /**
+   * Freight for a routing plus handling at each hub. Each leg is charged its
+   * distance on its own tariff, contracted where RMS has one; the cargo moves
+   * on a through rate, so it is charged once at the tariff of the longest
+   * (mainline) leg.
+   */
+  calculateBaseCost(routing, shipment, variation = 1) {
+    if (shipment.transportMode === 'air' || shipment.transportMode === 'road') {
+      const freightBasis = shipment.transportMode === 'air' ?
+        this.calculateAirFreight(shipment, routing.distanceKm) :
+        this.calculateRoadFreight(shipment, routing.distanceKm);
+      return {
+        freightCost: Math.round(freightBasis.amount * variation * 100) / 100,
+        freightBasis,
+        legs: routing.legs.map(leg => ({ ...leg, tariff: 'default' })),
+        hubs: [],
+        distanceKm: routing.distanceKm,
+        transitDays: routing.transitDays
+      };
+    }
+
+    const legs = routing.legs.map(leg => {
+      const contracted = this.baseCosts[`${leg.from.name}-${leg.to.name}`];
+      const routeCosts = contracted || this.baseCosts['default'];
+      const distanceKm = contracted ? contracted.distance : leg.distanceKm;
+      return {
+        ...leg,
+        distanceKm,
+        transitDays: contracted && this.portCatalog ?
+          this.portCatalog.getLegTransitDays(distanceKm) : leg.transitDays,
+        method: contracted ? 'contracted-lane' : leg.method,
+        tariff: contracted ? 'contracted' : 'default',
+        routeCosts
+      };
+    });
+    const mainline = legs.reduce((longest, leg) => (leg.distanceKm > longest.distanceKm ? leg : longest));
     
-    const baseCost = distanceCost + weightCost + volumeCost;
+    // Base cost calculation: distance factor + cargo factor (W/M or per container).
+    // Every full container is moved the whole distance.
+    const moves = shipment.mode === 'FCL' ? shipment.containerCount : 1;
+    const distanceCost = legs.reduce((sum, leg) => sum + leg.routeCosts.perKm * leg.distanceKm, 0) * moves;
+    const freightBasis = this.calculateFreightBasis(shipment, mainline.routeCosts);
     
-    // Add some randomness to simulate market variations
-    const variation = 0.9 + Math.random() * 0.2; // ±10% variation
+    const freightCost = distanceCost + freightBasis.amount;
+
+    const hubs = routing.hubs.map(hub => ({
+      ...hub,
+      handlingCharge: this.calculateTransshipmentCharge(hub.locode, freightBasis)
+    }));
     
-    return Math.round(baseCost * variation * 100) / 100;
+    // Contracted lanes sail their contracted distance
+    const pricedLegs = legs.map(({ routeCosts, ...leg }) => leg);
+    return {
+      freightCost: Math.round(freightCost * variation * 100) / 100,
+      freightBasis,
+      legs: pricedLegs,
+      hubs,
+      distanceKm: pricedLegs.reduce((sum, leg) => sum + leg.distanceKm, 0),
+      transitDays: routing.transitDays === null ? null :
+        this.portCatalog.getTransitDays(pricedLegs, routing.hubs)
+    };
   }
 
+  /**
+   * Cargo charge at tariff: LCL on chargeable weight at the W/M rate, FCL per
+   * container at the lane's 40' rate scaled by container type
+   */
+  calculateFreightBasis(shipment, routeCosts) {
+    if (shipment.mode === 'FCL') {
+      const container = CONTAINER_TYPES[shipment.containerType];
+      const rate = Math.round(routeCosts.perFeu * container.rateFactor * 100) / 100;
+      return {
+        mode: 'FCL',
+        basis: 'container',
+        containerType: shipment.containerType,
+        description: container.description,
+        containerCount: shipment.containerCount,
+        teu: container.teu * shipment.containerCount,
+        rate,
+        amount: Math.round(rate * shipment.containerCount * 100) / 100
+      };
+    }
+
+    const measureKg = shipment.volume * KG_PER_CUBIC_METER;
+    const chargeableWeightKg = Math.max(shipment.weight, measureKg);
+    const revenueTons = chargeableWeightKg / 1000;
+    return {
+      mode: 'LCL',
+      basis: shipment.weight >= measureKg ? 'weight' : 'measure',
+      actualWeightKg: shipment.weight,
+      volumeM3: shipment.volume,
+      chargeableWeightKg,
+      revenueTons,
+      rate: routeCosts.perRevenueTon,
+      amount: Math.round(revenueTons * routeCosts.perRevenueTon * 100) / 100
+    };
+  }
+
+  /**
+   * Air freight on chargeable weight, the greater of actual and volumetric
+   * weight rounded up to the half kilo, at the weight break it falls in.
+   * A higher break is charged instead when its minimum weight costs less
+   * there, and the band minimum applies to small shipments.
+   */
+  calculateAirFreight(shipment, distanceKm) {
+    const band = this.airTariffs.find(tariff => distanceKm <= tariff.maxDistanceKm);
+    const volumetricWeightKg = Math.round(shipment.volume * 1e6 / AIR_VOLUMETRIC_DIVISOR * 100) / 100;
+    const chargeableWeightKg = Math.ceil(Math.max(shipment.weight, volumetricWeightKg) * 2) / 2;
+
+    const [best] = band.breaks
+      .map((weightBreak, index) => {
+        const next = band.breaks[index + 1];
+        if (next && chargeableWeightKg >= next.minKg) return null;
+        const weightKg = Math.max(chargeableWeightKg, weightBreak.minKg);
+        return { weightBreak, weightKg, amount: weightKg * weightBreak.perKg };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.amount - b.amount);
+    const minimumApplied = best.amount < band.minimum;
+
+    return {
+      mode: 'LOOSE',
+      basis: shipment.weight >= volumetricWeightKg ? 'weight' : 'measure',
+      band: band.name,
+      actualWeightKg: shipment.weight,
+      volumeM3: shipment.volume,
+      volumetricWeightKg,
+      chargeableWeightKg,
+      weightBreakKg: best.weightBreak.minKg,
+      minimumApplied,
+      rate: best.weightBreak.perKg,
+      amount: Math.round(Math.max(band.minimum, best.amount) * 100) / 100
+    };
+  }
+
+  /**
+   * Road freight by the kilometre: FTL per truck, LTL per ton-km on the
+   * greater of actual weight and volume at the road stowage factor
+   */
+  calculateRoadFreight(shipment, distanceKm) {
+    const tariff = this.roadTariffs[shipment.mode];
+    if (shipment.mode === 'FTL') {
+      const perTruck = Math.max(tariff.minimumPerTruck, tariff.perTruckKm * distanceKm);
+      return {
+        mode: 'FTL',
+        basis: 'truck',
+        truckCount: shipment.truckCount,
+        distanceKm,
+        rate: tariff.perTruckKm,
+        amount: Math.round(perTruck * shipment.truckCount * 100) / 100
+      };
+    }
+
+    const measureKg = shipment.volume * ROAD_KG_PER_CUBIC_METER;
+    const chargeableWeightKg = Math.max(shipment.weight, measureKg);
+    const charge = chargeableWeightKg / 1000 * distanceKm * tariff.perTonKm;
+    return {
+      mode: 'LTL',
+      basis: shipment.weight >= measureKg ? 'weight' : 'measure',
+      actualWeightKg: shipment.weight,
+      volumeM3: shipment.volume,
+      chargeableWeightKg: Math.round(chargeableWeightKg * 100) / 100,
+      distanceKm,
+      minimumApplied: charge < tariff.minimum,
+      rate: tariff.perTonKm,
+      amount: Math.round(Math.max(tariff.minimum, charge) * 100) / 100
+    };
+  }
+
+  /**
+   * Handling charge for discharging and reloading the cargo at a hub, per
+   * revenue ton for LCL and per TEU for FCL
+   */
+  calculateTransshipmentCharge(locode, freightBasis) {
+    const tariff = this.transshipmentCharges[locode] || this.transshipmentCharges['default'];
+    const charge = freightBasis.mode === 'FCL' ?
+      freightBasis.teu * tariff.perTeu :
+      freightBasis.revenueTons * tariff.perRevenueTon;
+    return Math.round(Math.max(tariff.minimum, charge) * 100) / 100;
+  }
+
+  static compareRoutings(preference) {
+    const byCost = (a, b) => a.totalCost - b.totalCost;
+    const byTransit = (a, b) => (a.transitDays || 0) - (b.transitDays || 0);
+    return preference === 'fastest' ?
+      (a, b) => byTransit(a, b) || byCost(a, b) :
+      (a, b) => byCost(a, b) || byTransit(a, b);
+  }
+
+  /**
+   * Surcharges as line items under their standard charge codes, each a
+   * percentage of the freight. Amounts are rounded per line so the lines
+   * add up to the surcharge total the customer is quoted.
+   */
   calculateSurcharges(params) {
-    const { cargoType, weight, volume, serviceType, baseCost } = params;
-    let totalSurcharges = 0;
+    const { cargoType, weight, serviceType, transportMode = 'ocean', shipmentMode, baseCost } = params;
+    const codes = MODE_SURCHARGE_CODES[transportMode];
+    const line = ({ code, description }, rate) => ({
+      code,
+      description,
+      basis: 'freight',
+      base: baseCost,
+      rate,
+      amount: Math.round(baseCost * rate * 100) / 100
+    });
+    const items = [];
     
     // Fuel surcharge (typically 5-15% of base cost)
-    const fuelSurcharge = baseCost * this.surcharges.fuel;
-    totalSurcharges += fuelSurcharge;
+    items.push(line(codes.fuel, this.surcharges.fuel));
     
     // Security surcharge
-    const securitySurcharge = baseCost * this.surcharges.security;
-    totalSurcharges += securitySurcharge;
+    if (codes.security) {
+      items.push(line(codes.security, this.surcharges.security));
+    }
     
     // Cargo-specific surcharges
     if (cargoType === 'hazardous') {
-      totalSurcharges += baseCost * this.surcharges.hazardous;
+      items.push(line(codes.dangerousGoods, this.surcharges.hazardous));
     }
     
     if (cargoType === 'refrigerated') {
-      totalSurcharges += baseCost * this.surcharges.refrigerated;
+      items.push(line({ code: 'REEFER', description: 'Reefer surcharge (temperature control)' },
+        this.surcharges.refrigerated));
     }
     
-    // Weight-based surcharges
-    if (weight > 1000) {
-      totalSurcharges += baseCost * this.surcharges.heavyCargo;
+    // Weight-based surcharges, except where the freight is per container or truck
+    if (weight > 1000 && !UNIT_PRICED_MODES.includes(shipmentMode)) {
+      items.push(line({ code: 'HEA', description: 'Heavy cargo surcharge (over 1,000 kg)' }, this.surcharges.heavyCargo));
     }
     
-    // Service type surcharges
+    // Service type surcharges: express is charged under the priority
+    // service code in every mode
     if (serviceType === 'express') {
-      totalSurcharges += baseCost * this.surcharges.express;
+      items.push(line({ code: 'PSS', description: 'Priority service surcharge (express)' }, this.surcharges.express));
     }
     
-    return Math.round(totalSurcharges * 100) / 100;
+    return items;
   }
 
   getForwarderAdjustment(forwarderId) {
@@ -116,38 +551,38 @@ class RMSConnector {
       'Shanghai-Los Angeles': {
         distance: 10000,
         perKm: 0.15,
-        perTon: 1200,
-        perCubicMeter: 80
+        perRevenueTon: 150,
+        perFeu: 2200
       },
       'Los Angeles-Shanghai': {
         distance: 10000,
         perKm: 0.12,
-        perTon: 1000,
-        perCubicMeter: 70
+        perRevenueTon: 125,
+        perFeu: 1100
       },
       'Hamburg-New York': {
         distance: 6000,
         perKm: 0.18,
-        perTon: 1400,
-        perCubicMeter: 90
+        perRevenueTon: 170,
+        perFeu: 2000
       },
       'New York-Hamburg': {
         distance: 6000,
         perKm: 0.16,
-        perTon: 1300,
-        perCubicMeter: 85
+        perRevenueTon: 160,
+        perFeu: 1700
       },
       'Singapore-Rotterdam': {
         distance: 12000,
         perKm: 0.14,
-        perTon: 1100,
-        perCubicMeter: 75
+        perRevenueTon: 140,
+        perFeu: 2300
       },
       'default': {
         distance: 8000,
         perKm: 0.16,
-        perTon: 1200,
-        perCubicMeter: 80
+        perRevenueTon: 150,
+        perFeu: 2000
       }
     };
   }
@@ -163,9 +598,39 @@ class RMSConnector {
     };
   }
 
-  async simulateAPIDelay() {
+  initializeTransshipmentCharges() {
+    return {
+      'SGSIN': { perRevenueTon: 6, perTeu: 65, minimum: 90 },
+      'MYTPP': { perRevenueTon: 5, perTeu: 55, minimum: 80 },
+      'AEJEA': { perRevenueTon: 6, perTeu: 70, minimum: 100 },
+      'NLRTM': { perRevenueTon: 8, perTeu: 95, minimum: 130 },
+      'default': { perRevenueTon: 7, perTeu: 80, minimum: 120 }
+    };
+  }
+
+  /**
+   * General cargo air rates per kg by distance band, at the usual IATA
+   * weight breaks (minimum, -45, +45, +100, +300, +500, +1000 kg)
+   */
+  initializeAirTariffs() {
+    const breaks = rates => [0, 45, 100, 300, 500, 1000].map((minKg, index) => ({ minKg, perKg: rates[index] }));
+    return [
+      { name: 'short-haul', maxDistanceKm: 3000, minimum: 75, breaks: breaks([3.1, 2.5, 2.1, 1.85, 1.65, 1.5]) },
+      { name: 'medium-haul', maxDistanceKm: 7000, minimum: 85, breaks: breaks([4.6, 3.8, 3.2, 2.8, 2.5, 2.25]) },
+      { name: 'long-haul', maxDistanceKm: Infinity, minimum: 95, breaks: breaks([6.2, 5.1, 4.3, 3.8, 3.4, 3.05]) }
+    ];
+  }
+
+  initializeRoadTariffs() {
+    return {
+      FTL: { perTruckKm: 1.75, minimumPerTruck: 450 },
+      LTL: { perTonKm: 0.11, minimum: 95 }
+    };
+  }
+
+  async simulateAPIDelay(context = new ExecutionContext()) {
     // Simulate RMS API response time (50-200ms)
-    const delay = Math.random() * 150 + 50;
+    const delay = context.random() * 150 + 50;
     return new Promise(resolve => setTimeout(resolve, delay));
   }
 
@@ -177,4 +642,11 @@ class RMSConnector {
   }
 }
 
+RMSConnector.RMSError = RMSError;
+RMSConnector.CONTAINER_TYPES = CONTAINER_TYPES;
+RMSConnector.SHIPMENT_MODES = SHIPMENT_MODES;
+RMSConnector.TRANSPORT_MODES = TRANSPORT_MODES;
+RMSConnector.UNIT_PRICED_MODES = UNIT_PRICED_MODES;
+RMSConnector.RATE_BASES = RATE_BASES;
+
 module.exports = RMSConnector;
@@ -0,0 +1,142 @@
+const moment = require('moment');
+
+const MONTHS = moment.monthsShort();
+
+class SeasonalityModel {
+  /**
+   * @param {number[]} options.prior 12 monthly adjustments the global curve is shrunk towards
+   */
+  constructor(options = {}) {
+    this.prior = options.prior || new Array(12).fill(0);
+    // Pseudo-observations of the broader curve each monthly estimate is blended with
+    this.shrinkage = options.shrinkage || 10;
+    this.minSamples = options.minSamples || 20;
+    this.global = null;
+    this.lanes = {};
+    this.fittedAt = null;
+  }
+
+  /**
+   * Estimate monthly price-to-cost factors from booked quotes. Each booking
+   * is measured against its lane's average so lane price levels don't leak
+   * into the curve; a lane's month is then shrunk towards the global curve,
+   * and the global curve towards the prior, in proportion to sample size.
+   */
+  fit(bookings) {
+    const observations = [];
+    bookings.forEach(booking => {
+      const price = parseFloat(booking.finalPrice);
+      const costData = booking.quote && booking.quote.costData;
+      const totalCost = costData ? (costData.totalCost || (costData.baseCost + costData.surcharges)) : 0;
+      if (!(price > 0) || !(totalCost > 0)) return;
+
+      observations.push({
+        lane: booking.lane || booking.quote.lane,
+        month: SeasonalityModel.departureMonth(booking.quote, booking.loggedAt),
+        logRatio: Math.log(price / totalCost)
+      });
+    });
+
+    if (observations.length < this.minSamples) {
+      return {
+        success: false,
+        reason: `Not enough booked quotes to estimate seasonality (${observations.length}/${this.minSamples})`,
+        samples: observations.length
+      };
+    }
+
+    const laneMeans = {};
+    observations.forEach(({ lane, logRatio }) => {
+      if (!laneMeans[lane]) laneMeans[lane] = { sum: 0, count: 0 };
+      laneMeans[lane].sum += logRatio;
+      laneMeans[lane].count += 1;
+    });
+    const deviations = observations.map(observation => ({
+      ...observation,
+      deviation: observation.logRatio - laneMeans[observation.lane].sum / laneMeans[observation.lane].count
+    }));
+
+    const priorLog = this.prior.map(adjustment => Math.log(1 + adjustment));
+    const globalLog = this.shrinkCurve(deviations, priorLog);
+    this.global = this.toCurve(globalLog, deviations);
+
+    this.lanes = {};
+    Object.keys(laneMeans).forEach(lane => {
+      const laneDeviations = deviations.filter(observation => observation.lane === lane);
+      this.lanes[lane] = this.toCurve(this.shrinkCurve(laneDeviations, globalLog), laneDeviations);
+    });
+
+    this.fittedAt = moment().toISOString();
+    return { success: true, samples: observations.length, lanes: Object.keys(this.lanes).length };
+  }
+
+  shrinkCurve(deviations, baseLog) {
+    return baseLog.map((base, month) => {
+      const values = deviations.filter(observation => observation.month === month);
+      const sum = values.reduce((total, observation) => total + observation.deviation, 0);
+      return (sum + this.shrinkage * base) / (values.length + this.shrinkage);
+    });
+  }
+
+  toCurve(logFactors, deviations) {
+    return {
+      factors: logFactors.map(value => Math.round((Math.exp(value) - 1) * 10000) / 10000),
+      sampleCounts: MONTHS.map((name, month) => deviations.filter(observation => observation.month === month).length)
+    };
+  }
+
+  /**
+   * Seasonal adjustment for a lane in a departure month (0-11), falling back
+   * to the global curve for lanes without history
+   */
+  adjustment(lane, month) {
+    if (!this.isFitted()) return null;
+    const curve = this.lanes[lane] || this.global;
+    return curve.factors[month];
+  }
+
+  isFitted() {
+    return Boolean(this.global);
+  }
+
+  getCurves() {
+    return {
+      global: this.global,
+      lanes: this.lanes,
+      fittedAt: this.fittedAt
+    };
+  }
+
+  toJSON() {
+    return {
+      prior: this.prior,
+      shrinkage: this.shrinkage,
+      global: this.global,
+      lanes: this.lanes,
+      fittedAt: this.fittedAt
+    };
+  }
+
+  static fromJSON(artifact) {
+    const model = new SeasonalityModel({ prior: artifact.prior, shrinkage: artifact.shrinkage });
+    model.global = artifact.global;
+    model.lanes = artifact.lanes;
+    model.fittedAt = artifact.fittedAt;
+    return model;
+  }
+
+  /**
+   * Planned departure month of a quote, or the month it was issued for
+   * quotes taken before departure dates were captured
+   */
+  static departureMonth(quote, fallbackDate) {
+    const date = (quote && quote.request && quote.request.departureDate) ||
+      (quote && quote.issuedAt) ||
+      fallbackDate;
+    return moment.utc(date).month();
+  }
+}
+
+SeasonalityModel.MONTHS = MONTHS;
+
+module.exports = SeasonalityModel;
@@ -2,11 +2,33 @@ const fs = require('fs').promises;
 const path = require('path');
 const moment = require('moment');
 
+const DECLINE_REASONS = ['price', 'transit_time', 'capacity', 'service', 'lost_to_competitor', 'no_longer_needed'];
+
+// Declines lost on price count towards price sensitivity; declines for these
+// reasons say nothing about the price and are left out of price training
+const PRICE_DECLINE_REASONS = ['price', 'lost_to_competitor'];
+const NON_PRICE_DECLINE_REASONS = ['capacity', 'no_longer_needed'];
+
+// Free-text reasons logged before the taxonomy existed
+const LEGACY_PRICE_PATTERN = /price|expensive|cost|cheaper|rate/i;
+const LEGACY_COMPETITOR_PATTERN = /competitor/i;
+
+class TrainingStoreError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TrainingStoreError';
+    this.statusCode = statusCode;
+  }
+}
+
 class TrainingStore {
-  constructor() {
-    this.dataFile = path.join(__dirname, '../data/training-data.json');
-    this.analyticsFile = path.join(__dirname, '../data/analytics.json');
-    this.initializeDataStore();
+  constructor(options = {}) {
+    this.quoteStore = options.quoteStore || null;
+    this.fxRates = options.fxRates || null;
+    this.dataFile = options.dataFile || path.join(__dirname, '../data/training-data.json');
+    this.analyticsFile = options.analyticsFile || path.join(__dirname, '../data/analytics.json');
+    // A read-only store never creates its files, for tools that only replay
+    this.ready = options.readOnly ? Promise.resolve() : this.initializeDataStore();
   }
 
   async initializeDataStore() {
@@ -50,9 +72,12 @@ class TrainingStore {
     try {
       const data = await this.loadTrainingData();
       
+      const snapshot = await this.joinQuoteSnapshot(bookingData.requestId);
       const booking = {
         id: this.generateId(),
         ...bookingData,
+        ...snapshot,
+        ...this.normalizeFinalPrice(bookingData.finalPrice, snapshot.fx),
         type: 'booking',
         loggedAt: moment().toISOString()
       };
@@ -64,7 +89,7 @@ class TrainingStore {
       await this.updateAnalytics('booking');
       
       console.log(`Training Store: Logged booking ${bookingData.bookingId} for training`);
-      return { success: true, bookingId: booking.id };
+      return { success: true, bookingId: booking.id, customerId: this.getCustomerId(booking), booking };
       
     } catch (error) {
       console.error('Error logging booking:', error);
@@ -79,9 +104,12 @@ class TrainingStore {
     try {
       const data = await this.loadTrainingData();
       
+      const snapshot = await this.joinQuoteSnapshot(declineData.requestId);
       const decline = {
         id: this.generateId(),
         ...declineData,
+        ...snapshot,
+        ...this.normalizePrice('competitorPrice', declineData.competitorPrice, snapshot.fx),
         type: 'decline',
         loggedAt: moment().toISOString()
       };
@@ -93,7 +121,7 @@ class TrainingStore {
       await this.updateAnalytics('decline');
       
       console.log(`Training Store: Logged decline for request ${declineData.requestId} for training`);
-      return { success: true, declineId: decline.id };
+      return { success: true, declineId: decline.id, customerId: this.getCustomerId(decline), decline };
       
     } catch (error) {
       console.error('Error logging decline:', error);
@@ -101,6 +129,152 @@ class TrainingStore {
     }
   }
 
+  /**
+   * Join an outcome to the snapshot of the quote it answers, so the training
+   * record carries the lane, cargo, market conditions and predicted price
+   */
+  async joinQuoteSnapshot(requestId) {
+    const quote = this.quoteStore ? await this.quoteStore.getQuote(requestId) : null;
+
+    if (!quote) {
+      console.warn(`Training Store: No quote snapshot for request ${requestId}, outcome cannot be used for training`);
+      return { quote: null };
+    }
+
+    const { features, ...snapshot } = quote;
+    return {
+      lane: quote.lane,
+      cargoType: quote.request.cargoType,
+      serviceType: quote.request.serviceType,
+      quotedPrice: quote.predictedPrice,
+      modelVersion: quote.modelVersion,
+      currency: quote.currency || 'USD',
+      fx: quote.fx || null,
+      features,
+      quote: snapshot
+    };
+  }
+
+  /**
+   * Customers book in the quote currency; the training record keeps that
+   * amount and converts finalPrice back to the base currency at the rate
+   * locked into the quote
+   */
+  normalizeFinalPrice(finalPrice, fx) {
+    return this.normalizePrice('finalPrice', finalPrice, fx);
+  }
+
+  normalizePrice(field, amount, fx) {
+    if (amount === undefined || amount === null || !fx || fx.rate === 1) return {};
+
+    const localAmount = parseFloat(amount);
+    return {
+      [`${field}Local`]: localAmount,
+      [field]: Math.round(localAmount / fx.rate * 100) / 100
+    };
+  }
+
+  /**
+   * Check a decline against the reason taxonomy. Competitor price is in the
+   * quote currency, like a booked price.
+   */
+  validateDecline(declineData) {
+    const { reason, competitorPrice, competitorCarrier, note } = declineData;
+
+    if (!DECLINE_REASONS.includes(reason)) {
+      throw new TrainingStoreError(`Invalid reason ${reason}, expected one of ${DECLINE_REASONS.join(', ')}`);
+    }
+
+    const hasCompetitorPrice = competitorPrice !== undefined && competitorPrice !== null && competitorPrice !== '';
+    if (hasCompetitorPrice && !(parseFloat(competitorPrice) > 0)) {
+      throw new TrainingStoreError('competitorPrice must be a positive number');
+    }
+
+    return {
+      reason,
+      competitorPrice: hasCompetitorPrice ? parseFloat(competitorPrice) : null,
+      competitorCarrier: competitorCarrier ? String(competitorCarrier) : null,
+      note: note ? String(note) : null
+    };
+  }
+
+  /**
+   * Taxonomy reason of a decline, classifying free-text reasons logged
+   * before the taxonomy; null when a legacy reason can't be classified
+   */
+  static getDeclineReason(decline) {
+    const reason = decline.reason || '';
+    if (DECLINE_REASONS.includes(reason)) return reason;
+    if (LEGACY_COMPETITOR_PATTERN.test(reason)) return 'lost_to_competitor';
+    if (LEGACY_PRICE_PATTERN.test(reason)) return 'price';
+    return null;
+  }
+
+  /**
+   * Whether a booking went through counter-offers. Bookings are only taken at
+   * the offered amount, so without negotiation the booked price is the quoted
+   * price by construction and says nothing about how far off the quote was.
+   */
+  static isNegotiated(booking) {
+    const negotiation = booking.quote && booking.quote.negotiation;
+    return Boolean(negotiation && negotiation.rounds && negotiation.rounds.length > 0);
+  }
+
+  static isPriceDecline(decline) {
+    return PRICE_DECLINE_REASONS.includes(TrainingStore.getDeclineReason(decline));
+  }
+
+  /**
+   * Whether a decline can tell us anything about price; unclassified legacy
+   * declines are assumed to
+   */
+  static isPriceInformative(decline) {
+    return !NON_PRICE_DECLINE_REASONS.includes(TrainingStore.getDeclineReason(decline));
+  }
+
+  /**
+   * Booked revenue in the reporting currency, with what was booked in each
+   * quote currency
+   */
+  async getRevenueSummary(bookings) {
+    if (this.fxRates) await this.fxRates.ready;
+    const toReporting = amount => (this.fxRates ? this.fxRates.toReporting(amount) : amount);
+
+    const byCurrency = {};
+    let total = 0;
+    bookings.forEach(booking => {
+      const finalPrice = parseFloat(booking.finalPrice);
+      if (!(finalPrice > 0)) return;
+
+      const currency = booking.currency || 'USD';
+      if (!byCurrency[currency]) byCurrency[currency] = { bookings: 0, amount: 0, reportingAmount: 0 };
+      byCurrency[currency].bookings += 1;
+      byCurrency[currency].amount += booking.finalPriceLocal || finalPrice;
+      byCurrency[currency].reportingAmount += toReporting(finalPrice);
+      total += finalPrice;
+    });
+
+    Object.values(byCurrency).forEach(group => {
+      group.amount = Math.round(group.amount * 100) / 100;
+      group.reportingAmount = Math.round(group.reportingAmount * 100) / 100;
+    });
+    const booked = Object.values(byCurrency).reduce((sum, group) => sum + group.bookings, 0);
+
+    return {
+      reportingCurrency: this.fxRates ? this.fxRates.reportingCurrency : 'USD',
+      recentRevenue: toReporting(total),
+      averageBookedPrice: booked > 0 ? toReporting(total / booked) : 0,
+      revenueByCurrency: byCurrency
+    };
+  }
+
+  /**
+   * Customer on an outcome, falling back to the one the quote was priced for
+   */
+  getCustomerId(record) {
+    return record.customerId || (record.quote ? record.quote.request.customerId : null) || null;
+  }
+
   /**
    * Get analytics data for dashboard
    */
@@ -122,6 +296,14 @@ class TrainingStore {
       const recentWinRate = totalRecentRequests > 0 ? 
         (recentBookings.length / totalRecentRequests) * 100 : 0;
       
+      const revenue = await this.getRevenueSummary(recentBookings);
+
+      const declineReasons = {};
+      [...DECLINE_REASONS, 'unclassified'].forEach(reason => { declineReasons[reason] = 0; });
+      recentDeclines.forEach(decline => {
+        declineReasons[TrainingStore.getDeclineReason(decline) || 'unclassified'] += 1;
+      });
+
       // Calculate average confidence (simulated)
       const averageConfidence = 0.75 + Math.random() * 0.15; // 75-90%
       
@@ -131,6 +313,8 @@ class TrainingStore {
         recentBookings: recentBookings.length,
         recentDeclines: recentDeclines.length,
         totalRecentRequests,
+        declineReasons,
+        ...revenue,
         averageConfidence: Math.round(averageConfidence * 100) / 100,
         modelPerformance: {
           accuracy: Math.round((0.85 + Math.random() * 0.1) * 100) / 100,
@@ -146,6 +330,148 @@ class TrainingStore {
     }
   }
 
+  /**
+   * Compare champion and challenger pricing on quotes that reached an outcome.
+   * Price errors are measured on negotiated bookings only, since any other
+   * booking was taken at the champion's price. A challenger "wins" a booked
+   * quote when its price was at or below what the customer paid, and loses a
+   * declined quote when it priced at or above the declined champion price;
+   * other declines cannot be judged and are skipped.
+   */
+  async getChampionChallengerAnalytics() {
+    try {
+      const trainingData = await this.loadTrainingData();
+      const outcomes = [
+        ...trainingData.bookings.map(record => ({ ...record, outcome: 'booked' })),
+        ...trainingData.declines.map(record => ({ ...record, outcome: 'declined' }))
+      ].filter(record => record.quote && (record.quote.shadowPredictions || []).length > 0);
+
+      const byChallenger = {};
+      outcomes.forEach(record => {
+        record.quote.shadowPredictions.forEach(shadow => {
+          if (!byChallenger[shadow.modelVersion]) {
+            byChallenger[shadow.modelVersion] = {
+              championVersions: new Set(),
+              quotes: 0,
+              bookings: 0,
+              negotiatedBookings: 0,
+              championErrors: [],
+              challengerErrors: [],
+              challengerWins: 0,
+              challengerDecided: 0
+            };
+          }
+          const stats = byChallenger[shadow.modelVersion];
+          const championPrice = record.quotedPrice;
+
+          stats.championVersions.add(record.modelVersion);
+          stats.quotes += 1;
+
+          if (record.outcome === 'booked') {
+            const finalPrice = parseFloat(record.finalPrice);
+            stats.bookings += 1;
+            if (TrainingStore.isNegotiated(record)) {
+              stats.negotiatedBookings += 1;
+              stats.championErrors.push(Math.abs(championPrice - finalPrice) / finalPrice);
+              stats.challengerErrors.push(Math.abs(shadow.price - finalPrice) / finalPrice);
+            }
+            stats.challengerDecided += 1;
+            if (shadow.price <= finalPrice) stats.challengerWins += 1;
+          } else if (shadow.price >= championPrice) {
+            stats.challengerDecided += 1;
+          }
+        });
+      });
+
+      const mape = errors => errors.length > 0 ?
+        Math.round(errors.reduce((sum, e) => sum + e, 0) / errors.length * 10000) / 100 : null;
+      const rate = (wins, total) => total > 0 ? Math.round(wins / total * 10000) / 100 : null;
+
+      return {
+        challengers: Object.entries(byChallenger).map(([challengerVersion, stats]) => ({
+          challengerVersion,
+          championVersions: [...stats.championVersions],
+          comparedQuotes: stats.quotes,
+          bookedQuotes: stats.bookings,
+          negotiatedBookings: stats.negotiatedBookings,
+          champion: {
+            mape: mape(stats.championErrors),
+            winRate: rate(stats.bookings, stats.quotes)
+          },
+          challenger: {
+            mape: mape(stats.challengerErrors),
+            impliedWinRate: rate(stats.challengerWins, stats.challengerDecided),
+            decidedQuotes: stats.challengerDecided
+          }
+        })),
+        generatedAt: moment().toISOString()
+      };
+
+    } catch (error) {
+      console.error('Error getting champion/challenger analytics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * How often booked prices actually fell inside the confidence band we
+   * stated on the quote, per band method and calibration segment. Only
+   * negotiated bookings count: the others booked at the band's centre.
+   */
+  async getCalibrationReport() {
+    try {
+      const trainingData = await this.loadTrainingData();
+      const groups = {};
+
+      trainingData.bookings.filter(TrainingStore.isNegotiated).forEach(booking => {
+        const band = booking.quote && booking.quote.prediction && booking.quote.prediction.confidenceBand;
+        const finalPrice = parseFloat(booking.finalPrice);
+        if (!band || !(finalPrice > 0)) return;
+
+        const method = band.method || 'heuristic';
+        const key = `${method}|${band.segment || 'all'}`;
+        if (!groups[key]) {
+          groups[key] = {
+            method,
+            segment: band.segment || 'all',
+            statedCoverage: band.coverage ? band.coverage * 100 : null,
+            bookings: 0,
+            inside: 0,
+            totalWidth: 0
+          };
+        }
+
+        const group = groups[key];
+        group.bookings += 1;
+        group.totalWidth += band.percentage;
+        if (finalPrice >= band.lower && finalPrice <= band.upper) group.inside += 1;
+      });
+
+      const segments = Object.values(groups).map(group => ({
+        method: group.method,
+        segment: group.segment,
+        bookings: group.bookings,
+        statedCoverage: group.statedCoverage,
+        observedCoverage: Math.round(group.inside / group.bookings * 10000) / 100,
+        averageHalfWidthPercentage: Math.round(group.totalWidth / group.bookings * 100) / 100
+      }));
+
+      const total = segments.reduce((sum, segment) => sum + segment.bookings, 0);
+      const inside = Object.values(groups).reduce((sum, group) => sum + group.inside, 0);
+
+      return {
+        bookingsEvaluated: total,
+        observedCoverage: total > 0 ? Math.round(inside / total * 10000) / 100 : null,
+        segments,
+        generatedAt: moment().toISOString()
+      };
+
+    } catch (error) {
+      console.error('Error building calibration report:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get training data for model retraining
    */
@@ -260,24 +586,22 @@ class TrainingStore {
     return 'training_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   }
 
-  // Method to trigger model retraining (would be called periodically in production)
-  async triggerModelRetraining() {
-    console.log('Training Store: Triggering model retraining with latest data');
-    
-    const trainingData = await this.getTrainingData({
+  /**
+   * Outcomes logged over the retraining lookback window
+   */
+  async getRetrainingData(days = 90) {
+    console.log(`Training Store: Gathering ${days} days of records for retraining`);
+
+    return this.getTrainingData({
       dateRange: {
-        startDate: moment().subtract(90, 'days').toISOString(),
+        startDate: moment().subtract(days, 'days').toISOString(),
         endDate: moment().toISOString()
       }
     });
-    
-    // In production, this would send data to ML pipeline for retraining
-    return {
-      success: true,
-      recordsProcessed: trainingData.totalRecords,
-      timestamp: moment().toISOString()
-    };
   }
 }
 
+TrainingStore.TrainingStoreError = TrainingStoreError;
+TrainingStore.DECLINE_REASONS = DECLINE_REASONS;
+
 module.exports = TrainingStore;
@@ -0,0 +1,245 @@
+const moment = require('moment');
+const PricingModel = require('./pricing-model');
+const TrainingStore = require('./training-store');
+
+const CONTEXT_FEATURES = [
+  'cargo_hazardous',
+  'cargo_refrigerated',
+  'cargo_oversized',
+  'cargo_fragile',
+  'service_express',
+  'service_economy',
+  'service_premium',
+  'competitivenessIndex',
+  'congestionLevel',
+  'volatility',
+  'logCustomerMultiplier'
+];
+
+// Price enters the model as log(price / total cost) so it generalizes across lanes
+const FEATURE_NAMES = ['logPriceToCost', ...CONTEXT_FEATURES];
+
+class WinProbabilityModel {
+  constructor(options = {}) {
+    this.lambda = options.lambda !== undefined ? options.lambda : 1.0;
+    this.minSamples = options.minSamples || 20;
+    this.maxIterations = options.maxIterations || 25;
+    this.featureNames = FEATURE_NAMES;
+    this.coefficients = null;
+    this.intercept = 0;
+    this.means = null;
+    this.stds = null;
+    this.metrics = null;
+    this.trainedAt = null;
+    this.sampleCount = 0;
+  }
+
+  /**
+   * Booked quotes are wins at the booked price, declined quotes are losses
+   * at the last price we offered, unless declined for a reason unrelated to
+   * price. A competitor price the customer went with is a win at that price.
+   * Negotiated quotes add a point per round: the
+   * customer turned down the offer on the table, and would have booked at
+   * their counter. Accepted counters are covered by the booking, and counters
+   * below cost are bargaining rather than evidence of what they would pay.
+   */
+  buildSamples(trainingData) {
+    const samples = [];
+
+    (trainingData.bookings || []).forEach(booking => {
+      const price = parseFloat(booking.finalPrice);
+      if (booking.features && price > 0) {
+        samples.push({ features: booking.features, price, won: 1 });
+      }
+    });
+
+    (trainingData.declines || []).forEach(decline => {
+      const negotiation = decline.quote && decline.quote.negotiation;
+      const price = parseFloat(negotiation ? negotiation.currentOfferBase : decline.quotedPrice);
+      if (!decline.features || !(price > 0) || !TrainingStore.isPriceInformative(decline)) return;
+
+      samples.push({ features: decline.features, price, won: 0 });
+      const competitorPrice = parseFloat(decline.competitorPrice);
+      if (competitorPrice > 0 && competitorPrice < price) {
+        samples.push({ features: decline.features, price: competitorPrice, won: 1 });
+      }
+    });
+
+    [...(trainingData.bookings || []), ...(trainingData.declines || [])].forEach(record => {
+      const negotiation = record.quote && record.quote.negotiation;
+      if (!record.features || !negotiation) return;
+
+      negotiation.rounds
+        .filter(round => round.basePrices.counter < round.basePrices.offer)
+        .forEach(round => {
+          samples.push({ features: record.features, price: round.basePrices.offer, won: 0 });
+          if (round.decision !== 'accept' && round.basePrices.counter >= round.basePrices.cost) {
+            samples.push({ features: record.features, price: round.basePrices.counter, won: 1 });
+          }
+        });
+    });
+
+    return samples;
+  }
+
+  /**
+   * Fit an L2-regularized logistic regression with Newton-Raphson steps
+   */
+  fit(samples) {
+    if (samples.length < this.minSamples) {
+      return {
+        success: false,
+        reason: `Not enough booked/declined samples (${samples.length}/${this.minSamples})`,
+        samples: samples.length
+      };
+    }
+
+    const wins = samples.filter(sample => sample.won).length;
+    if (wins === 0 || wins === samples.length) {
+      return {
+        success: false,
+        reason: 'Need both booked and declined quotes to learn a win probability',
+        samples: samples.length
+      };
+    }
+
+    const rows = samples.map(sample => this.toVector(sample.features, sample.price));
+    const labels = samples.map(sample => sample.won);
+    const dims = this.featureNames.length;
+
+    this.means = new Array(dims).fill(0);
+    this.stds = new Array(dims).fill(0);
+    rows.forEach(row => row.forEach((value, j) => { this.means[j] += value / rows.length; }));
+    rows.forEach(row => row.forEach((value, j) => {
+      this.stds[j] += Math.pow(value - this.means[j], 2) / rows.length;
+    }));
+    this.stds = this.stds.map(variance => Math.sqrt(variance) || 1);
+
+    // Column 0 of the design matrix is the intercept, which is not penalized
+    const design = rows.map(row => [1, ...row.map((value, j) => (value - this.means[j]) / this.stds[j])]);
+    let weights = new Array(dims + 1).fill(0);
+
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      const gradient = new Array(dims + 1).fill(0);
+      const hessian = Array.from({ length: dims + 1 }, () => new Array(dims + 1).fill(0));
+
+      design.forEach((x, i) => {
+        const p = WinProbabilityModel.sigmoid(x.reduce((sum, value, j) => sum + value * weights[j], 0));
+        const curvature = Math.max(p * (1 - p), 1e-6);
+        for (let a = 0; a <= dims; a++) {
+          gradient[a] += (labels[i] - p) * x[a];
+          for (let b = 0; b <= dims; b++) hessian[a][b] += curvature * x[a] * x[b];
+        }
+      });
+
+      for (let a = 1; a <= dims; a++) {
+        gradient[a] -= this.lambda * weights[a];
+        hessian[a][a] += this.lambda;
+      }
+
+      const step = PricingModel.solveLinearSystem(hessian, gradient);
+      weights = weights.map((w, j) => w + step[j]);
+
+      if (Math.max(...step.map(Math.abs)) < 1e-6) break;
+    }
+
+    this.intercept = weights[0];
+    this.coefficients = weights.slice(1);
+
+    // A model where raising the price raises the win chance cannot be
+    // optimized against, so it is rejected rather than used
+    if (this.coefficients[0] >= 0) {
+      this.coefficients = null;
+      return {
+        success: false,
+        reason: 'Learned price sensitivity is not negative',
+        samples: samples.length
+      };
+    }
+
+    this.sampleCount = samples.length;
+    this.trainedAt = moment().toISOString();
+    this.metrics = this.evaluate(samples);
+
+    return { success: true, samples: samples.length, metrics: this.metrics };
+  }
+
+  /**
+   * Probability that the customer books at the given price
+   */
+  predict(features, price) {
+    if (!this.isTrained()) return null;
+
+    const vector = this.toVector(features, price);
+    let logit = this.intercept;
+    vector.forEach((value, j) => {
+      logit += this.coefficients[j] * (value - this.means[j]) / this.stds[j];
+    });
+
+    return WinProbabilityModel.sigmoid(logit);
+  }
+
+  evaluate(samples) {
+    if (!this.isTrained() || samples.length === 0) return null;
+
+    let logLoss = 0;
+    let correct = 0;
+    samples.forEach(sample => {
+      const p = Math.min(1 - 1e-9, Math.max(1e-9, this.predict(sample.features, sample.price)));
+      logLoss -= sample.won ? Math.log(p) : Math.log(1 - p);
+      if ((p >= 0.5 ? 1 : 0) === sample.won) correct += 1;
+    });
+
+    return {
+      logLoss: Math.round(logLoss / samples.length * 1000) / 1000,
+      accuracy: Math.round(correct / samples.length * 10000) / 100
+    };
+  }
+
+  isTrained() {
+    return Array.isArray(this.coefficients);
+  }
+
+  toVector(features, price) {
+    const totalCost = Math.exp(features.logTotalCost || 0);
+    return this.featureNames.map(name => {
+      if (name === 'logPriceToCost') return Math.log(price / totalCost);
+      const value = features[name];
+      return Number.isFinite(value) ? value : 0;
+    });
+  }
+
+  toJSON() {
+    return {
+      type: 'logistic-win-probability',
+      featureNames: this.featureNames,
+      coefficients: this.coefficients,
+      intercept: this.intercept,
+      means: this.means,
+      stds: this.stds,
+      lambda: this.lambda,
+      metrics: this.metrics,
+      sampleCount: this.sampleCount,
+      trainedAt: this.trainedAt
+    };
+  }
+
+  static fromJSON(artifact) {
+    const model = new WinProbabilityModel({ lambda: artifact.lambda });
+    model.featureNames = artifact.featureNames;
+    model.coefficients = artifact.coefficients;
+    model.intercept = artifact.intercept;
+    model.means = artifact.means;
+    model.stds = artifact.stds;
+    model.metrics = artifact.metrics;
+    model.sampleCount = artifact.sampleCount;
+    model.trainedAt = artifact.trainedAt;
+    return model;
+  }
+
+  static sigmoid(value) {
+    return 1 / (1 + Math.exp(-value));
+  }
+}
+
+module.exports = WinProbabilityModel;
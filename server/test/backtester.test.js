@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Backtester = require('../services/backtester');
+
+const quote = (requestId, predictedPrice, fields = {}) => ({
+  requestId,
+  lane: 'Shanghai-Los Angeles',
+  request: {
+    origin: 'Shanghai',
+    destination: 'Los Angeles',
+    cargoType: 'general',
+    weight: 1000,
+    volume: 5,
+    serviceType: 'standard',
+    customerId: 'ACME',
+    departureDate: '2026-11-01'
+  },
+  customer: null,
+  costData: { baseCost: 2000, surcharges: 200, totalCost: 2200, route: 'Shanghai-Los Angeles' },
+  marketData: { adjustment: 0.02, competitivenessIndex: 0.7, volatility: 0.2, congestionLevel: 0.5, routePopularity: 0.8 },
+  predictedPrice,
+  issuedAt: '2026-10-01T08:00:00.000Z',
+  ...fields
+});
+
+// Booked far above any replayed price, declined at a price the replay
+// undercuts, declined at a price nobody could undercut, and never answered
+const QUOTES = [
+  quote('booked', 9000),
+  quote('declined-high', 20000),
+  quote('declined-low', 100),
+  quote('open', 3000),
+  quote('other-lane', 3000, { lane: 'Hamburg-New York' })
+];
+
+// The booking was negotiated, so it measures how far off the quote was
+const negotiation = { rounds: [{ round: 1, decision: 'accept' }] };
+
+const OUTCOMES = {
+  bookings: [{ requestId: 'booked', status: 'booked', finalPrice: 9000, quote: { negotiation } }],
+  declines: ['declined-high', 'declined-low', 'other-lane'].map(requestId => ({ requestId, status: 'declined' }))
+};
+
+const createBacktester = (outcomes = OUTCOMES) => new Backtester({
+  quoteStore: { getQuotes: async () => QUOTES },
+  trainingStore: { getTrainingData: async () => outcomes }
+});
+
+test('only quotes with an outcome are replayed, within the filters', async () => {
+  const report = await createBacktester().run({ lane: 'Shanghai-Los Angeles' });
+
+  assert.equal(report.summary.quotes, 3);
+  assert.equal(report.summary.bookedQuotes, 1);
+  assert.equal(report.summary.actualWinRate, 33.33);
+  assert.deepEqual(report.byLane.map(group => group.lane), ['Shanghai-Los Angeles']);
+  assert.equal((await createBacktester().run()).summary.quotes, 4);
+});
+
+test('a replayed quote wins when it undercuts what the customer paid or declined', async () => {
+  const { summary } = await createBacktester().run({ lane: 'Shanghai-Los Angeles' });
+
+  assert.equal(summary.simulatedWinRate, 66.67);
+  assert.ok(summary.mape > 0);
+  assert.equal(summary.actualMargin, 9000 - 2200);
+  assert.ok(summary.marginCaptured > 0 && summary.marginCaptured < summary.actualMargin);
+});
+
+test('bookings confirmed at the quoted price are left out of the MAPE', async () => {
+  const { summary } = await createBacktester({
+    bookings: [{ requestId: 'booked', status: 'booked', finalPrice: 9000, quote: { negotiation: null } }],
+    declines: OUTCOMES.declines
+  }).run({ lane: 'Shanghai-Los Angeles' });
+
+  assert.equal(summary.bookedQuotes, 1);
+  assert.equal(summary.negotiatedBookings, 0);
+  assert.equal(summary.mape, null);
+  assert.equal(summary.simulatedWinRate, 66.67);
+});
+
+test('the same quotes replay to the same report', async () => {
+  const first = await createBacktester().run();
+  const second = await createBacktester().run();
+
+  assert.deepEqual(second.summary, first.summary);
+});
+
+test('a rule configuration is replayed against the rule-based default', async () => {
+  const backtester = createBacktester();
+  const baseline = await backtester.run();
+  const pricier = await backtester.run({ config: { cargoMultipliers: { general: 1.5 } } });
+
+  assert.deepEqual(pricier.configuration.config, { cargoMultipliers: { general: 1.5 } });
+  assert.ok(pricier.summary.averagePriceChange > baseline.summary.averagePriceChange);
+  assert.ok(pricier.summary.mape < baseline.summary.mape);
+});
+
+test('replaying a model version needs the registry', async () => {
+  await assert.rejects(createBacktester().run({ modelVersion: '2.0.0' }), /Model registry is required/);
+});
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const BenchmarkStore = require('../services/benchmark-store');
+const PortCatalog = require('../services/port-catalog');
+const { createQuoteStore, issueQuote, tempDir } = require('./helpers');
+
+const LANE = 'Shanghai-Los Angeles';
+
+const createStore = async (t, options = {}) => {
+  const store = new BenchmarkStore({
+    dataFile: path.join(tempDir(t, 'freightiq-benchmarks-'), 'benchmarks.json'),
+    ...options
+  });
+  await store.ready;
+  return store;
+};
+
+const observation = (price, fields = {}) => ({
+  origin: 'Shanghai',
+  destination: 'Los Angeles',
+  price,
+  weight: 1000,
+  observedAt: '2026-09-20T00:00:00Z',
+  ...fields
+});
+
+test('CSV fields may be quoted and rows end in LF or CRLF', () => {
+  assert.deepEqual(BenchmarkStore.parseCsv('origin,carrier\r\nShanghai,"Ocean ""Blue"", Ltd"\nBusan,\n'), [
+    ['origin', 'carrier'],
+    ['Shanghai', 'Ocean "Blue", Ltd'],
+    ['Busan', '']
+  ]);
+});
+
+test('percentiles interpolate between observations', () => {
+  assert.equal(BenchmarkStore.percentile([40, 10, 30, 20], 0.5), 25);
+  assert.equal(BenchmarkStore.percentile([10, 20, 30, 40], 0.25), 17.5);
+  assert.equal(BenchmarkStore.percentile([10, 20, 30, 40], 1), 40);
+});
+
+test('a CSV import keeps the valid rows and reports the rest', async t => {
+  const fxRates = { baseCurrency: 'USD', ready: Promise.resolve(), convert: amount => amount / 0.8 };
+  const store = await createStore(t, { fxRates });
+
+  const result = await store.importCsv([
+    'origin,destination,price,currency,weight,cargoType',
+    'Shanghai,Los Angeles,2000,EUR,1000,general',
+    'Shanghai,Los Angeles,-5,USD,1000,general',
+    'Shanghai,Los Angeles,2000,USD,1000,explosive',
+    ''
+  ].join('\n'));
+
+  assert.equal(result.imported, 1);
+  assert.deepEqual(result.rejected.map(row => row.line), [3, 4]);
+  const [benchmark] = await store.listBenchmarks();
+  assert.equal(benchmark.priceLocal, 2000);
+  assert.equal(benchmark.price, 2500);
+  assert.equal(benchmark.rateBasis, 'revenue-ton');
+  assert.equal(benchmark.rate, 2500);
+});
+
+test('lane pressure compares the competitor median with our quoted median', async t => {
+  const quoteStore = await createQuoteStore(t);
+  const store = await createStore(t, { quoteStore });
+  await issueQuote(quoteStore, 'q1', {
+    request: { origin: 'Shanghai', destination: 'Los Angeles', cargoType: 'general', serviceType: 'standard', weight: 1000 }
+  });
+  for (const price of [1800, 2000, 2300]) {
+    await store.addBenchmark(observation(price));
+  }
+
+  const benchmark = await store.getLaneBenchmark({ lane: LANE, cargoType: 'general', serviceType: 'standard' });
+
+  assert.equal(benchmark.scope, 'cargo-service');
+  assert.equal(benchmark.competitorMedianRate, 2000);
+  assert.equal(benchmark.quotedMedianRate, 2500);
+  assert.equal(benchmark.pressure, 0.2);
+});
+
+test('thin lanes have no benchmark and thin segments fall back to the lane', async t => {
+  const store = await createStore(t);
+  await store.addBenchmark(observation(1800));
+  await store.addBenchmark(observation(2000, { cargoType: 'hazardous' }));
+
+  const thin = await store.getLaneBenchmark({ lane: LANE, cargoType: 'general', serviceType: 'standard' });
+  assert.deepEqual(thin, { lane: LANE, shipmentMode: 'LCL', samples: 2, scope: null, pressure: null });
+
+  await store.addBenchmark(observation(2400, { cargoType: 'hazardous' }));
+  const lane = await store.getLaneBenchmark({ lane: LANE, cargoType: 'general', serviceType: 'standard' });
+  assert.equal(lane.scope, 'lane');
+  assert.equal(lane.competitorMedianRate, 2000);
+  assert.equal(lane.pressure, null);
+});
+
+test('a competitor price from a decline is converted at the quote rate', async t => {
+  const store = await createStore(t);
+  const quote = {
+    requestId: 'q1',
+    request: { origin: 'Shanghai', destination: 'Los Angeles', cargoType: 'general', weight: 2000 },
+    fx: { currency: 'EUR', rate: 0.8 }
+  };
+
+  const benchmark = await store.addFromDecline(quote, { competitorPrice: 3200, competitorCarrier: 'Blue Line' });
+
+  assert.equal(benchmark.price, 4000);
+  assert.equal(benchmark.rate, 2000);
+  assert.equal(benchmark.source, 'decline');
+  assert.equal(benchmark.requestId, 'q1');
+});
+
+test('rates are per unit of the freight basis and never mix shipment modes', async t => {
+  const quoteStore = await createQuoteStore(t);
+  const store = await createStore(t, { quoteStore });
+  const fcl = { shipmentMode: 'FCL', containerType: '40HC', containerCount: 2, weight: 30000 };
+  await issueQuote(quoteStore, 'q1', {
+    request: { origin: 'Shanghai', destination: 'Los Angeles', cargoType: 'general', serviceType: 'standard', ...fcl }
+  });
+  for (const price of [5000, 6000, 7000]) {
+    await store.addBenchmark(observation(price, fcl));
+  }
+  await store.addBenchmark(observation(2000, { volume: 4 }));
+
+  const [benchmark] = await store.listBenchmarks({ lane: LANE });
+  assert.equal(benchmark.rateBasis, 'container');
+
+  const containers = await store.getLaneBenchmark({ lane: LANE, shipmentMode: 'FCL', cargoType: 'general',
+    serviceType: 'standard' });
+  assert.equal(containers.rateBasis, 'container');
+  assert.equal(containers.samples, 3);
+  assert.equal(containers.competitorMedianRate, 3000);
+  assert.equal(containers.quotedMedianRate, 1250);
+
+  // 4 m³ outweighs 1,000 kg under W/M, so 2000 is 500 per revenue ton
+  const loose = (await store.listBenchmarks({ lane: LANE })).find(entry => entry.shipmentMode === 'LCL');
+  assert.equal(loose.rateUnits, 4);
+  assert.equal(loose.rate, 500);
+
+  const air = await store.addBenchmark(observation(900, { transportMode: 'air', weight: 200, volume: 1.5 }));
+  assert.equal(air.rateBasis, 'chargeable-kg');
+  assert.equal(air.rate, 3.6);
+});
+
+test('benchmarks recorded per ton read as their default shipment mode', () => {
+  const legacy = BenchmarkStore.withRateBasis({ lane: LANE, price: 3000, weight: 1500, ratePerTon: 2000 });
+
+  assert.equal(legacy.shipmentMode, 'LCL');
+  assert.equal(legacy.rateBasis, 'revenue-ton');
+  assert.equal(legacy.rate, 2000);
+});
+
+test('non-string currencies and unknown modes are a 400', async t => {
+  const store = await createStore(t);
+
+  await assert.rejects(store.addBenchmark(observation(2000, { currency: 978 })), error =>
+    error instanceof BenchmarkStore.BenchmarkStoreError && error.statusCode === 400 &&
+    /currency must be a currency code/.test(error.message));
+  await assert.rejects(store.addBenchmark(observation(2000, { transportMode: 'rail' })), error =>
+    error.statusCode === 400 && /Invalid transportMode rail/.test(error.message));
+});
+
+test('benchmark lanes are keyed by the catalog names quotes use', async t => {
+  const portCatalog = new PortCatalog({ env: {} });
+  const store = await createStore(t, { portCatalog });
+
+  const benchmark = await store.addBenchmark(observation(2000, { origin: 'CNSHA', destination: 'uslax' }));
+  assert.equal(benchmark.lane, LANE);
+
+  await assert.rejects(store.addBenchmark(observation(2000, { origin: 'Atlantis' })), error =>
+    error.statusCode === 400 && /Unknown location Atlantis/.test(error.message));
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ConformalCalibrator = require('../services/conformal-calibrator');
+
+// Bookings whose relative error against the quote is 1%, 2%, … n%
+const bookings = (count, fields = {}) => Array.from({ length: count }, (_, i) => ({
+  quotedPrice: 1000,
+  finalPrice: 1000 * (1 + (i % 2 === 0 ? 1 : -1) * (i + 1) / 100),
+  ...fields
+}));
+
+test('half-width is the ⌈(n+1)·coverage⌉-th smallest residual', () => {
+  const calibrator = new ConformalCalibrator({ coverage: 0.9, minSegmentSize: 20 });
+  calibrator.fit(bookings(20));
+
+  // ⌈21 · 0.9⌉ = 19, so the band is the 19% residual
+  const band = calibrator.interval(2000);
+  assert.equal(band.segment, 'global');
+  assert.equal(band.percentage, 19);
+  assert.equal(band.lower, 1620);
+  assert.equal(band.upper, 2380);
+  assert.equal(band.coverage, 0.9);
+  assert.equal(band.sampleSize, 20);
+});
+
+test('no band when the coverage rank is beyond the sample', () => {
+  // ⌈(20+1) · 0.99⌉ = 21 > 20, so there is no finite-sample guarantee
+  const calibrator = new ConformalCalibrator({ coverage: 0.99, minSegmentSize: 20 });
+  calibrator.fit(bookings(20));
+
+  assert.equal(calibrator.isCalibrated(), false);
+  assert.equal(calibrator.interval(1000), null);
+});
+
+test('thin segments fall back to broader ones', () => {
+  const calibrator = new ConformalCalibrator({ coverage: 0.8, minSegmentSize: 20 });
+  calibrator.fit([
+    ...bookings(25, { lane: 'Shanghai-Los Angeles', cargoType: 'general' }),
+    ...bookings(5, { lane: 'Hamburg-New York', cargoType: 'general' })
+  ]);
+
+  assert.equal(calibrator.interval(1000, { lane: 'Shanghai-Los Angeles', cargoType: 'general' }).segment,
+    'lane:Shanghai-Los Angeles|cargo:general');
+  assert.equal(calibrator.interval(1000, { lane: 'Hamburg-New York', cargoType: 'general' }).segment,
+    'cargo:general');
+  assert.equal(calibrator.interval(1000, { lane: 'Hamburg-New York', cargoType: 'hazardous' }).segment,
+    'global');
+});
+
+test('bookings without a quoted or booked price are skipped', () => {
+  const calibrator = new ConformalCalibrator({ minSegmentSize: 20 });
+  const result = calibrator.fit([
+    ...bookings(19),
+    { quotedPrice: null, finalPrice: 1000 },
+    { quotedPrice: 1000, finalPrice: 'n/a' }
+  ]);
+
+  assert.equal(result.samples, 19);
+  assert.equal(calibrator.isCalibrated(), false);
+});
+
+test('a calibration survives a JSON round trip', () => {
+  const calibrator = new ConformalCalibrator({ minSegmentSize: 20 });
+  calibrator.fit(bookings(30, { lane: 'Shanghai-Los Angeles' }));
+
+  const restored = ConformalCalibrator.fromJSON(JSON.parse(JSON.stringify(calibrator.toJSON())));
+  assert.deepEqual(restored.interval(1500, { lane: 'Shanghai-Los Angeles' }),
+    calibrator.interval(1500, { lane: 'Shanghai-Los Angeles' }));
+});
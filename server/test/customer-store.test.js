@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const CustomerStore = require('../services/customer-store');
+const { createTrainingStore, tempDir } = require('./helpers');
+
+const createStore = async (t, trainingData) => {
+  const trainingStore = await createTrainingStore(t);
+  if (trainingData) await trainingStore.saveTrainingData(trainingData);
+
+  const store = new CustomerStore({
+    trainingStore,
+    dataFile: path.join(tempDir(t, 'freightiq-customers-'), 'customers.json')
+  });
+  await store.ready;
+  return store;
+};
+
+const rejects = (promise, statusCode, pattern) => assert.rejects(promise, error =>
+  error instanceof CustomerStore.CustomerStoreError && error.statusCode === statusCode && pattern.test(error.message));
+
+test('a new customer starts as a prepaid spot customer', async t => {
+  const store = await createStore(t);
+
+  const customer = await store.createCustomer({ customerId: 'ACME', tier: 'volume' });
+
+  assert.equal(customer.name, 'ACME');
+  assert.equal(customer.tier, 'volume');
+  assert.equal(customer.contractStatus, 'spot');
+  assert.equal(customer.creditTerms, 'prepaid');
+  assert.equal(customer.statistics.bookings, 0);
+  assert.equal(customer.statistics.winRate, null);
+});
+
+test('customer master data is validated', async t => {
+  const store = await createStore(t);
+  await store.createCustomer({ customerId: 'ACME' });
+
+  await rejects(store.createCustomer({ name: 'Nameless' }), 400, /Missing required field: customerId/);
+  await rejects(store.createCustomer({ customerId: 42 }), 400, /customerId must be a non-empty string/);
+  await rejects(store.createCustomer({ customerId: '  ' }), 400, /customerId must be a non-empty string/);
+  await rejects(store.createCustomer({ customerId: 'ACME' }), 409, /already exists/);
+  await rejects(store.updateCustomer('ACME', { tier: 'gold' }), 400, /Invalid tier gold/);
+  await rejects(store.updateCustomer('NOBODY', { tier: 'premium' }), 404, /Unknown customer NOBODY/);
+});
+
+test('customers are listed by id and filtered by tier', async t => {
+  const store = await createStore(t);
+  await store.createCustomer({ customerId: 'ZETA', tier: 'premium' });
+  await store.createCustomer({ customerId: 'ACME', tier: 'premium' });
+  await store.createCustomer({ customerId: 'MIDCO', tier: 'standard' });
+
+  assert.deepEqual((await store.listCustomers()).map(customer => customer.customerId), ['ACME', 'MIDCO', 'ZETA']);
+  assert.deepEqual((await store.listCustomers({ tier: 'premium' })).map(customer => customer.customerId),
+    ['ACME', 'ZETA']);
+});
+
+test('statistics are derived from the outcomes logged for the customer', async t => {
+  const store = await createStore(t, {
+    bookings: [
+      { customerId: 'ACME', quotedPrice: 1000, finalPrice: 950 },
+      { customerId: 'ACME', quotedPrice: 1000, finalPrice: 1000 },
+      { customerId: 'OTHER', quotedPrice: 1000, finalPrice: 500 }
+    ],
+    declines: [
+      { customerId: 'ACME', reason: 'price' },
+      { quote: { request: { customerId: 'ACME' } }, reason: 'transit_time' }
+    ]
+  });
+
+  const { statistics } = await store.createCustomer({ customerId: 'ACME' });
+
+  assert.equal(statistics.bookings, 2);
+  assert.equal(statistics.declines, 2);
+  assert.equal(statistics.winRate, 50);
+  assert.equal(statistics.priceSensitivity, 0.25);
+  assert.equal(statistics.averageDiscount, 2.5);
+});
+
+test('a logged outcome only updates the statistics of its customer', async t => {
+  const store = await createStore(t, {
+    bookings: [{ customerId: 'ACME', quotedPrice: 1000, finalPrice: 950 }],
+    declines: []
+  });
+  await store.createCustomer({ customerId: 'ACME' });
+  const other = await store.createCustomer({ customerId: 'OTHER' });
+
+  await store.recordOutcome('ACME', { type: 'booking', customerId: 'ACME', quotedPrice: 1000, finalPrice: 1000 });
+  const { statistics } = await store.recordOutcome('ACME', { type: 'decline', customerId: 'ACME', reason: 'price' });
+
+  assert.equal(statistics.bookings, 2);
+  assert.equal(statistics.declines, 1);
+  assert.equal(statistics.winRate, 66.67);
+  assert.equal(statistics.priceSensitivity, 0.333);
+  assert.equal(statistics.averageDiscount, 2.5);
+  assert.deepEqual((await store.getCustomer('OTHER')).statistics, other.statistics);
+  assert.equal(await store.recordOutcome('NOBODY', { type: 'decline', reason: 'price' }), null);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const DriftMonitor = require('../services/drift-monitor');
+const ExecutionContext = require('../services/execution-context');
+
+const close = (actual, expected, tolerance) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+const repeat = (value, count) => Array.from({ length: count }, () => value);
+
+test('KS compares the largest gap between the empirical distributions', () => {
+  const same = DriftMonitor.ksTest([1, 2, 3, 4, 5], [5, 4, 3, 2, 1]);
+  assert.equal(same.statistic, 0);
+  assert.equal(same.pValue, 1);
+
+  const shifted = DriftMonitor.ksTest([1, 2, 3, 4], [3, 4, 5, 6]);
+  assert.equal(shifted.statistic, 0.5);
+
+  // λ = 1.358 is the 5% critical value of the Kolmogorov distribution
+  close(DriftMonitor.kolmogorovSurvival(1.358), 0.05, 0.001);
+});
+
+test('chi-square p-values match the critical values of the distribution', () => {
+  // 3.841 (1 df) and 9.488 (4 df) are the 5% critical values
+  close(DriftMonitor.upperIncompleteGamma(0.5, 3.841 / 2), 0.05, 0.0005);
+  close(DriftMonitor.upperIncompleteGamma(2, 9.488 / 2), 0.05, 0.0005);
+  assert.equal(DriftMonitor.upperIncompleteGamma(2, 0), 1);
+});
+
+test('chi-square tests the category mix of two samples', () => {
+  const reference = [...repeat('general', 50), ...repeat('hazardous', 50)];
+  const current = [...repeat('general', 80), ...repeat('hazardous', 20)];
+
+  // Expected 65/35 in both rows: 2 · (15²/65 + 15²/35)
+  const result = DriftMonitor.chiSquareTest(reference, current, ['general', 'hazardous']);
+  close(result.statistic, 2 * (225 / 65 + 225 / 35), 1e-9);
+  assert.equal(result.degreesOfFreedom, 1);
+  assert.ok(result.pValue < 0.001);
+
+  assert.deepEqual(DriftMonitor.chiSquareTest(reference, reference, ['general']),
+    { statistic: 0, degreesOfFreedom: 0, pValue: 1 });
+});
+
+const snapshots = (count, seed, { congestion, hazardousShare }) => {
+  const random = ExecutionContext.createSeededRandom(seed);
+  return Array.from({ length: count }, (_, i) => ({
+    request: { cargoType: i < count * hazardousShare ? 'hazardous' : 'general', weight: 500 + random() * 1000 },
+    marketData: { congestionLevel: congestion[0] + random() * (congestion[1] - congestion[0]) }
+  }));
+};
+
+const createMonitor = ({ reference, current, activeVersion = '2.0.0' }) => new DriftMonitor({
+  modelRegistry: {
+    getActiveVersion: async () => activeVersion,
+    getModel: async () => ({ trainingWindow: { start: '2026-01-01T00:00:00.000Z', end: '2026-06-30T00:00:00.000Z' } })
+  },
+  trainingStore: {
+    getTrainingData: async () => ({
+      bookings: reference.map(quote => ({ quote, loggedAt: '2026-03-01T00:00:00.000Z' })),
+      declines: []
+    })
+  },
+  quoteStore: {
+    getQuotes: async () => current.map(quote => ({ ...quote, issuedAt: moment().subtract(1, 'day').toISOString() }))
+  }
+});
+
+test('inputs that moved since training are reported as drift', async () => {
+  const monitor = createMonitor({
+    reference: snapshots(200, 'reference', { congestion: [0, 0.5], hazardousShare: 0.2 }),
+    current: snapshots(200, 'current', { congestion: [0.4, 0.9], hazardousShare: 0.6 })
+  });
+
+  const report = await monitor.getDriftReport();
+  const feature = name => report.features.find(result => result.feature === name);
+
+  assert.equal(report.status, 'drift');
+  assert.deepEqual(report.driftedFeatures, ['congestionLevel', 'cargoType']);
+  assert.equal(feature('weight').drifted, false);
+  assert.equal(feature('baseCost').reason, 'insufficient_data');
+  assert.deepEqual(feature('cargoType').current.distribution, { general: 40, hazardous: 60 });
+});
+
+test('drift needs an active model and enough quotes on both sides', async () => {
+  const reference = snapshots(200, 'reference', { congestion: [0, 0.5], hazardousShare: 0.2 });
+
+  const noModel = await createMonitor({ reference, current: reference, activeVersion: null }).getDriftReport();
+  assert.equal(noModel.status, 'no_reference');
+
+  const thin = await createMonitor({ reference, current: reference.slice(0, 5) }).getDriftReport();
+  assert.equal(thin.status, 'insufficient_data');
+  assert.equal(thin.reference.samples, 200);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ExecutionContext = require('../services/execution-context');
+const RMSConnector = require('../services/rms-connector');
+const LCIConnector = require('../services/lci-connector');
+const FreightIQEngine = require('../services/freightiq-engine');
+
+const request = {
+  origin: 'Shanghai',
+  destination: 'Los Angeles',
+  cargoType: 'general',
+  weight: 1200,
+  volume: 8,
+  serviceType: 'standard',
+  customerId: 'ACME',
+  departureDate: '2026-11-15'
+};
+
+// The pricing pipeline of POST /api/predict-rate, without the stores
+const priceQuote = async body => {
+  const context = ExecutionContext.fromRequest(body, {});
+  const costData = await new RMSConnector().getCostData(body, context);
+  const marketData = await new LCIConnector().getMarketData(body, context);
+  const prediction = await new FreightIQEngine({ simulateLatency: false }).predictOptimalPrice({
+    ...body,
+    requestId: 'replay',
+    costData,
+    marketData
+  }, context);
+  return { context, costData, marketData, prediction };
+};
+
+test('a seed always produces the same sequence', () => {
+  const first = ExecutionContext.createSeededRandom('lane-42');
+  const second = ExecutionContext.createSeededRandom('lane-42');
+  const other = ExecutionContext.createSeededRandom('lane-43');
+
+  const sequence = Array.from({ length: 5 }, () => first());
+  assert.deepEqual(Array.from({ length: 5 }, () => second()), sequence);
+  assert.notDeepEqual(Array.from({ length: 5 }, () => other()), sequence);
+  sequence.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('the payload seed ignores key order and the determinism fields', () => {
+  const seed = ExecutionContext.hashPayload({ weight: 1200, origin: 'Shanghai' });
+
+  assert.equal(ExecutionContext.hashPayload({ origin: 'Shanghai', weight: 1200 }), seed);
+  assert.equal(ExecutionContext.hashPayload({ origin: 'Shanghai', weight: 1200, deterministic: true, seed: 7 }), seed);
+  assert.notEqual(ExecutionContext.hashPayload({ origin: 'Shanghai', weight: 1300 }), seed);
+});
+
+test('deterministic requests pin a clock and a payload seed', () => {
+  const context = ExecutionContext.fromRequest({ ...request, deterministic: true, asOf: '2026-10-01T08:00:00Z' }, {});
+
+  assert.deepEqual(context.describe(), {
+    deterministic: true,
+    seed: ExecutionContext.hashPayload(request),
+    asOf: '2026-10-01T08:00:00.000Z'
+  });
+  assert.equal(context.now().toISOString(), '2026-10-01T08:00:00.000Z');
+});
+
+test('the clock is only pinned in deterministic mode', () => {
+  const clock = { FREIGHTIQ_CLOCK: '2026-10-01T08:00:00Z' };
+
+  assert.equal(ExecutionContext.fromRequest(request, clock).asOf, null);
+  assert.equal(ExecutionContext.fromRequest({ ...request, deterministic: true }, clock).asOf,
+    '2026-10-01T08:00:00.000Z');
+  assert.throws(() => ExecutionContext.fromRequest({ ...request, asOf: '2026-10-01T08:00:00Z' }, {}), error =>
+    error instanceof ExecutionContext.ExecutionContextError && error.statusCode === 400 &&
+    /only accepted in deterministic mode/.test(error.message));
+});
+
+test('an invalid asOf is a 400', () => {
+  ['yesterday', '2026-13-01', 42].forEach(asOf => {
+    assert.throws(() => ExecutionContext.fromRequest({ ...request, deterministic: true, asOf }, {}), error =>
+      error instanceof ExecutionContext.ExecutionContextError && error.statusCode === 400 &&
+      /asOf must be an ISO 8601 date/.test(error.message));
+  });
+});
+
+test('a deterministic quote replays to the same price', async () => {
+  const body = { ...request, deterministic: true, asOf: '2026-10-01T08:00:00Z' };
+
+  const first = await priceQuote(body);
+  const replay = await priceQuote(body);
+  const reseeded = await priceQuote({ ...body, seed: 'other' });
+
+  assert.equal(replay.costData.totalCost, first.costData.totalCost);
+  assert.deepEqual(replay.marketData, first.marketData);
+  assert.deepEqual(replay.prediction, first.prediction);
+  assert.notEqual(reseeded.costData.totalCost, first.costData.totalCost);
+});
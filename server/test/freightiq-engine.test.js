@@ -0,0 +1,309 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const FreightIQEngine = require('../services/freightiq-engine');
+const PricingModel = require('../services/pricing-model');
+const WinProbabilityModel = require('../services/win-probability-model');
+const SeasonalityModel = require('../services/seasonality-model');
+const ExecutionContext = require('../services/execution-context');
+const { createModelRegistry } = require('./helpers');
+
+const context = () => new ExecutionContext({ deterministic: true, seed: 1, asOf: '2026-10-01' });
+
+const quoteParams = (overrides = {}) => ({
+  requestId: 'q1',
+  costData: {
+    baseCost: 2000,
+    surcharges: 200,
+    totalCost: 2200,
+    route: 'Shanghai-Los Angeles',
+    transportMode: 'ocean',
+    freightBasis: { mode: 'LCL' }
+  },
+  marketData: {
+    adjustment: 0.02,
+    competitivenessIndex: 0.7,
+    volatility: 0.2,
+    congestionLevel: 0.5,
+    routePopularity: 0.8
+  },
+  cargoType: 'hazardous',
+  weight: 1500,
+  volume: 60,
+  serviceType: 'express',
+  customerId: 'ACME',
+  customer: { tier: 'premium', statistics: {} },
+  departureDate: '2026-12-01',
+  ...overrides
+});
+
+// Regression quoting `markup` times the total cost, 12% more for hazardous
+// cargo and up to 10% more in congested ports
+const trainedModel = (markup = 1.2) => {
+  const model = new PricingModel();
+  model.fit(Array.from({ length: 60 }, (_, i) => {
+    const totalCost = 1000 + i * 100;
+    const hazardous = i % 3 === 0 ? 1 : 0;
+    const congestionLevel = (i % 5) / 5;
+    return {
+      features: { logTotalCost: Math.log(totalCost), cargo_hazardous: hazardous, congestionLevel },
+      target: markup * totalCost * (1 + 0.12 * hazardous) * (1 + 0.1 * congestionLevel)
+    };
+  }));
+  return model;
+};
+
+const createEngine = () => new FreightIQEngine({ simulateLatency: false });
+
+const sumAttribution = attribution =>
+  Math.round(attribution.reduce((sum, item) => sum + item.amount, 0) * 100) / 100;
+
+test('the rule-based attribution adds up to the quoted price', async () => {
+  const prediction = await createEngine().predictOptimalPrice(quoteParams(), context());
+
+  assert.equal(prediction.predictionSource, 'rules');
+  assert.equal(prediction.attribution[0].factor, 'baseCost');
+  assert.equal(prediction.attribution[0].amount, 2000);
+  assert.ok(prediction.attribution.some(item => item.factor === 'cargoType' && item.amount > 0));
+  assert.equal(sumAttribution(prediction.attribution), prediction.price);
+});
+
+test('the model attribution adds up to the quoted price', async t => {
+  const registry = await createModelRegistry(t);
+  await registry.registerModel({ pricingModel: trainedModel() });
+  const engine = new FreightIQEngine({ simulateLatency: false, modelRegistry: registry });
+  await engine.activateModel('2.0.0');
+
+  const prediction = await engine.predictOptimalPrice(quoteParams(), context());
+
+  assert.equal(prediction.predictionSource, 'model');
+  assert.equal(prediction.modelVersion, '2.0.0');
+  assert.equal(prediction.attribution[0].factor, 'modelBaseline');
+  assert.ok(prediction.attribution.some(item => item.factor === 'cargoType' && item.amount > 0));
+  assert.equal(sumAttribution(prediction.attribution), prediction.price);
+});
+
+test('the transport mode effect is attributed to its own factor', async t => {
+  // Air freight books 30% over the same cost by sea
+  const pricingModel = new PricingModel();
+  pricingModel.fit(Array.from({ length: 60 }, (_, i) => {
+    const totalCost = 1000 + i * 100;
+    const air = i % 2;
+    return { features: { logTotalCost: Math.log(totalCost), mode_air: air }, target: 1.2 * totalCost * (1 + 0.3 * air) };
+  }));
+  const registry = await createModelRegistry(t);
+  await registry.registerModel({ pricingModel });
+  const engine = new FreightIQEngine({ simulateLatency: false, modelRegistry: registry });
+  await engine.activateModel('2.0.0');
+  const params = quoteParams();
+
+  const prediction = await engine.predictOptimalPrice({
+    ...params,
+    costData: { ...params.costData, transportMode: 'air', freightBasis: { mode: 'LOOSE' } }
+  }, context());
+
+  assert.ok(prediction.attribution.some(item => item.factor === 'transportMode' && item.amount > 0));
+  assert.equal(sumAttribution(prediction.attribution), prediction.price);
+});
+
+test('a model feature in no attribution group is shown as Other', () => {
+  // An artifact trained with a feature this engine has no group for
+  const artifact = trainedModel().toJSON();
+  artifact.featureNames = artifact.featureNames.map(name => (name === 'cargo_hazardous' ? 'cargo_explosive' : name));
+  const engine = createEngine();
+  engine.useModels({ pricingModel: PricingModel.fromJSON(artifact) }, '2.0.0');
+
+  const attribution = engine.buildModelAttribution({ logTotalCost: Math.log(2200), cargo_explosive: 1 });
+
+  assert.ok(attribution.some(item => item.factor === 'other' && item.amount > 0));
+  assert.ok(!attribution.some(item => item.factor === 'cargoType'));
+});
+
+test('an attribution gap over a cent is shown as Other instead of failing the quote', () => {
+  const attribution = [{ factor: 'baseCost', label: 'Base cost', amount: 2000, type: 'base' }];
+
+  createEngine().finalizeAttribution(attribution, 2500, 2500);
+
+  assert.deepEqual(attribution[1], { factor: 'other', label: 'Other', amount: 500, type: 'adjustment' });
+  assert.equal(sumAttribution(attribution), 2500);
+});
+
+test('quotes are priced with the active model once it has loaded', async t => {
+  const registry = await createModelRegistry(t);
+  await registry.registerModel({ pricingModel: trainedModel() });
+  await registry.promote('2.0.0', 'test');
+
+  // No await on ready: the quote itself waits for the startup load
+  const engine = new FreightIQEngine({ simulateLatency: false, modelRegistry: registry });
+  const prediction = await engine.predictOptimalPrice(quoteParams(), context());
+
+  assert.equal(prediction.predictionSource, 'model');
+  assert.equal(prediction.modelVersion, '2.0.0');
+});
+
+test('training without a model registry is refused', async () => {
+  await assert.rejects(createEngine().updateModel({ bookings: [], declines: [] }), error =>
+    error instanceof FreightIQEngine.FreightIQEngineError && error.statusCode === 503);
+});
+
+test('without a win-probability model the reference price is kept', () => {
+  const optimization = createEngine().optimizeExpectedMargin({
+    referencePrice: 3000,
+    costData: { totalCost: 2200 },
+    features: {}
+  });
+
+  assert.equal(optimization.method, 'reference');
+  assert.equal(optimization.winProbabilitySource, 'prior');
+  assert.equal(optimization.optimalPrice, 3000);
+  assert.equal(optimization.curve.length, 25);
+});
+
+test('a win-probability model moves the price to the best expected margin', () => {
+  // P(win) = sigmoid(2 - 25 · log(price / 2000)) on a cost of 2000
+  const winProbabilityModel = WinProbabilityModel.fromJSON({
+    featureNames: ['logTotalCost'],
+    coefficients: [-25, 25],
+    intercept: 2,
+    means: [0, 0],
+    stds: [1, 1],
+    trainedAt: null,
+    sampleCount: 100
+  });
+  const features = { logTotalCost: Math.log(2000) };
+
+  const engine = createEngine();
+
+  const optimization = engine.optimizeExpectedMargin({
+    referencePrice: 2400,
+    costData: { totalCost: 2000 },
+    features,
+    winProbabilityModel
+  });
+
+  const best = optimization.curve.reduce((top, point) => point.expectedMargin > top.expectedMargin ? point : top);
+  assert.equal(optimization.method, 'expected-margin');
+  assert.equal(optimization.optimalPrice, best.price);
+  assert.notEqual(optimization.optimalPrice, 2400);
+  assert.equal(optimization.winProbability, Math.round(winProbabilityModel.predict(features, best.price) * 10000) / 10000);
+});
+
+test('a challenger is scored in shadow without changing the quoted price', async t => {
+  const registry = await createModelRegistry(t);
+  await registry.registerModel({ pricingModel: trainedModel(1.2) });
+  await registry.registerModel({ pricingModel: trainedModel(1.4) });
+
+  const engine = new FreightIQEngine({ simulateLatency: false, modelRegistry: registry });
+  await engine.activateModel('2.0.0');
+  const championOnly = await engine.predictOptimalPrice(quoteParams(), context());
+  await engine.activateChallenger('2.0.1');
+  const prediction = await engine.predictOptimalPrice(quoteParams(), context());
+
+  assert.equal(championOnly.shadowPrediction, null);
+  assert.equal(prediction.price, championOnly.price);
+  assert.equal(prediction.modelVersion, '2.0.0');
+  assert.equal(prediction.shadowPrediction.modelVersion, '2.0.1');
+  assert.ok(prediction.shadowPrediction.price > prediction.price);
+});
+
+test('spot quotes hold for a day and forward quotes until departure at the latest', () => {
+  const engine = createEngine();
+
+  const spot = engine.getQuoteValidity({ departureDate: '2026-10-03' }, context());
+  assert.equal(spot.type, 'spot');
+  assert.equal(spot.validUntil, '2026-10-02T00:00:00.000Z');
+  assert.equal(spot.departureWindow.end, '2026-10-10T00:00:00.000Z');
+
+  const forward = engine.getQuoteValidity({ departureDate: '2026-12-01' }, context());
+  assert.equal(forward.type, 'forward');
+  assert.equal(forward.validUntil, '2026-10-08T00:00:00.000Z');
+
+  // Valid for ten days, but not past the departure it was priced for
+  const capped = new FreightIQEngine({ simulateLatency: false, config: { forwardValidityDays: 10 } })
+    .getQuoteValidity({ departureDate: '2026-10-09', latestDepartureDate: '2026-10-12' }, context());
+  assert.equal(capped.type, 'forward');
+  assert.equal(capped.validUntil, '2026-10-09T00:00:00.000Z');
+  assert.equal(capped.departureWindow.end, '2026-10-12T00:00:00.000Z');
+});
+
+test('a learned seasonal curve replaces the configured one', () => {
+  const engine = createEngine();
+  const seasonality = SeasonalityModel.fromJSON({
+    prior: null,
+    shrinkage: 10,
+    global: { factors: [0.01, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.2], sampleCounts: null },
+    lanes: { 'Shanghai-Los Angeles': { factors: [0.05, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0.12], sampleCounts: null } },
+    fittedAt: '2026-09-01T00:00:00.000Z'
+  });
+  const adjustment = (lane, departureDate, model) =>
+    engine.getSeasonalAdjustment({ lane, departureDate, seasonality: model }, context());
+
+  assert.equal(adjustment('Shanghai-Los Angeles', '2026-12-01'), engine.config.seasonalMultipliers[11]);
+  assert.equal(adjustment('Shanghai-Los Angeles', '2026-12-01', seasonality), 0.12);
+  assert.equal(adjustment('Hamburg-New York', '2026-12-01', seasonality), 0.2);
+  // Without a departure date the quote ships now, in October
+  assert.equal(adjustment('Hamburg-New York', undefined, seasonality), 0);
+});
+
+// Quoted at 2600 on a cost of 2000, so the margin floor is 2160
+const negotiableQuote = (fields = {}) => ({
+  costData: { totalCost: 2000 },
+  predictedPrice: 2600,
+  quotedAmount: 2600,
+  prediction: { referencePrice: 2600 },
+  ...fields
+});
+
+const previousRounds = count => ({
+  rounds: Array.from({ length: count }, () => ({ decision: 'counter' })),
+  currentOffer: 2600
+});
+
+test('counter-offers are accepted when their margin beats holding the offer', () => {
+  const engine = createEngine();
+
+  const atOffer = engine.evaluateCounterOffer(negotiableQuote(), 2600);
+  assert.equal(atOffer.decision, 'accept');
+
+  // Holding 2600 is worth P(win) · 600 = 0.599 · 600 ≈ 359 under the prior
+  const accepted = engine.evaluateCounterOffer(negotiableQuote(), 2450);
+  assert.equal(accepted.decision, 'accept');
+  assert.equal(accepted.currentOffer, 2450);
+  assert.equal(accepted.round, 1);
+});
+
+test('counter-offers below what holding the offer is worth are countered', () => {
+  const evaluation = createEngine().evaluateCounterOffer(negotiableQuote(), 2300);
+
+  assert.equal(evaluation.decision, 'counter');
+  assert.ok(evaluation.suggestedPrice >= 2300 && evaluation.suggestedPrice < 2600);
+  assert.equal(evaluation.currentOffer, evaluation.suggestedPrice);
+  assert.equal(evaluation.floorPrice, 2160);
+});
+
+test('counter-offers below cost, or below the floor in the final round, are rejected', () => {
+  const engine = createEngine();
+
+  assert.equal(engine.evaluateCounterOffer(negotiableQuote(), 1900).reason, 'Counter is below cost');
+
+  const finalRound = negotiableQuote({ negotiation: previousRounds(2) });
+  const below = engine.evaluateCounterOffer(finalRound, 2100);
+  assert.equal(below.decision, 'reject');
+  assert.equal(below.finalRound, true);
+  assert.equal(below.currentOffer, 2600);
+
+  const above = engine.evaluateCounterOffer(finalRound, 2200);
+  assert.equal(above.decision, 'accept');
+  assert.equal(above.reason, 'Final round and the counter clears the margin floor');
+});
+
+test('counter-offers are answered in the quote currency', () => {
+  const quote = negotiableQuote({ quotedAmount: 2080, fx: { currency: 'EUR', rate: 0.8 } });
+
+  const evaluation = createEngine().evaluateCounterOffer(quote, 1840);
+
+  assert.equal(evaluation.floorPrice, 1728);
+  assert.equal(evaluation.decision, 'counter');
+  assert.equal(evaluation.basePrices.counter, 2300);
+  assert.equal(evaluation.basePrices.offer, 2600);
+  assert.equal(evaluation.suggestedPrice, Math.round(evaluation.basePrices.suggested * 0.8 * 100) / 100);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const FxRates = require('../services/fx-rates');
+const ExecutionContext = require('../services/execution-context');
+const { tempDir } = require('./helpers');
+
+const TABLE = { baseCurrency: 'USD', asOf: '2026-09-30T00:00:00Z', rates: { USD: 1, EUR: 0.8, JPY: 150 } };
+
+const writeTable = (t, table = TABLE) => {
+  const ratesFile = path.join(tempDir(t, 'freightiq-fx-'), 'fx-rates.json');
+  fs.writeFileSync(ratesFile, JSON.stringify(table));
+  return ratesFile;
+};
+
+const createRates = async (t, options = {}) => {
+  const fxRates = new FxRates({ ratesFile: writeTable(t), env: {}, ...options });
+  await fxRates.ready;
+  return fxRates;
+};
+
+const isFxError = (statusCode, pattern) => error =>
+  error instanceof FxRates.FxRateError && error.statusCode === statusCode && pattern.test(error.message);
+
+test('amounts convert through the base currency', async t => {
+  const fxRates = await createRates(t, { reportingCurrency: 'eur' });
+
+  assert.equal(fxRates.convert(100, 'USD', 'EUR'), 80);
+  assert.equal(fxRates.convert(80, 'EUR', 'JPY'), 15000);
+  assert.equal(fxRates.convert(1, 'JPY', 'USD'), 0.01);
+  assert.equal(fxRates.toReporting(2500), 2000);
+});
+
+test('a quote locks the rate it was issued at', async t => {
+  const fxRates = await createRates(t);
+  const context = new ExecutionContext({ deterministic: true, seed: 1, asOf: '2026-10-01T08:00:00Z' });
+
+  assert.deepEqual(await fxRates.lockRate('eur', context), {
+    baseCurrency: 'USD',
+    currency: 'EUR',
+    rate: 0.8,
+    ratesAsOf: '2026-09-30T00:00:00Z',
+    lockedAt: '2026-10-01T08:00:00.000Z'
+  });
+  await assert.rejects(fxRates.lockRate('CHF', context), isFxError(400, /Unsupported currency CHF/));
+  await assert.rejects(fxRates.lockRate(42, context), isFxError(400, /Unsupported currency 42/));
+});
+
+test('an invalid rate table is rejected and the loaded one kept', async t => {
+  const fxRates = await createRates(t);
+  const invalid = writeTable(t, { baseCurrency: 'USD', rates: { USD: 1, EUR: -1 } });
+
+  await assert.rejects(fxRates.loadRates(invalid), isFxError(422, /Invalid FX rate for EUR/));
+  await assert.rejects(fxRates.loadRates(path.join(path.dirname(invalid), 'missing.json')),
+    isFxError(422, /Could not read FX rate table/));
+  assert.equal(fxRates.getRate('EUR'), 0.8);
+});
+
+test('converted waterfalls still add up to the converted price', () => {
+  // Each third of 1000 rounds up at this rate, a cent too much in total
+  const rate = 1.2345;
+  const response = {
+    predictedPrice: 1000,
+    confidenceBand: { lower: 900, upper: 1100 },
+    marginRange: { absolute: 200, minMargin: 160, maxMargin: 240 },
+    priceOptimization: { referencePrice: 1000, cost: 800, optimalPrice: 1000, expectedMargin: 120, curve: [] },
+    breakdown: {
+      baseCost: 700,
+      surcharges: 100,
+      surchargeItems: [{ code: 'BAF', base: 700, amount: 33.33 }, { code: 'ISPS', base: 0, amount: 66.67 }],
+      mlPrediction: 300,
+      attribution: [333.33, 333.33, 333.34].map((amount, i) => ({ factor: `f${i}`, amount }))
+    }
+  };
+
+  const converted = FxRates.convertQuote(response, rate);
+  const sum = items => Math.round(items.reduce((total, item) => total + item.amount, 0) * 100) / 100;
+
+  assert.equal(converted.predictedPrice, 1234.5);
+  assert.deepEqual(converted.breakdown.attribution.map(item => item.amount), [411.5, 411.5, 411.5]);
+  assert.equal(sum(converted.breakdown.attribution), converted.predictedPrice);
+  assert.equal(sum(converted.breakdown.surchargeItems), converted.breakdown.surcharges);
+  assert.equal(FxRates.convertQuote(response, 1), response);
+});
+
+test('a rate table that fails to load at startup rejects ready', async t => {
+  const ratesFile = writeTable(t, { baseCurrency: 'USD', rates: { USD: 1 } });
+  const fxRates = new FxRates({ ratesFile, env: {}, reportingCurrency: 'EUR' });
+
+  await assert.rejects(fxRates.ready, isFxError(422, /no rate for reporting currency EUR/));
+  await assert.rejects(fxRates.lockRate('USD'), isFxError(422, /no rate for reporting currency EUR/));
+});
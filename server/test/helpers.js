@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ModelRegistry = require('../services/model-registry');
+const QuoteStore = require('../services/quote-store');
+const TrainingStore = require('../services/training-store');
+
+/**
+ * Scratch directory removed once the test finishes
+ */
+const tempDir = (t, prefix = 'freightiq-') => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const createQuoteStore = async t => {
+  const store = new QuoteStore({ dataFile: path.join(tempDir(t, 'freightiq-quotes-'), 'quotes.json') });
+  await store.ready;
+  return store;
+};
+
+const createModelRegistry = async t => {
+  const registry = new ModelRegistry({ modelsDir: path.join(tempDir(t, 'freightiq-models-'), 'models') });
+  await registry.ready;
+  return registry;
+};
+
+/**
+ * Training store on scratch files; options are passed to the constructor
+ */
+const createTrainingStore = async (t, options = {}) => {
+  const dir = tempDir(t, 'freightiq-training-');
+  const store = new TrainingStore({
+    dataFile: path.join(dir, 'training-data.json'),
+    analyticsFile: path.join(dir, 'analytics.json'),
+    ...options
+  });
+  await store.ready;
+  return store;
+};
+
+/**
+ * Save a minimal issued quote; fields override the top-level snapshot
+ */
+const issueQuote = (store, requestId, fields = {}) => store.saveQuote({
+  requestId,
+  request: { origin: 'Shanghai', destination: 'Los Angeles', cargoType: 'general', weight: 1000 },
+  prediction: {
+    price: 2500,
+    confidence: 0.9,
+    priceOptimization: { referencePrice: 2500, winProbability: 0.5, expectedMargin: 200, method: 'reference' },
+    features: {}
+  },
+  ...fields
+});
+
+module.exports = {
+  tempDir,
+  createModelRegistry,
+  createQuoteStore,
+  createTrainingStore,
+  issueQuote
+};
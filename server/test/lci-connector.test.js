@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const LCIConnector = require('../services/lci-connector');
+const ExecutionContext = require('../services/execution-context');
+
+const { ocean } = LCIConnector.MODE_MARKETS;
+const context = () => new ExecutionContext({ deterministic: true, seed: 'lci', asOf: '2026-10-01T12:00:00Z' });
+
+test("today's deviation from the seasonal norm halves every 21 days", () => {
+  const lci = new LCIConnector();
+  const now = moment.utc('2026-10-01');
+  const conditionsDate = moment.utc('2026-10-22');
+  const current = {
+    congestion: 0.85,
+    fuelPrice: LCIConnector.seasonal(now, ocean.fuel) + 40,
+    freightIndex: LCIConnector.seasonal(now, ocean.index) - 100,
+    weatherImpact: { event: 'storm', impact: 0.1 }
+  };
+
+  const projected = lci.projectMarketConditions(current, now, conditionsDate, ocean);
+
+  assert.equal(projected.congestion, 0.65);
+  assert.equal(projected.fuelPrice, Math.round((LCIConnector.seasonal(conditionsDate, ocean.fuel) + 20) * 100) / 100);
+  assert.equal(projected.freightIndex, Math.round((LCIConnector.seasonal(conditionsDate, ocean.index) - 50) * 100) / 100);
+  assert.deepEqual(projected.weatherImpact, { event: 'normal', impact: 0 });
+});
+
+test('only departures after today are priced on projected conditions', async () => {
+  const lci = new LCIConnector();
+  const request = { origin: 'Shanghai', destination: 'Los Angeles', cargoType: 'general' };
+
+  const forward = await lci.getMarketData({ ...request, departureDate: '2026-11-15' }, context());
+  assert.deepEqual(forward.projection, { horizonDays: 44, method: 'seasonal-mean-reversion', halfLifeDays: 21 });
+  assert.equal(forward.conditionsDate, '2026-11-15T00:00:00.000Z');
+
+  const spot = await lci.getMarketData({ ...request, departureDate: '2026-09-15' }, context());
+  assert.equal(spot.projection, null);
+  assert.equal(spot.conditionsDate, '2026-10-01T12:00:00.000Z');
+  assert.ok(forward.volatility > spot.volatility, 'projected conditions are less certain');
+});
+
+test('air and road are priced against their own fuel and freight index', async () => {
+  const request = { origin: 'Shanghai', destination: 'Los Angeles', cargoType: 'general', transportMode: 'air' };
+
+  const air = await new LCIConnector().getMarketData(request, context());
+
+  assert.equal(air.transportMode, 'air');
+  assert.equal(air.fuelSeries, 'Jet fuel (USD/bbl)');
+  assert.equal(air.freightIndexSeries, 'Air cargo index');
+  assert.equal(air.bunkerFuelPrice, null);
+  assert.equal(air.shanghaiIndex, null);
+});
+
+test('air and road lanes borrow no sea lane history or port congestion', async () => {
+  const lci = new LCIConnector();
+  const request = { origin: 'Shanghai', destination: 'Los Angeles', cargoType: 'general' };
+
+  const ocean = await lci.getMarketData(request, context());
+  const road = await lci.getMarketData({ ...request, transportMode: 'road' }, context());
+
+  assert.equal(ocean.routePopularity, 0.9);
+  assert.equal(road.routePopularity, 0.6);
+  assert.equal(road.congestionLevel, 0.45);
+});
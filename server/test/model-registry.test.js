@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ModelRegistry = require('../services/model-registry');
+const PricingModel = require('../services/pricing-model');
+const { createModelRegistry, tempDir } = require('./helpers');
+
+// Price regression that quotes `markup` times the total cost
+const trainedModel = markup => {
+  const model = new PricingModel();
+  model.fit(Array.from({ length: 30 }, (_, i) => ({
+    features: { logTotalCost: Math.log(1000 + i * 100) },
+    target: markup * (1000 + i * 100)
+  })));
+  return model;
+};
+
+const register = (registry, markup = 1.2) => registry.registerModel({ pricingModel: trainedModel(markup) });
+
+const rejects = (promise, statusCode, pattern) => assert.rejects(promise, error =>
+  error instanceof ModelRegistry.ModelRegistryError && error.statusCode === statusCode && pattern.test(error.message));
+
+test('trained models are registered as numbered candidates', async t => {
+  const registry = await createModelRegistry(t);
+
+  const first = await register(registry);
+  const second = await register(registry);
+
+  assert.equal(first.version, '2.0.0');
+  assert.equal(second.version, '2.0.1');
+  assert.equal(second.status, 'candidate');
+  assert.equal(second.sampleCount, 30);
+  assert.equal(await registry.getActiveVersion(), null);
+});
+
+test('promoting a version retires the active one', async t => {
+  const registry = await createModelRegistry(t);
+  await register(registry);
+  await register(registry);
+
+  await registry.promote('2.0.0');
+  await registry.promote('2.0.1', 'better holdout MAPE');
+
+  const { activeVersion, models, history } = await registry.listModels();
+  assert.equal(activeVersion, '2.0.1');
+  assert.deepEqual(models.map(model => [model.version, model.status]), [['2.0.1', 'active'], ['2.0.0', 'retired']]);
+  assert.deepEqual(history.map(activation => [activation.version, activation.previousVersion, activation.reason]), [
+    ['2.0.0', null, 'manual promotion'],
+    ['2.0.1', '2.0.0', 'better holdout MAPE']
+  ]);
+});
+
+test('repeated rollbacks walk back through the activation history', async t => {
+  const registry = await createModelRegistry(t);
+  await register(registry);
+  await register(registry);
+  await register(registry);
+  await registry.promote('2.0.0');
+  await registry.promote('2.0.1');
+  await registry.promote('2.0.2');
+
+  assert.equal((await registry.rollback()).version, '2.0.1');
+  assert.equal((await registry.rollback()).version, '2.0.0');
+  assert.equal(await registry.getActiveVersion(), '2.0.0');
+  await rejects(registry.rollback(), 409, /No previous model version/);
+});
+
+test('promoting an unknown or active version is rejected', async t => {
+  const registry = await createModelRegistry(t);
+  await register(registry);
+  await registry.promote('2.0.0');
+
+  await rejects(registry.promote('9.9.9'), 404, /Unknown model version 9.9.9/);
+  await rejects(registry.promote('2.0.0'), 409, /already active/);
+});
+
+test('versions that are not major.minor.patch never reach the file system', async t => {
+  const registry = await createModelRegistry(t);
+  await register(registry);
+
+  await rejects(registry.getModel('../registry'), 400, /Invalid model version \.\.\/registry/);
+  await rejects(registry.loadModel('../../../etc/passwd'), 400, /expected major\.minor\.patch/);
+  await rejects(registry.loadModel('2.0.0/../2.0.0'), 400, /Invalid model version/);
+});
+
+test('a registered version loads back with the model it was trained as', async t => {
+  const registry = await createModelRegistry(t);
+  const pricingModel = trainedModel(1.3);
+  await registry.registerModel({ pricingModel });
+
+  const { pricingModel: loaded, winProbabilityModel, calibrator } = await registry.loadModel('2.0.0');
+  const features = { logTotalCost: Math.log(2500) };
+  assert.equal(loaded.predict(features), pricingModel.predict(features));
+  assert.equal(winProbabilityModel, null);
+  assert.equal(calibrator, null);
+  await rejects(registry.loadModel('2.0.1'), 404, /artifact for version 2.0.1 not found/);
+});
+
+test('the model trained before the registry is imported as the active version', async t => {
+  const modelsDir = path.join(tempDir(t, 'freightiq-models-'), 'models');
+  fs.mkdirSync(modelsDir);
+  fs.writeFileSync(path.join(modelsDir, 'pricing-model.json'),
+    JSON.stringify({ version: '1.4.0', model: trainedModel(1.25).toJSON() }));
+
+  const registry = new ModelRegistry({ modelsDir });
+  await registry.ready;
+
+  assert.equal(await registry.getActiveVersion(), '1.4.0');
+  assert.ok((await registry.loadModel('1.4.0')).pricingModel.isTrained());
+  assert.equal((await register(registry)).version, '1.4.1');
+});
+
+test('a challenger must not be the champion and stops shadowing once promoted', async t => {
+  const registry = await createModelRegistry(t);
+  await register(registry);
+  await register(registry);
+  await registry.promote('2.0.0');
+
+  await rejects(registry.setChallenger('2.0.0'), 409, /is the active champion/);
+  await rejects(registry.setChallenger('9.9.9'), 404, /Unknown model version/);
+
+  await registry.setChallenger('2.0.1');
+  assert.equal(await registry.getChallengerVersion(), '2.0.1');
+  await registry.promote('2.0.1');
+  assert.equal(await registry.getChallengerVersion(), null);
+});
+
+test('a read-only registry leaves the file system untouched', async t => {
+  const modelsDir = path.join(tempDir(t, 'freightiq-models-'), 'models');
+  const registry = new ModelRegistry({ modelsDir, readOnly: true });
+  await registry.ready;
+
+  assert.equal(fs.existsSync(modelsDir), false);
+  assert.deepEqual((await registry.listModels()).models, []);
+  await assert.rejects(registry.getModel('2.0.0'), /Unknown model version 2.0.0/);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PortCatalog = require('../services/port-catalog');
+
+// West and East only connect through the passes: the northern one is
+// shorter than the southern one. Island has no sea lanes at all.
+const FIXTURE = {
+  regions: { west: 'West', east: 'East', north: 'North', island: 'Island' },
+  ports: [
+    { locode: 'AAWST', name: 'Westport', region: 'west', latitude: 0, longitude: 0 },
+    { locode: 'AAWS2', name: 'Westhaven', region: 'west', latitude: 5, longitude: 5 },
+    { locode: 'BBEST', name: 'Eastport', region: 'east', latitude: 0, longitude: 40 },
+    { locode: 'CCNTH', name: 'Northport', region: 'north', latitude: 30, longitude: 0 },
+    { locode: 'DDISL', name: 'Island Harbour', region: 'island', latitude: -40, longitude: 60 }
+  ],
+  waypoints: [
+    { id: 'NORTH_PASS', name: 'North Pass', latitude: 10, longitude: 20, regions: ['west'], links: ['EAST_GATE'] },
+    { id: 'SOUTH_PASS', name: 'South Pass', latitude: -30, longitude: 20, regions: ['west'], links: ['EAST_GATE'] },
+    {
+      id: 'EAST_GATE',
+      name: 'East Gate',
+      latitude: 0,
+      longitude: 35,
+      regions: ['east'],
+      links: ['NORTH_PASS', 'SOUTH_PASS']
+    }
+  ],
+  regionLinks: [['west', 'north']]
+};
+
+const loadFixture = async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'freightiq-ports-'));
+  const catalogFile = path.join(dir, 'ports.json');
+  fs.writeFileSync(catalogFile, JSON.stringify(FIXTURE));
+
+  const catalog = new PortCatalog({ catalogFile });
+  await catalog.ready;
+  fs.rmSync(dir, { recursive: true, force: true });
+  return catalog;
+};
+
+const point = id => FIXTURE.ports.find(port => port.locode === id) ||
+  FIXTURE.waypoints.find(waypoint => waypoint.id === id);
+
+const pathKm = (...ids) => ids.slice(1).reduce((sum, id, i) =>
+  sum + PortCatalog.greatCircleKm(point(ids[i]), point(id)), 0);
+
+test('ports in the same region sail direct', async () => {
+  const catalog = await loadFixture();
+  const distance = catalog.getDistance('AAWST', 'AAWS2');
+
+  assert.equal(distance.method, 'sea-route');
+  assert.deepEqual(distance.via, []);
+  assert.equal(distance.distanceKm, Math.round(pathKm('AAWST', 'AAWS2')));
+});
+
+test('linked regions sail direct in both directions', async () => {
+  const catalog = await loadFixture();
+
+  assert.deepEqual(catalog.getDistance('AAWST', 'CCNTH').via, []);
+  assert.deepEqual(catalog.getDistance('CCNTH', 'AAWST').via, []);
+});
+
+test('Dijkstra takes the shortest chain of waypoints', async () => {
+  const catalog = await loadFixture();
+  const distance = catalog.getDistance('AAWST', 'BBEST');
+
+  assert.equal(distance.method, 'sea-route');
+  assert.deepEqual(distance.via, ['North Pass', 'East Gate']);
+  assert.equal(distance.distanceKm, Math.round(pathKm('AAWST', 'NORTH_PASS', 'EAST_GATE', 'BBEST')));
+  assert.ok(distance.distanceKm < pathKm('AAWST', 'SOUTH_PASS', 'EAST_GATE', 'BBEST'));
+  assert.ok(distance.distanceKm > distance.greatCircleKm);
+});
+
+test('ports without a sea path fall back to the great-circle distance', async () => {
+  const catalog = await loadFixture();
+  const distance = catalog.getDistance('Westport', 'Island Harbour');
+
+  assert.equal(distance.method, 'great-circle');
+  assert.deepEqual(distance.via, []);
+  assert.equal(distance.distanceKm, distance.greatCircleKm);
+});
+
+test('unknown ports are rejected', async () => {
+  const catalog = await loadFixture();
+
+  assert.throws(() => catalog.getDistance('AAWST', 'ZZZZZ'), error =>
+    error instanceof PortCatalog.PortCatalogError && error.statusCode === 400);
+});
+
+test('the shipped catalog routes Shanghai to Rotterdam through Suez', async () => {
+  const catalog = new PortCatalog({ env: {} });
+  await catalog.ready;
+  const distance = catalog.getDistance('CNSHA', 'NLRTM');
+
+  assert.equal(distance.method, 'sea-route');
+  assert.ok(distance.via.includes('Singapore Strait'));
+  assert.ok(distance.via.includes('Suez Canal'));
+  assert.ok(distance.via.indexOf('Singapore Strait') < distance.via.indexOf('Suez Canal'));
+});
+
+const shippedCatalog = async () => {
+  const catalog = new PortCatalog({ env: {} });
+  await catalog.ready;
+  return catalog;
+};
+
+test('the direct service comes first, then hub routings by distance', async () => {
+  const catalog = await shippedCatalog();
+  const [direct, ...transshipments] = catalog.findRoutings('CNSHA', 'USLAX');
+
+  assert.equal(direct.id, 'CNSHA-USLAX');
+  assert.equal(direct.type, 'direct');
+  assert.ok(transshipments.length > 0);
+  transshipments.forEach(routing => {
+    assert.equal(routing.type, 'transshipment');
+    assert.equal(routing.hubs.length, 1);
+    assert.ok(routing.distanceKm <= direct.distanceKm * 1.75, `${routing.id} is not a detour`);
+  });
+  assert.deepEqual(transshipments.map(routing => routing.distanceKm),
+    [...transshipments.map(routing => routing.distanceKm)].sort((a, b) => a - b));
+});
+
+test('short hops are never transshipped', async () => {
+  const catalog = await shippedCatalog();
+
+  assert.deepEqual(catalog.findRoutings('CNSHA', 'KRPUS').map(routing => routing.id), ['CNSHA-KRPUS']);
+});
+
+test('a routing sails its legs and dwells at each hub', async () => {
+  const catalog = await shippedCatalog();
+  const routing = catalog.buildRouting([catalog.requirePort('CNSHA'), catalog.requirePort('SGSIN'),
+    catalog.requirePort('NLRTM')]);
+
+  const sailed = routing.legs.reduce((sum, leg) => sum + leg.distanceKm, 0);
+  const dwell = routing.hubs.reduce((sum, hub) => sum + hub.transshipmentDays, 0);
+  assert.equal(routing.id, 'CNSHA-SGSIN-NLRTM');
+  assert.deepEqual(routing.legs.map(leg => leg.to.name), ['Singapore', 'Rotterdam']);
+  assert.equal(routing.distanceKm, sailed);
+  assert.equal(routing.transitDays, Math.ceil(sailed / 700 + dwell));
+});
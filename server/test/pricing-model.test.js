@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PricingModel = require('../services/pricing-model');
+
+const close = (actual, expected, tolerance, message) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+};
+
+test('solveLinearSystem solves a system that needs pivoting', () => {
+  // The first pivot is zero, so elimination must swap rows
+  const matrix = [
+    [0, 2, 1],
+    [1, 1, 1],
+    [2, 1, 3]
+  ];
+  const expected = [1, -2, 3];
+  const vector = matrix.map(row => row.reduce((sum, value, j) => sum + value * expected[j], 0));
+
+  const solution = PricingModel.solveLinearSystem(matrix, vector);
+  solution.forEach((value, j) => close(value, expected[j], 1e-9, `x${j}`));
+});
+
+test('solveLinearSystem leaves its inputs untouched', () => {
+  const matrix = [[4, 1], [1, 3]];
+  const vector = [1, 2];
+  PricingModel.solveLinearSystem(matrix, vector);
+
+  assert.deepEqual(matrix, [[4, 1], [1, 3]]);
+  assert.deepEqual(vector, [1, 2]);
+});
+
+test('fit recovers a log-linear price function', () => {
+  const model = new PricingModel({ lambda: 1e-6 });
+  const samples = [];
+  for (let i = 0; i < 60; i++) {
+    const logTotalCost = Math.log(1000 + i * 150);
+    const hazardous = i % 3 === 0 ? 1 : 0;
+    const congestionLevel = (i % 7) / 10;
+    samples.push({
+      features: { logTotalCost, cargo_hazardous: hazardous, congestionLevel },
+      target: Math.exp(0.4 + 0.95 * logTotalCost + 0.12 * hazardous + 0.2 * congestionLevel)
+    });
+  }
+
+  const result = model.fit(samples);
+  assert.equal(result.success, true);
+  assert.equal(result.samples, 60);
+  close(result.metrics.mape, 0, 0.01, 'training MAPE');
+
+  const features = { logTotalCost: Math.log(5000), cargo_hazardous: 1, congestionLevel: 0.5 };
+  const expected = Math.exp(0.4 + 0.95 * Math.log(5000) + 0.12 + 0.1);
+  close(model.predict(features), expected, expected * 1e-4, 'price');
+});
+
+test('fit refuses too few samples and the model stays untrained', () => {
+  const model = new PricingModel({ minSamples: 20 });
+  const samples = Array.from({ length: 5 }, () => ({ features: { logTotalCost: 7 }, target: 1500 }));
+
+  const result = model.fit(samples);
+  assert.equal(result.success, false);
+  assert.match(result.reason, /Not enough training samples \(5\/20\)/);
+  assert.equal(model.predict({ logTotalCost: 7 }), null);
+});
+
+test('a fitted model survives a JSON round trip', () => {
+  const model = new PricingModel();
+  model.fit(Array.from({ length: 30 }, (_, i) => ({
+    features: { logTotalCost: Math.log(1000 + i * 100) },
+    target: 1.2 * (1000 + i * 100)
+  })));
+
+  const restored = PricingModel.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+  const features = { logTotalCost: Math.log(2500) };
+  assert.equal(restored.predict(features), model.predict(features));
+});
+
+test('declines train towards a discounted price unless they say nothing about price', () => {
+  const model = new PricingModel({ declineDiscount: 0.9, declineWeight: 0.5 });
+  const features = { logTotalCost: 7 };
+  const quote = { negotiation: { rounds: [{ round: 1, decision: 'accept' }] } };
+
+  const samples = model.buildSamples({
+    bookings: [
+      { features, finalPrice: '2500', quote },
+      { features: null, finalPrice: 2500, quote }
+    ],
+    declines: [
+      { features, quotedPrice: 3000, reason: 'price' },
+      { features, quotedPrice: 3000, reason: 'capacity', competitorPrice: 2000 },
+      { features, quotedPrice: 3000, reason: 'Customer found it too expensive' }
+    ]
+  });
+
+  assert.deepEqual(samples, [
+    { features, target: 2500, weight: 1.0 },
+    { features, target: 2700, weight: 0.5 },
+    { features, target: 2700, weight: 0.5 }
+  ]);
+});
+
+test('captured competitor prices are a feature against our cost', () => {
+  const params = {
+    costData: { totalCost: 2000 },
+    marketData: {},
+    cargoType: 'general',
+    weight: 5000,
+    volume: 10
+  };
+
+  const unknown = PricingModel.buildFeatures(params);
+  assert.equal(unknown.competitorPriceKnown, 0);
+  assert.equal(unknown.logCompetitorPriceRatio, 0);
+
+  // A median of 500 per revenue ton on 10 m³ (it outweighs 5 t) is 5000
+  // against a cost of 2000
+  const benchmark = { competitorMedianRate: 500 };
+  const known = PricingModel.buildFeatures({ ...params, marketData: { benchmark } });
+  assert.equal(known.competitorPriceKnown, 1);
+  close(known.logCompetitorPriceRatio, Math.log(5000 / 2000), 1e-12, 'log competitor price ratio');
+});
+
+test('competitor rates are scaled by the freight basis of the quote', () => {
+  const marketData = { benchmark: { competitorMedianRate: 1500 } };
+  const ratio = costData => PricingModel.buildFeatures({
+    costData: { totalCost: 2000, ...costData },
+    marketData,
+    cargoType: 'general',
+    weight: 20000,
+    volume: 60
+  }).logCompetitorPriceRatio;
+
+  // Two containers at 1500 each, whatever they weigh
+  close(ratio({ transportMode: 'ocean', freightBasis: { mode: 'FCL', containerCount: 2 } }),
+    Math.log(3000 / 2000), 1e-12, 'FCL');
+  // 60 m³ by air is 10,000 volumetric kg, less than the 20,000 kg actual
+  close(ratio({ transportMode: 'air', freightBasis: { mode: 'LOOSE' } }),
+    Math.log(1500 * 20000 / 2000), 1e-12, 'air');
+});
+
+test('bookings confirmed at the quoted price are not training targets', () => {
+  const model = new PricingModel();
+  const features = { logTotalCost: 7 };
+
+  const samples = model.buildSamples({
+    bookings: [
+      { features, finalPrice: 2500, quote: { negotiation: null } },
+      { features, finalPrice: 2400, quote: { negotiation: { rounds: [{ round: 1, decision: 'accept' }] } } }
+    ],
+    declines: []
+  });
+
+  assert.deepEqual(samples, [{ features, target: 2400, weight: 1.0 }]);
+});
@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const moment = require('moment');
+const QuoteStore = require('../services/quote-store');
+const { createQuoteStore, issueQuote } = require('./helpers');
+
+const rejects = (promise, statusCode, pattern) => assert.rejects(promise, error =>
+  error instanceof QuoteStore.QuoteStoreError && error.statusCode === statusCode && pattern.test(error.message));
+
+test('a quote moves from issued through viewed to booked', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+
+  await store.markViewed('q1');
+  const quote = await store.bookQuote('q1', 2500, { bookingId: 'b1' });
+
+  assert.equal(quote.status, 'booked');
+  assert.deepEqual(quote.statusHistory.map(entry => entry.status), ['issued', 'viewed', 'booked']);
+  assert.equal(quote.statusHistory[2].finalPrice, 2500);
+});
+
+test('viewing a viewed quote only moves lastViewedAt', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+
+  await store.markViewed('q1');
+  const quote = await store.markViewed('q1');
+
+  assert.equal(quote.status, 'viewed');
+  assert.deepEqual(quote.statusHistory.map(entry => entry.status), ['issued', 'viewed']);
+  assert.ok(quote.lastViewedAt);
+});
+
+test('final statuses cannot be left', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+  await store.transition('q1', 'declined');
+
+  await rejects(store.transition('q1', 'booked'), 409, /is declined and cannot be booked/);
+  await rejects(store.markViewed('q1'), 409, /is declined and cannot be viewed/);
+});
+
+test('a booked quote can only be cancelled', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+  await store.bookQuote('q1', 2500);
+
+  await rejects(store.transition('q1', 'declined'), 409, /is booked and cannot be declined/);
+  const quote = await store.transition('q1', 'cancelled');
+  assert.equal(quote.status, 'cancelled');
+});
+
+test('a quote can only be booked at the offered amount', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+
+  await rejects(store.bookQuote('q1', 2400), 422, /does not match quoted price 2500/);
+  assert.equal((await store.getQuote('q1')).status, 'issued');
+});
+
+test('a re-quote supersedes the open quote it replaces', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+  await issueQuote(store, 'q2', { supersedesRequestId: 'q1' });
+
+  const original = await store.getQuote('q1');
+  assert.equal(original.status, 'superseded');
+  assert.equal(original.supersededBy, 'q2');
+  await rejects(issueQuote(store, 'q3', { supersedesRequestId: 'q1' }), 409, /is superseded and cannot be superseded/);
+});
+
+test('open quotes expire once past their expiry', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+
+  const data = await store.loadQuotes();
+  data.quotes.q1.expiresAt = moment().subtract(1, 'minute').toISOString();
+  await store.saveQuotes(data);
+
+  assert.equal((await store.getQuote('q1')).status, 'expired');
+  await rejects(store.bookQuote('q1', 2500), 410, /expired at/);
+});
+
+test('reading a lapsed quote leaves the stored quote untouched', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+
+  const data = await store.loadQuotes();
+  data.quotes.q1.expiresAt = moment().subtract(1, 'minute').toISOString();
+  await store.saveQuotes(data);
+
+  assert.equal((await store.getQuotes())[0].status, 'expired');
+  const stored = JSON.parse(fs.readFileSync(store.dataFile, 'utf8'));
+  assert.equal(stored.quotes.q1.status, 'issued');
+});
+
+test('concurrent writes all reach the file', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+
+  await Promise.all([
+    issueQuote(store, 'q2'),
+    issueQuote(store, 'q3'),
+    store.markViewed('q1'),
+    store.getQuotes(),
+    issueQuote(store, 'q4')
+  ]);
+
+  const quotes = await store.getQuotes();
+  assert.deepEqual(quotes.map(quote => quote.requestId).sort(), ['q1', 'q2', 'q3', 'q4']);
+  assert.equal((await store.getQuote('q1')).status, 'viewed');
+});
+
+test('a failed write does not hold up the ones queued behind it', async t => {
+  const store = await createQuoteStore(t);
+
+  const results = await Promise.allSettled([store.markViewed('missing'), issueQuote(store, 'q1')]);
+  assert.equal(results[0].status, 'rejected');
+  assert.equal((await store.getQuote('q1')).status, 'issued');
+});
+
+test('a corrupt store fails loudly instead of reading as empty', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+  fs.writeFileSync(store.dataFile, '{"quotes": {');
+
+  await assert.rejects(store.getQuotes(), /is not valid JSON/);
+  await assert.rejects(issueQuote(store, 'q2'), /is not valid JSON/);
+  assert.equal(fs.readFileSync(store.dataFile, 'utf8'), '{"quotes": {');
+});
+
+test('unknown quotes are a 404', async t => {
+  const store = await createQuoteStore(t);
+
+  await rejects(store.transition('missing', 'viewed'), 404, /Unknown quote missing/);
+});
+
+const searchable = async t => {
+  const store = await createQuoteStore(t);
+  const quote = (requestId, customerId, price, cargoType = 'general') => issueQuote(store, requestId, {
+    request: { origin: 'Shanghai', destination: 'Los Angeles', cargoType, weight: 1000, customerId },
+    prediction: {
+      price,
+      confidence: 0.9,
+      priceOptimization: { referencePrice: price, winProbability: 0.5, expectedMargin: 200, method: 'reference' },
+      features: {}
+    }
+  });
+  await quote('q1', 'ACME', 1500);
+  await quote('q2', 'ACME', 3200, 'hazardous');
+  await quote('q3', 'ZETA', 2100);
+  await quote('q4', 'ACME', 2800);
+  await store.transition('q4', 'declined');
+  return store;
+};
+
+test('quotes are searched by customer, status, cargo and price', async t => {
+  const store = await searchable(t);
+  const ids = async query => (await store.searchQuotes(query)).quotes.map(quote => quote.requestId).sort();
+
+  assert.deepEqual(await ids({ customerId: 'ACME' }), ['q1', 'q2', 'q4']);
+  assert.deepEqual(await ids({ customerId: 'ACME', status: 'issued' }), ['q1', 'q2']);
+  assert.deepEqual(await ids({ status: 'issued,declined', cargoType: 'general' }), ['q1', 'q3', 'q4']);
+  assert.deepEqual(await ids({ minPrice: '2000', maxPrice: '3000' }), ['q3', 'q4']);
+});
+
+test('search results are sorted and paged', async t => {
+  const store = await searchable(t);
+
+  const firstPage = await store.searchQuotes({ sortBy: 'predictedPrice', order: 'asc', pageSize: '3' });
+  assert.deepEqual(firstPage.quotes.map(quote => quote.predictedPrice), [1500, 2100, 2800]);
+  assert.equal(firstPage.total, 4);
+  assert.equal(firstPage.totalPages, 2);
+
+  const secondPage = await store.searchQuotes({ sortBy: 'predictedPrice', order: 'asc', pageSize: '3', page: '2' });
+  assert.deepEqual(secondPage.quotes.map(quote => quote.predictedPrice), [3200]);
+});
+
+test('invalid search parameters are a 400', async t => {
+  const store = await createQuoteStore(t);
+
+  await rejects(store.searchQuotes({ status: 'issued,lost' }), 400, /Invalid status lost/);
+  await rejects(store.searchQuotes({ sortBy: 'lane' }), 400, /Invalid sortBy lane/);
+  await rejects(store.searchQuotes({ from: '1st of May' }), 400, /from must be an ISO 8601 date/);
+  await rejects(store.searchQuotes({ minPrice: 'cheap' }), 400, /minPrice must be a number/);
+  await rejects(store.searchQuotes({ page: '0' }), 400, /positive integers/);
+});
+
+const counter = (decision, currentOffer, round = 1) => () => ({
+  round,
+  finalRound: false,
+  decision,
+  currentOffer,
+  basePrices: { currentOffer }
+});
+
+test('a quote can only be booked at the negotiated offer', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+
+  await store.recordCounterOffer('q1', { price: 2200 }, counter('counter', 2400));
+  const quote = await store.recordCounterOffer('q1', { price: 2350, party: 'customer' }, counter('accept', 2350, 2));
+
+  assert.equal(quote.negotiation.status, 'agreed');
+  assert.deepEqual(quote.negotiation.rounds.map(round => round.decision), ['counter', 'accept']);
+  assert.equal(QuoteStore.summarize(quote).currentOffer, 2350);
+  await rejects(store.recordCounterOffer('q1', { price: 2300 }, counter('accept', 2300)), 409,
+    /already accepted on quote q1; book at 2350 USD/);
+  await rejects(store.bookQuote('q1', 2500), 422, /does not match quoted price 2350/);
+  assert.equal((await store.bookQuote('q1', 2350)).status, 'booked');
+});
+
+test('counter-offers need a positive price from a known party on an open quote', async t => {
+  const store = await createQuoteStore(t);
+  await issueQuote(store, 'q1');
+
+  await rejects(store.recordCounterOffer('q1', { price: 'less' }, counter('accept', 0)), 400, /positive number/);
+  await rejects(store.recordCounterOffer('q1', { price: 2300, party: 'broker' }, counter('accept', 2300)), 400,
+    /Invalid party broker/);
+  await store.transition('q1', 'declined');
+  await rejects(store.recordCounterOffer('q1', { price: 2300 }, counter('accept', 2300)), 409,
+    /is declined and cannot be negotiated/);
+});
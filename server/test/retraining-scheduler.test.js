@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const moment = require('moment');
+const RetrainingScheduler = require('../services/retraining-scheduler');
+const FreightIQEngine = require('../services/freightiq-engine');
+const { createModelRegistry, tempDir } = require('./helpers');
+
+// Negotiated bookings that settled at 1.3× cost on quotes of 1.6× cost
+const outcomes = (count, { negotiated = true } = {}) => ({
+  bookings: Array.from({ length: count }, (_, i) => {
+    const cost = 1000 + (i % 20) * 150;
+    return {
+      requestId: `q${i}`,
+      features: { logTotalCost: Math.log(cost) },
+      quotedPrice: cost * 1.6,
+      finalPrice: cost * 1.3,
+      quote: {
+        negotiation: negotiated ?
+          { rounds: [{ decision: 'accept', basePrices: { cost, counter: cost * 1.3, offer: cost * 1.6 } }] } :
+          null
+      },
+      loggedAt: moment('2026-09-01').add(i, 'hours').toISOString()
+    };
+  }),
+  declines: [],
+  totalRecords: count
+});
+
+const createScheduler = async (t, trainingData) => {
+  const modelRegistry = await createModelRegistry(t);
+  const freightIQEngine = new FreightIQEngine({ simulateLatency: false, modelRegistry });
+  const scheduler = new RetrainingScheduler({
+    trainingStore: { getRetrainingData: async () => trainingData },
+    freightIQEngine,
+    modelRegistry,
+    dataFile: path.join(tempDir(t, 'freightiq-retraining-'), 'retraining-runs.json'),
+    env: {}
+  });
+  await scheduler.ready;
+  return { scheduler, modelRegistry, freightIQEngine };
+};
+
+test('the most recent outcomes are held out', async t => {
+  const { scheduler } = await createScheduler(t, outcomes(0));
+  const trainingData = outcomes(10);
+  trainingData.bookings.reverse();
+
+  const { train, holdout } = scheduler.splitHoldout(trainingData);
+
+  assert.equal(train.totalRecords, 8);
+  assert.deepEqual(holdout.bookings.map(booking => booking.requestId), ['q8', 'q9']);
+});
+
+test('a candidate that beats the quoted prices on the holdout is promoted', async t => {
+  const { scheduler, modelRegistry, freightIQEngine } = await createScheduler(t, outcomes(100));
+
+  const run = await scheduler.run('manual');
+
+  assert.equal(run.status, 'promoted');
+  assert.equal(run.candidateVersion, '2.0.0');
+  assert.equal(run.holdoutRecords, 20);
+  assert.ok(run.metrics.candidate.mape < 1);
+  assert.ok(run.metrics.active.mape > 20);
+  assert.equal(await modelRegistry.getActiveVersion(), '2.0.0');
+  assert.equal(freightIQEngine.modelVersion, '2.0.0');
+});
+
+test('a candidate no better than the active model stays a candidate', async t => {
+  const { scheduler, modelRegistry } = await createScheduler(t, outcomes(100));
+  await scheduler.run('manual');
+
+  const run = await scheduler.run('outcomes');
+
+  assert.equal(run.status, 'rejected');
+  assert.equal(run.activeVersion, '2.0.0');
+  assert.match(run.reason, /does not beat the active model by 2%/);
+  assert.equal((await modelRegistry.getModel('2.0.1')).status, 'candidate');
+  assert.equal(await modelRegistry.getActiveVersion(), '2.0.0');
+  assert.deepEqual((await scheduler.getRuns()).map(entry => entry.status), ['rejected', 'promoted']);
+});
+
+test('bookings taken at the quoted price do not count towards the holdout', async t => {
+  const { scheduler, modelRegistry } = await createScheduler(t, outcomes(100, { negotiated: false }));
+
+  const run = await scheduler.run('manual');
+
+  assert.equal(run.status, 'skipped');
+  assert.match(run.reason, /Not enough negotiated holdout bookings \(0\/10\)/);
+  assert.deepEqual((await modelRegistry.listModels()).models, []);
+});
@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RMSConnector = require('../services/rms-connector');
+const PortCatalog = require('../services/port-catalog');
+const ExecutionContext = require('../services/execution-context');
+
+const context = () => new ExecutionContext({ deterministic: true, seed: 'rms', asOf: '2026-10-01T08:00:00Z' });
+
+const withCatalog = async () => {
+  const portCatalog = new PortCatalog({ env: {} });
+  await portCatalog.ready;
+  return new RMSConnector({ portCatalog });
+};
+
+const isRMSError = pattern => error =>
+  error instanceof RMSConnector.RMSError && error.statusCode === 400 && pattern.test(error.message);
+
+const shipment = (params, cargoType = 'general') => RMSConnector.validateShipment({ cargoType, ...params });
+
+test('routings are ranked by cost or by transit time', () => {
+  const routings = [
+    { id: 'slow-cheap', totalCost: 1000, transitDays: 30 },
+    { id: 'fast-dear', totalCost: 1400, transitDays: 20 },
+    { id: 'fast-cheap', totalCost: 1200, transitDays: 20 }
+  ];
+  const rank = preference => [...routings].sort(RMSConnector.compareRoutings(preference)).map(routing => routing.id);
+
+  assert.deepEqual(rank('cheapest'), ['slow-cheap', 'fast-cheap', 'fast-dear']);
+  assert.deepEqual(rank('fastest'), ['fast-cheap', 'fast-dear', 'slow-cheap']);
+});
+
+test('the preferred routing is quoted and the others offered as alternatives', async () => {
+  const rms = await withCatalog();
+  const request = { origin: 'Shanghai', destination: 'Rotterdam', cargoType: 'general', weight: 1000, volume: 2 };
+
+  const cheapest = await rms.getCostData(request, context());
+  assert.ok(cheapest.alternatives.length > 0);
+  cheapest.alternatives.forEach(alternative => assert.ok(alternative.totalCost >= cheapest.totalCost));
+
+  const fastest = await rms.getCostData({ ...request, routingPreference: 'fastest' }, context());
+  fastest.alternatives.forEach(alternative => assert.ok(alternative.transitDays >= fastest.routing.transitDays));
+});
+
+test('cargo routed via a hub pays its handling charge', async () => {
+  const rms = await withCatalog();
+
+  const costData = await rms.getCostData({
+    origin: 'Shanghai',
+    destination: 'Rotterdam',
+    cargoType: 'general',
+    weight: 1000,
+    volume: 2,
+    via: ['Singapore']
+  }, context());
+
+  // 2 revenue tons at 6 per ton is under Singapore's minimum of 90
+  assert.equal(costData.routing.type, 'transshipment');
+  assert.deepEqual(costData.routing.hubs.map(hub => [hub.locode, hub.handlingCharge]), [['SGSIN', 90]]);
+  assert.equal(costData.routing.handlingCharges, 90);
+  assert.deepEqual(costData.alternatives, []);
+});
+
+test('LCL is charged on the greater of weight and measure', () => {
+  const rms = new RMSConnector();
+  const tariff = { perRevenueTon: 150 };
+
+  const byMeasure = rms.calculateFreightBasis(shipment({ weight: 1200, volume: 3 }), tariff);
+  assert.equal(byMeasure.basis, 'measure');
+  assert.equal(byMeasure.revenueTons, 3);
+  assert.equal(byMeasure.amount, 450);
+
+  const byWeight = rms.calculateFreightBasis(shipment({ weight: 2500, volume: 1 }), tariff);
+  assert.equal(byWeight.basis, 'weight');
+  assert.equal(byWeight.amount, 375);
+});
+
+test('FCL is charged per container at the mainline rate for its type', async () => {
+  const rms = new RMSConnector();
+  const fcl = shipment({ shipmentMode: 'fcl', containerType: '40hc', containerCount: 2, weight: 20000, volume: 100 });
+  const [routing] = await rms.getRoutings('Shanghai', 'Los Angeles');
+
+  const { freightBasis, freightCost } = rms.calculateBaseCost(routing, fcl);
+
+  // Contracted 2200 per 40' box, 8% more for a high cube; each box is
+  // moved the lane's 10,000 km
+  assert.equal(freightBasis.rate, 2376);
+  assert.equal(freightBasis.amount, 4752);
+  assert.equal(freightBasis.teu, 4);
+  assert.equal(freightCost, 0.15 * 10000 * 2 + 4752);
+  assert.equal(rms.calculateTransshipmentCharge('SGSIN', freightBasis), 4 * 65);
+});
+
+test('FCL shipments must fit the containers booked', () => {
+  assert.throws(() => shipment({ shipmentMode: 'FCL', weight: 1000 }), isRMSError(/need a containerType/));
+  assert.throws(() => shipment({ shipmentMode: 'FCL', containerType: 40, weight: 1000 }),
+    isRMSError(/need a containerType/));
+  assert.throws(() => shipment({ shipmentMode: 'FCL', containerType: '40GP', weight: 30000 }),
+    isRMSError(/need at least 2 × 40GP/));
+  assert.throws(() => shipment({ shipmentMode: 'FCL', containerType: '40GP', weight: 1000 }, 'refrigerated'),
+    isRMSError(/needs a reefer container/));
+  assert.throws(() => shipment({ shipmentMode: 'FCL', containerType: '20GP', containerCount: 1.5, weight: 1000 }),
+    isRMSError(/whole number/));
+  assert.deepEqual(shipment({ shipmentMode: 'FCL', containerType: '20GP', containerCount: '2', weight: 30000 }),
+    { transportMode: 'ocean', mode: 'FCL', weight: 30000, volume: 0, containerType: '20GP', containerCount: 2 });
+});
+
+test('shipments need a known mode and a positive weight', () => {
+  assert.deepEqual(shipment({ weight: '800', volume: '2.5' }),
+    { transportMode: 'ocean', mode: 'LCL', weight: 800, volume: 2.5 });
+  assert.throws(() => shipment({ transportMode: 'rail', weight: 800 }), isRMSError(/Invalid transportMode rail/));
+  assert.throws(() => shipment({ transportMode: 1, weight: 800 }), isRMSError(/Invalid transportMode 1/));
+  assert.equal(shipment({ transportMode: 'AIR', weight: 800 }).transportMode, 'air');
+  assert.throws(() => shipment({ transportMode: 'air', shipmentMode: 'FCL', weight: 800 }),
+    isRMSError(/Invalid shipmentMode FCL for air/));
+  assert.throws(() => shipment({ shipmentMode: ['FCL'], weight: 800 }), isRMSError(/Invalid shipmentMode FCL/));
+  assert.throws(() => shipment({ weight: 'heavy' }), isRMSError(/Invalid weight heavy/));
+  assert.throws(() => shipment({ weight: 800, volume: -1 }), isRMSError(/Invalid volume -1/));
+});
+
+test('air freight is charged on the cheapest weight break', () => {
+  const rms = new RMSConnector();
+  const air = params => shipment({ transportMode: 'air', ...params });
+
+  // 0.3 m³ is 50 kg volumetric, inside the +45 break
+  const volumetric = rms.calculateAirFreight(air({ weight: 40, volume: 0.3 }), 8000);
+  assert.equal(volumetric.basis, 'measure');
+  assert.equal(volumetric.chargeableWeightKg, 50);
+  assert.equal(volumetric.weightBreakKg, 45);
+  assert.equal(volumetric.amount, 255);
+
+  // 90 kg at the +45 rate costs more than 100 kg at the +100 rate
+  const nextBreak = rms.calculateAirFreight(air({ weight: 90 }), 8000);
+  assert.equal(nextBreak.weightBreakKg, 100);
+  assert.equal(nextBreak.amount, 430);
+
+  const minimum = rms.calculateAirFreight(air({ weight: 5 }), 8000);
+  assert.equal(minimum.minimumApplied, true);
+  assert.equal(minimum.amount, 95);
+});
+
+test('road freight is charged per truck or per ton-km', () => {
+  const rms = new RMSConnector();
+
+  const ftl = rms.calculateRoadFreight(shipment({ transportMode: 'road', shipmentMode: 'FTL', truckCount: 2,
+    weight: 30000 }), 200);
+  // 200 km at 1.75 is under the 450 minimum per truck
+  assert.equal(ftl.truckCount, 2);
+  assert.equal(ftl.amount, 900);
+  assert.throws(() => shipment({ transportMode: 'road', shipmentMode: 'FTL', truckCount: 1, weight: 30000 }),
+    isRMSError(/need at least 2 trucks/));
+
+  // 9 m³ stows as 2997 kg, more than the 2000 kg it weighs
+  const ltl = rms.calculateRoadFreight(shipment({ transportMode: 'road', weight: 2000, volume: 9 }), 500);
+  assert.equal(ltl.basis, 'measure');
+  assert.equal(ltl.amount, 164.84);
+
+  const minimum = rms.calculateRoadFreight(shipment({ transportMode: 'road', weight: 100 }), 500);
+  assert.equal(minimum.amount, 95);
+});
+
+test('surcharges carry the codes of their transport mode', () => {
+  const rms = new RMSConnector();
+  const codes = params => rms.calculateSurcharges({ baseCost: 1000, weight: 1500, ...params })
+    .map(surcharge => [surcharge.code, surcharge.amount]);
+
+  assert.deepEqual(codes({ cargoType: 'hazardous', transportMode: 'ocean', shipmentMode: 'LCL' }),
+    [['BAF', 80], ['ISPS', 20], ['IMO', 150], ['HEA', 50]]);
+  assert.deepEqual(codes({ cargoType: 'hazardous', transportMode: 'air', shipmentMode: 'LOOSE', serviceType: 'express' }),
+    [['FSC', 80], ['SSC', 20], ['DGR', 150], ['HEA', 50], ['PSS', 200]]);
+  assert.deepEqual(codes({ cargoType: 'refrigerated', transportMode: 'road', weight: 500 }),
+    [['FSC', 80], ['REEFER', 120]]);
+});
+
+test('full containers and trucks pay no heavy cargo surcharge', () => {
+  const rms = new RMSConnector();
+  const codes = params => rms.calculateSurcharges({ baseCost: 1000, weight: 20000, cargoType: 'general', ...params })
+    .map(surcharge => surcharge.code);
+
+  assert.deepEqual(codes({ transportMode: 'road', shipmentMode: 'FTL' }), ['FSC']);
+  assert.deepEqual(codes({ transportMode: 'ocean', shipmentMode: 'FCL' }), ['BAF', 'ISPS']);
+  assert.deepEqual(codes({ transportMode: 'ocean', shipmentMode: 'LCL' }), ['BAF', 'ISPS', 'HEA']);
+});
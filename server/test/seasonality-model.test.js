@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SeasonalityModel = require('../services/seasonality-model');
+
+const booking = (lane, departureDate, ratio) => ({
+  lane,
+  finalPrice: 1000 * ratio,
+  quote: { request: { departureDate }, costData: { totalCost: 1000 } }
+});
+
+// Ten January departures at 1.32× cost and ten July departures at 1.08×
+const LANE = 'Shanghai-Los Angeles';
+const BOOKINGS = [
+  ...Array.from({ length: 10 }, () => booking(LANE, '2026-01-15', 1.32)),
+  ...Array.from({ length: 10 }, () => booking(LANE, '2026-07-15', 1.08))
+];
+// January's log deviation from the lane average
+const JANUARY = (Math.log(1.32) - Math.log(1.08)) / 2;
+
+const factor = logFactor => Math.round((Math.exp(logFactor) - 1) * 10000) / 10000;
+
+test('monthly factors are shrunk towards the global curve and the prior', () => {
+  const model = new SeasonalityModel({ shrinkage: 10 });
+  const result = model.fit(BOOKINGS);
+
+  assert.equal(result.success, true);
+  assert.equal(result.lanes, 1);
+  // Global: (10 · d + 10 · 0) / 20; lane: (10 · d + 10 · global) / 20
+  assert.equal(model.adjustment('Hamburg-New York', 0), factor(JANUARY / 2));
+  assert.equal(model.adjustment(LANE, 0), factor(JANUARY * 0.75));
+  assert.equal(model.adjustment(LANE, 6), factor(-JANUARY * 0.75));
+  assert.equal(model.adjustment(LANE, 3), 0);
+  assert.deepEqual(model.getCurves().lanes[LANE].sampleCounts, [10, 0, 0, 0, 0, 0, 10, 0, 0, 0, 0, 0]);
+});
+
+test('months without bookings keep the prior', () => {
+  const prior = [0, 0, 0, 0.05, 0, 0, 0, 0, 0, 0, 0, 0];
+  const model = new SeasonalityModel({ prior });
+  model.fit(BOOKINGS);
+
+  assert.equal(model.adjustment(LANE, 3), 0.05);
+});
+
+test('the departure month counts, not the booking month', () => {
+  assert.equal(SeasonalityModel.departureMonth({ request: { departureDate: '2026-12-03' }, issuedAt: '2026-10-01' }), 11);
+  assert.equal(SeasonalityModel.departureMonth({ request: {}, issuedAt: '2026-10-01' }), 9);
+  assert.equal(SeasonalityModel.departureMonth(null, '2026-02-10'), 1);
+});
+
+test('seasonality needs enough bookings with a cost', () => {
+  const model = new SeasonalityModel();
+  const result = model.fit([...BOOKINGS.slice(0, 15), { finalPrice: 1000, quote: { costData: {} } }]);
+
+  assert.equal(result.success, false);
+  assert.match(result.reason, /\(15\/20\)/);
+  assert.equal(model.adjustment(LANE, 0), null);
+});
+
+test('a fitted curve survives a JSON round trip', () => {
+  const model = new SeasonalityModel();
+  model.fit(BOOKINGS);
+
+  const restored = SeasonalityModel.fromJSON(JSON.parse(JSON.stringify(model.toJSON())));
+  assert.deepEqual(restored.getCurves(), model.getCurves());
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TrainingStore = require('../services/training-store');
+const { createQuoteStore, createTrainingStore, issueQuote } = require('./helpers');
+
+test('a booking is joined to the snapshot of the quote it answers', async t => {
+  const quoteStore = await createQuoteStore(t);
+  const trainingStore = await createTrainingStore(t, { quoteStore });
+  await issueQuote(quoteStore, 'q1', {
+    request: { origin: 'Shanghai', destination: 'Los Angeles', cargoType: 'hazardous', weight: 1000, serviceType: 'express' },
+    prediction: {
+      price: 2500,
+      confidence: 0.9,
+      priceOptimization: { referencePrice: 2500, winProbability: 0.5, expectedMargin: 200, method: 'reference' },
+      features: { logTotalCost: 7.6, cargo_hazardous: 1 },
+      modelVersion: '2.0.0'
+    }
+  });
+
+  await trainingStore.logBooking({ requestId: 'q1', bookingId: 'b1', finalPrice: 2500 });
+  const [booking] = (await trainingStore.loadTrainingData()).bookings;
+
+  assert.equal(booking.lane, 'Shanghai-Los Angeles');
+  assert.equal(booking.cargoType, 'hazardous');
+  assert.equal(booking.serviceType, 'express');
+  assert.equal(booking.quotedPrice, 2500);
+  assert.equal(booking.modelVersion, '2.0.0');
+  assert.deepEqual(booking.features, { logTotalCost: 7.6, cargo_hazardous: 1 });
+  assert.equal(booking.quote.requestId, 'q1');
+  assert.equal(booking.quote.features, undefined, 'features are stored once, outside the snapshot');
+});
+
+test('an outcome without a quote snapshot is logged without features', async t => {
+  const quoteStore = await createQuoteStore(t);
+  const trainingStore = await createTrainingStore(t, { quoteStore });
+
+  await trainingStore.logDecline({ requestId: 'missing', reason: 'price' });
+  const [decline] = (await trainingStore.loadTrainingData()).declines;
+
+  assert.equal(decline.requestId, 'missing');
+  assert.equal(decline.quote, null);
+  assert.equal(decline.features, undefined);
+});
+
+test('champion and challenger are compared on the outcomes of shadowed quotes', async t => {
+  const trainingStore = await createTrainingStore(t);
+  const shadowed = (challengerPrice, fields) => ({
+    quotedPrice: 1000,
+    modelVersion: '2.0.0',
+    quote: { shadowPredictions: [{ modelVersion: '2.0.1', price: challengerPrice }], ...fields },
+    loggedAt: '2026-10-01T00:00:00.000Z'
+  });
+  await trainingStore.saveTrainingData({
+    bookings: [
+      // Negotiated down to 900: the challenger's 950 was closer but too high
+      { ...shadowed(950, { negotiation: { rounds: [{ party: 'customer', price: 900 }] } }), finalPrice: 900 },
+      // Booked as quoted: the challenger's lower price would have won too
+      { ...shadowed(980), finalPrice: 1000 },
+      // No shadow price, so not compared
+      { quotedPrice: 1000, modelVersion: '2.0.0', quote: { shadowPredictions: [] }, finalPrice: 1000 }
+    ],
+    declines: [
+      // Declined at 1000, so 1100 would have lost too; 900 can't be judged
+      shadowed(1100),
+      shadowed(900)
+    ]
+  });
+
+  const { challengers: [comparison] } = await trainingStore.getChampionChallengerAnalytics();
+
+  assert.equal(comparison.challengerVersion, '2.0.1');
+  assert.deepEqual(comparison.championVersions, ['2.0.0']);
+  assert.equal(comparison.comparedQuotes, 4);
+  assert.equal(comparison.bookedQuotes, 2);
+  assert.equal(comparison.negotiatedBookings, 1);
+  assert.deepEqual(comparison.champion, { mape: 11.11, winRate: 50 });
+  assert.deepEqual(comparison.challenger, { mape: 5.56, impliedWinRate: 33.33, decidedQuotes: 3 });
+});
+
+test('a booked price in the quote currency is trained on in the base currency', async t => {
+  const quoteStore = await createQuoteStore(t);
+  const trainingStore = await createTrainingStore(t, { quoteStore });
+  await issueQuote(quoteStore, 'q1', {
+    fx: { baseCurrency: 'USD', currency: 'EUR', rate: 0.8, lockedAt: '2026-10-01T00:00:00.000Z' }
+  });
+
+  await trainingStore.logBooking({ requestId: 'q1', bookingId: 'b1', finalPrice: 2000 });
+  const [booking] = (await trainingStore.loadTrainingData()).bookings;
+
+  assert.equal(booking.currency, 'EUR');
+  assert.equal(booking.finalPriceLocal, 2000);
+  assert.equal(booking.finalPrice, 2500);
+});
+
+test('declines are checked against the reason taxonomy', async t => {
+  const trainingStore = await createTrainingStore(t);
+
+  assert.deepEqual(trainingStore.validateDecline({ reason: 'lost_to_competitor', competitorPrice: '2100.50' }), {
+    reason: 'lost_to_competitor',
+    competitorPrice: 2100.5,
+    competitorCarrier: null,
+    note: null
+  });
+  assert.throws(() => trainingStore.validateDecline({ reason: 'too slow' }), error =>
+    error instanceof TrainingStore.TrainingStoreError && error.statusCode === 400 && /Invalid reason too slow/.test(error.message));
+  assert.throws(() => trainingStore.validateDecline({ reason: 'price', competitorPrice: -5 }),
+    /competitorPrice must be a positive number/);
+});
+
+test('free-text reasons logged before the taxonomy are classified', () => {
+  assert.equal(TrainingStore.getDeclineReason({ reason: 'capacity' }), 'capacity');
+  assert.equal(TrainingStore.getDeclineReason({ reason: 'Went with a competitor' }), 'lost_to_competitor');
+  assert.equal(TrainingStore.getDeclineReason({ reason: 'Too expensive' }), 'price');
+  assert.equal(TrainingStore.getDeclineReason({ reason: 'Changed plans' }), null);
+
+  assert.equal(TrainingStore.isPriceDecline({ reason: 'Found it cheaper elsewhere' }), true);
+  assert.equal(TrainingStore.isPriceInformative({ reason: 'no_longer_needed' }), false);
+  assert.equal(TrainingStore.isPriceInformative({ reason: 'Changed plans' }), true);
+});
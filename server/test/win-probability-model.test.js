@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const WinProbabilityModel = require('../services/win-probability-model');
+const ExecutionContext = require('../services/execution-context');
+
+const TOTAL_COST = 2000;
+const features = { logTotalCost: Math.log(TOTAL_COST) };
+
+// Customers book with probability sigmoid(2 - 25 · log(price / cost))
+const trueWinProbability = price => WinProbabilityModel.sigmoid(2 - 25 * Math.log(price / TOTAL_COST));
+
+const simulateOutcomes = (count, seed) => {
+  const random = ExecutionContext.createSeededRandom(seed);
+  return Array.from({ length: count }, () => {
+    const price = TOTAL_COST * (1 + random() * 0.25);
+    return { features, price, won: random() < trueWinProbability(price) ? 1 : 0 };
+  });
+};
+
+test('Newton fit recovers the simulated price response', () => {
+  const model = new WinProbabilityModel({ lambda: 0.01 });
+  const result = model.fit(simulateOutcomes(3000, 'win-probability'));
+
+  assert.equal(result.success, true);
+  assert.ok(model.coefficients[0] < 0, 'win probability falls as the price rises');
+  [1.02, 1.08, 1.15, 1.22].forEach(markup => {
+    const price = TOTAL_COST * markup;
+    const predicted = model.predict(features, price);
+    assert.ok(Math.abs(predicted - trueWinProbability(price)) < 0.05,
+      `P(win) at ${markup}× cost: ${predicted} vs ${trueWinProbability(price)}`);
+  });
+});
+
+test('Newton fit converges to the same model on the same data', () => {
+  const samples = simulateOutcomes(500, 'repeat');
+  const first = new WinProbabilityModel();
+  const second = new WinProbabilityModel();
+  first.fit(samples);
+  second.fit(samples);
+
+  assert.deepEqual(second.coefficients, first.coefficients);
+  assert.equal(second.intercept, first.intercept);
+});
+
+test('fit needs both wins and losses', () => {
+  const model = new WinProbabilityModel();
+  const samples = simulateOutcomes(50, 'all-wins').map(sample => ({ ...sample, won: 1 }));
+
+  const result = model.fit(samples);
+  assert.equal(result.success, false);
+  assert.match(result.reason, /both booked and declined/);
+  assert.equal(model.isTrained(), false);
+});
+
+test('a price response that rises with the price is rejected', () => {
+  const model = new WinProbabilityModel();
+  const samples = simulateOutcomes(500, 'inverted').map(sample => ({ ...sample, won: 1 - sample.won }));
+
+  const result = model.fit(samples);
+  assert.equal(result.success, false);
+  assert.match(result.reason, /not negative/);
+  assert.equal(model.predict(features, TOTAL_COST), null);
+});